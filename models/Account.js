@@ -0,0 +1,98 @@
+const mongoose = require("mongoose");
+
+const ACCOUNT_TYPES = [
+  "CASH",
+  "MARGIN",
+  "IRA",
+  "ROTH_IRA",
+  "PROP",
+  "FUTURES",
+  "CRYPTO",
+  "OTHER",
+];
+
+// Brokerage account a user's trades and option trades are booked in
+const accountSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Account name is required"],
+      trim: true,
+      maxlength: [60, "Account name cannot exceed 60 characters"],
+    },
+    broker: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    type: {
+      type: String,
+      enum: ACCOUNT_TYPES,
+      default: "CASH",
+    },
+    // Currency the account is reported in when viewed on its own
+    baseCurrency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: "USD",
+    },
+    startingBalance: {
+      type: Number,
+      default: 0,
+    },
+    // New trades without an account are booked here
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    isArchived: {
+      type: Boolean,
+      default: false,
+    },
+    // Simulated account; trades booked here are always paper
+    isPaper: {
+      type: Boolean,
+      default: false,
+    },
+    // Financing rates (daily %) for trades in this account; they override
+    // the user's defaults
+    financing: {
+      borrowRate: {
+        type: Number,
+        default: null,
+        min: 0,
+      },
+      marginRate: {
+        type: Number,
+        default: null,
+        min: 0,
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+accountSchema.index({ user: 1, name: 1 }, { unique: true });
+
+// Only one default account per user
+accountSchema.pre("save", async function (next) {
+  if (this.isDefault && (this.isNew || this.isModified("isDefault"))) {
+    await this.constructor.updateMany(
+      { user: this.user, _id: { $ne: this._id } },
+      { isDefault: false }
+    );
+  }
+  next();
+});
+
+const Account = mongoose.model("Account", accountSchema);
+
+module.exports = Account;
@@ -0,0 +1,65 @@
+const mongoose = require("mongoose");
+const { CASH_TRANSACTION_TYPES } = require("../utils/returns");
+
+// Cash moving in or out of an account outside of trades. Fees and dividends
+// here are account-level ones (platform fees, dividends on positions that
+// aren't journaled); trade commissions and dividends credited by corporate
+// actions already sit on the trades.
+const cashTransactionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      default: null,
+    },
+    type: {
+      type: String,
+      enum: CASH_TRANSACTION_TYPES,
+      required: [true, "Transaction type is required"],
+    },
+    // Always positive; the type says which way the cash moved
+    amount: {
+      type: Number,
+      required: [true, "Amount is required"],
+      min: [0.01, "Amount must be positive"],
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: "USD",
+    },
+    date: {
+      type: Date,
+      required: [true, "Date is required"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+    },
+    // Import the entry came in with, if any
+    importBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ImportBatch",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+cashTransactionSchema.index({ user: 1, account: 1, date: 1 });
+
+const CashTransaction = mongoose.model(
+  "CashTransaction",
+  cashTransactionSchema
+);
+
+module.exports = CashTransaction;
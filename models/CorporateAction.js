@@ -0,0 +1,104 @@
+const mongoose = require("mongoose");
+
+// Splits and cash dividends that adjust stock trades in the same symbol
+const corporateActionSchema = new mongoose.Schema(
+  {
+    symbol: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ["SPLIT", "REVERSE_SPLIT", "DIVIDEND"],
+    },
+    // First day the stock trades on the new basis / without the dividend
+    exDate: {
+      type: Date,
+      required: true,
+    },
+    payDate: {
+      type: Date,
+      default: null,
+    },
+    // Splits: `to` new shares for every `from` old ones (4-for-1 is 4:1,
+    // a 1-for-10 reverse split is 1:10)
+    ratio: {
+      from: {
+        type: Number,
+        min: [0.000001, "Ratio must be positive"],
+      },
+      to: {
+        type: Number,
+        min: [0.000001, "Ratio must be positive"],
+      },
+    },
+    // Dividends: cash per share
+    amount: {
+      type: Number,
+      min: [0, "Dividend amount cannot be negative"],
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      default: "USD",
+    },
+    source: {
+      type: String,
+      default: "manual",
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+corporateActionSchema.index(
+  { symbol: 1, type: 1, exDate: 1 },
+  { unique: true }
+);
+
+// Check the ratio or amount each type needs
+corporateActionSchema.pre("validate", function (next) {
+  if (this.type === "DIVIDEND") {
+    if (!(this.amount > 0)) {
+      return next(new Error("Dividends need a positive amount per share"));
+    }
+    return next();
+  }
+
+  const { from, to } = this.ratio || {};
+  if (!(from > 0) || !(to > 0)) {
+    return next(new Error("Splits need a ratio with positive from and to"));
+  }
+  if (this.type === "SPLIT" && !(to > from)) {
+    return next(new Error("A split must increase the share count"));
+  }
+  if (this.type === "REVERSE_SPLIT" && !(to < from)) {
+    return next(new Error("A reverse split must decrease the share count"));
+  }
+  next();
+});
+
+/**
+ * Shares held after the action for every share held before it
+ * @returns {number} - 1 for dividends
+ */
+corporateActionSchema.methods.getSplitFactor = function () {
+  if (this.type === "DIVIDEND") return 1;
+  return this.ratio.to / this.ratio.from;
+};
+
+const CorporateAction = mongoose.model(
+  "CorporateAction",
+  corporateActionSchema
+);
+
+module.exports = CorporateAction;
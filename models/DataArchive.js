@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+// A "download my data" request: built in the background into a zip on
+// disk, then downloadable through an expiring link until `expiresAt`.
+const dataArchiveSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["PENDING", "PROCESSING", "READY", "FAILED", "EXPIRED"],
+      default: "PENDING",
+    },
+    fileName: {
+      type: String,
+      default: null,
+    },
+    // Where the zip is kept; never sent to the client
+    filePath: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    size: {
+      type: Number,
+      default: 0,
+    },
+    // Records in each file of the archive
+    contents: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: null,
+    },
+    completedAt: {
+      type: Date,
+      default: null,
+    },
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
+    downloadCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+dataArchiveSchema.index({ user: 1, createdAt: -1 });
+dataArchiveSchema.index({ status: 1, expiresAt: 1 });
+
+const DataArchive = mongoose.model("DataArchive", dataArchiveSchema);
+
+module.exports = DataArchive;
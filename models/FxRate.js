@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// Exchange rate table: 1 unit of `base` is worth `rate` units of `quote`
+const fxRateSchema = new mongoose.Schema(
+  {
+    base: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    quote: {
+      type: String,
+      required: true,
+      uppercase: true,
+      trim: true,
+    },
+    rate: {
+      type: Number,
+      required: true,
+      min: [0.0000000001, "Rate must be positive"],
+    },
+    // Day the rate applies to
+    date: {
+      type: Date,
+      required: true,
+    },
+    source: {
+      type: String,
+      default: "manual",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+fxRateSchema.index({ base: 1, quote: 1, date: -1 }, { unique: true });
+
+const FxRate = mongoose.model("FxRate", fxRateSchema);
+
+module.exports = FxRate;
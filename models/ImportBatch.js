@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+
+// One committed import (a JSON upload or a broker statement). Trades,
+// option trades and cash entries it created point back to it, so the whole
+// import can be rolled back together.
+const importBatchSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      default: null,
+    },
+    // "json" or the statement format (ibkr, schwab, ofx, ...)
+    source: {
+      type: String,
+      required: true,
+    },
+    fileName: {
+      type: String,
+      trim: true,
+    },
+    status: {
+      type: String,
+      enum: ["COMMITTED", "ROLLED_BACK"],
+      default: "COMMITTED",
+    },
+    tradeCount: {
+      type: Number,
+      default: 0,
+    },
+    optionTradeCount: {
+      type: Number,
+      default: 0,
+    },
+    cashTransactionCount: {
+      type: Number,
+      default: 0,
+    },
+    // Rows left out: invalid, duplicates or not accepted
+    skippedCount: {
+      type: Number,
+      default: 0,
+    },
+    // Rows that failed validation, for the import report
+    issues: [
+      {
+        _id: false,
+        row: String,
+        line: Number,
+        error: String,
+      },
+    ],
+    rolledBackAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+importBatchSchema.index({ user: 1, createdAt: -1 });
+
+const ImportBatch = mongoose.model("ImportBatch", importBatchSchema);
+
+module.exports = ImportBatch;
@@ -0,0 +1,271 @@
+const mongoose = require("mongoose");
+const moment = require("moment-timezone");
+
+// CME month codes used in contract symbols (ESZ4, /CLF25, ...)
+const MONTH_CODES = "FGHJKMNQUVXZ";
+
+// Common contracts loaded by the admin seed endpoint
+const DEFAULT_INSTRUMENTS = [
+  {
+    symbol: "ES",
+    name: "E-mini S&P 500",
+    exchange: "CME",
+    multiplier: 50,
+    tickSize: 0.25,
+  },
+  {
+    symbol: "MES",
+    name: "Micro E-mini S&P 500",
+    exchange: "CME",
+    multiplier: 5,
+    tickSize: 0.25,
+  },
+  {
+    symbol: "NQ",
+    name: "E-mini Nasdaq-100",
+    exchange: "CME",
+    multiplier: 20,
+    tickSize: 0.25,
+  },
+  {
+    symbol: "MNQ",
+    name: "Micro E-mini Nasdaq-100",
+    exchange: "CME",
+    multiplier: 2,
+    tickSize: 0.25,
+  },
+  {
+    symbol: "YM",
+    name: "E-mini Dow",
+    exchange: "CBOT",
+    multiplier: 5,
+    tickSize: 1,
+  },
+  {
+    symbol: "RTY",
+    name: "E-mini Russell 2000",
+    exchange: "CME",
+    multiplier: 50,
+    tickSize: 0.1,
+  },
+  {
+    symbol: "CL",
+    name: "Crude Oil",
+    exchange: "NYMEX",
+    multiplier: 1000,
+    tickSize: 0.01,
+  },
+  {
+    symbol: "MCL",
+    name: "Micro Crude Oil",
+    exchange: "NYMEX",
+    multiplier: 100,
+    tickSize: 0.01,
+  },
+  {
+    symbol: "NG",
+    name: "Natural Gas",
+    exchange: "NYMEX",
+    multiplier: 10000,
+    tickSize: 0.001,
+  },
+  {
+    symbol: "GC",
+    name: "Gold",
+    exchange: "COMEX",
+    multiplier: 100,
+    tickSize: 0.1,
+  },
+  {
+    symbol: "MGC",
+    name: "Micro Gold",
+    exchange: "COMEX",
+    multiplier: 10,
+    tickSize: 0.1,
+  },
+  {
+    symbol: "SI",
+    name: "Silver",
+    exchange: "COMEX",
+    multiplier: 5000,
+    tickSize: 0.005,
+  },
+  {
+    symbol: "ZB",
+    name: "30-Year T-Bond",
+    exchange: "CBOT",
+    multiplier: 1000,
+    tickSize: 0.03125,
+  },
+  {
+    symbol: "ZN",
+    name: "10-Year T-Note",
+    exchange: "CBOT",
+    multiplier: 1000,
+    tickSize: 0.015625,
+  },
+  {
+    symbol: "6E",
+    name: "Euro FX",
+    exchange: "CME",
+    multiplier: 125000,
+    tickSize: 0.00005,
+  },
+];
+
+const instrumentSchema = new mongoose.Schema(
+  {
+    // Root symbol (ES, NQ, CL); contract months are matched against it
+    symbol: {
+      type: String,
+      required: [true, "Symbol is required"],
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    assetClass: {
+      type: String,
+      enum: ["FUTURE"],
+      default: "FUTURE",
+    },
+    exchange: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      default: "USD",
+    },
+    // Dollars per 1.0 move in price (point value)
+    multiplier: {
+      type: Number,
+      required: true,
+      min: [0.000001, "Multiplier must be positive"],
+    },
+    tickSize: {
+      type: Number,
+      required: true,
+      min: [0.000001, "Tick size must be positive"],
+    },
+    // Dollars per tick; defaults to tickSize * multiplier
+    tickValue: {
+      type: Number,
+      min: 0,
+    },
+    // Trading hours in the exchange's time zone. Sessions that cross midnight
+    // (open later than close) start the evening before each listed day.
+    session: {
+      timeZone: {
+        type: String,
+        default: "America/Chicago",
+      },
+      open: {
+        type: String,
+        default: "17:00",
+        match: [/^\d{2}:\d{2}$/, "Session times use HH:mm"],
+      },
+      close: {
+        type: String,
+        default: "16:00",
+        match: [/^\d{2}:\d{2}$/, "Session times use HH:mm"],
+      },
+      // Trading days (0 = Sunday) named by the day the session closes on
+      days: {
+        type: [Number],
+        default: [1, 2, 3, 4, 5],
+      },
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+instrumentSchema.pre("validate", function (next) {
+  if (this.tickValue == null && this.tickSize && this.multiplier) {
+    this.tickValue = Number((this.tickSize * this.multiplier).toFixed(6));
+  }
+  next();
+});
+
+/**
+ * Whether the exchange session is open at a given time
+ * @param {Date} date - Time to check (defaults to now)
+ * @returns {boolean}
+ */
+instrumentSchema.methods.isSessionOpen = function (date = new Date()) {
+  const { timeZone, open, close, days } = this.session;
+  const local = moment(date).tz(timeZone);
+  const minutes = local.hours() * 60 + local.minutes();
+  const toMinutes = (time) => {
+    const [hours, mins] = time.split(":").map(Number);
+    return hours * 60 + mins;
+  };
+  const openAt = toMinutes(open);
+  const closeAt = toMinutes(close);
+
+  if (openAt < closeAt) {
+    return days.includes(local.day()) && minutes >= openAt && minutes < closeAt;
+  }
+
+  // Overnight session: evening hours belong to the next day's session
+  if (minutes >= openAt) return days.includes((local.day() + 1) % 7);
+  return minutes < closeAt && days.includes(local.day());
+};
+
+/**
+ * Find the catalog entry for a trade symbol. Accepts the root (/ES) or a
+ * contract month (ESZ4, ESZ24, /ESZ24). A bare root without the slash is not
+ * matched so equity tickers like CL are never mistaken for futures.
+ * @param {string} symbol - Trade symbol
+ * @returns {Promise<Object|null>} - Instrument document
+ */
+instrumentSchema.statics.findForSymbol = async function (symbol) {
+  const match = String(symbol || "")
+    .toUpperCase()
+    .trim()
+    .match(new RegExp(`^(/)?([A-Z0-9]+?)([${MONTH_CODES}]\\d{1,2})?$`));
+  if (!match || (!match[1] && !match[3])) return null;
+
+  return this.findOne({ symbol: match[2], isActive: true });
+};
+
+/**
+ * Insert the default catalog, leaving existing entries untouched
+ * @returns {Promise<number>} - Count of instruments added
+ */
+instrumentSchema.statics.seedDefaults = async function () {
+  const result = await this.bulkWrite(
+    DEFAULT_INSTRUMENTS.map((instrument) => ({
+      updateOne: {
+        filter: { symbol: instrument.symbol },
+        update: {
+          $setOnInsert: {
+            ...instrument,
+            assetClass: "FUTURE",
+            tickValue: Number(
+              (instrument.tickSize * instrument.multiplier).toFixed(6)
+            ),
+          },
+        },
+        upsert: true,
+      },
+    }))
+  );
+
+  return result.upsertedCount;
+};
+
+const Instrument = mongoose.model("Instrument", instrumentSchema);
+
+module.exports = Instrument;
@@ -1,4 +1,98 @@
 const mongoose = require("mongoose");
+const { sumFees } = require("../utils/profitLoss");
+const {
+  CONTRACT_MULTIPLIER,
+  summarizePosition,
+} = require("../utils/optionPositions");
+const { calculateGreeks } = require("../utils/blackScholes");
+
+const GREEK_FIELDS = [
+  "delta",
+  "gamma",
+  "theta",
+  "vega",
+  "rho",
+  "impliedVolatility",
+];
+
+// Fill on a single leg of a multi-leg position
+const legFillSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    enum: ["OPEN", "CLOSE"],
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  date: {
+    type: Date,
+    required: true,
+  },
+  fees: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Closed by expiring worthless rather than by a trade
+  expired: {
+    type: Boolean,
+    default: false,
+  },
+});
+
+// One contract of a spread, condor, straddle, etc.
+const legSchema = new mongoose.Schema({
+  contractType: {
+    type: String,
+    required: true,
+    enum: ["CALL", "PUT"],
+  },
+  side: {
+    type: String,
+    required: true,
+    enum: ["LONG", "SHORT"],
+  },
+  strike: {
+    type: Number,
+    required: true,
+  },
+  expiration: {
+    type: Date,
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  fills: [legFillSchema],
+  // Derived from fills
+  openQuantity: {
+    type: Number,
+    default: 0,
+  },
+  averageOpenPrice: {
+    type: Number,
+    default: 0,
+  },
+  realizedProfitLoss: {
+    type: Number,
+    default: 0,
+  },
+});
+
+// Single-contract fields are derived from the legs on multi-leg positions
+function requiredWithoutLegs() {
+  return !(this.legs && this.legs.length > 0);
+}
 
 const optionTradeSchema = new mongoose.Schema(
   {
@@ -7,6 +101,25 @@ const optionTradeSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Brokerage account; null for trades booked before accounts existed
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      default: null,
+    },
+    // Paper (simulated) trades are kept out of live stats and leaderboards
+    tradingMode: {
+      type: String,
+      enum: ["LIVE", "PAPER"],
+      uppercase: true,
+      default: "LIVE",
+    },
+    // Import the trade came in with, if any
+    importBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ImportBatch",
+      default: null,
+    },
     // Underlying stock details
     symbol: {
       type: String,
@@ -18,24 +131,33 @@ const optionTradeSchema = new mongoose.Schema(
       type: Number,
       required: [true, "Underlying price is required"],
     },
+    // Currency premiums and P/L are in
+    quoteCurrency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: "USD",
+    },
 
     // Option contract details
     contractType: {
       type: String,
-      required: true,
+      required: requiredWithoutLegs,
       enum: ["CALL", "PUT"],
     },
     strike: {
       type: Number,
-      required: true,
+      required: requiredWithoutLegs,
     },
     expiration: {
       type: Date,
-      required: true,
+      required: requiredWithoutLegs,
     },
     daysToExpiration: {
       type: Number,
       default: function () {
+        // Multi-leg positions set this once the legs are summarized
+        if (!this.expiration || !this.entryDate) return null;
         return Math.ceil(
           (this.expiration - this.entryDate) / (1000 * 60 * 60 * 24)
         );
@@ -45,22 +167,22 @@ const optionTradeSchema = new mongoose.Schema(
     // Trade details
     type: {
       type: String,
-      required: true,
+      required: requiredWithoutLegs,
       enum: ["LONG", "SHORT"],
     },
     contracts: {
       type: Number,
-      required: true,
+      required: requiredWithoutLegs,
       min: 1,
     },
     entryPrice: {
       type: Number,
-      required: true,
+      required: requiredWithoutLegs,
       min: 0,
     },
     entryDate: {
       type: Date,
-      required: true,
+      required: requiredWithoutLegs,
     },
     exitPrice: {
       type: Number,
@@ -69,13 +191,81 @@ const optionTradeSchema = new mongoose.Schema(
     exitDate: {
       type: Date,
     },
+    // Used to derive greeksAtExit
+    underlyingPriceAtExit: {
+      type: Number,
+    },
     status: {
       type: String,
       enum: ["OPEN", "CLOSED"],
       default: "OPEN",
     },
+    // How the contract left the book
+    closeReason: {
+      type: String,
+      enum: ["CLOSED", "EXPIRED", "ASSIGNED", "EXERCISED", "ROLLED", null],
+      default: null,
+    },
+    // Why the expiration job left a contract past its expiration open:
+    // it finished in the money, or the underlying close isn't known
+    expirationReview: {
+      type: String,
+      enum: ["IN_THE_MONEY", "NO_PRICE", null],
+      default: null,
+    },
+    // Stock positions created by assignment or exercise
+    resultingTrades: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Trade",
+      },
+    ],
+
+    // Links between contracts rolled into one another
+    rollChain: {
+      // _id of the first contract in the chain
+      chainId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+      },
+      sequence: {
+        type: Number,
+        default: 0,
+      },
+      rolledFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "OptionTrade",
+        default: null,
+      },
+      rolledTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "OptionTrade",
+        default: null,
+      },
+    },
 
-    // Option Greeks
+    // Multi-leg positions (spreads, condors, straddles)
+    legs: [legSchema],
+    riskProfile: {
+      // Positive = net credit received, negative = net debit paid
+      netPremium: {
+        type: Number,
+        default: null,
+      },
+      // Null when unlimited
+      maxProfit: {
+        type: Number,
+        default: null,
+      },
+      maxLoss: {
+        type: Number,
+        default: null,
+      },
+      breakevens: [Number],
+    },
+
+    // Option Greeks (impliedVolatility in percent); missing values are
+    // filled from Black-Scholes on save
     greeksAtEntry: {
       delta: Number,
       gamma: Number,
@@ -102,8 +292,32 @@ const optionTradeSchema = new mongoose.Schema(
       },
     },
 
+    // Trading costs
+    fees: {
+      commission: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      regulatory: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      total: {
+        type: Number,
+        default: 0,
+      },
+      // True when commission came from the user's fee schedule
+      autoCalculated: {
+        type: Boolean,
+        default: false,
+      },
+    },
+
     // Trade Analysis
     profitLoss: {
+      // Gross P/L
       realized: {
         type: Number,
         default: 0,
@@ -116,6 +330,25 @@ const optionTradeSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      // Realized P/L after fees. No default: trades saved before it
+      // existed must read as missing so net-basis stats fall back to gross
+      net: {
+        type: Number,
+      },
+      // Open positions at the latest mark
+      unrealized: {
+        type: Number,
+        default: 0,
+      },
+    },
+    // Latest mark-to-market of the open position, set by the daily job
+    mark: {
+      price: Number,
+      quantity: Number,
+      marketValue: Number,
+      unrealized: Number,
+      date: Date,
+      source: String,
     },
     strategy: {
       type: String,
@@ -181,7 +414,53 @@ const optionTradeSchema = new mongoose.Schema(
 
 // Calculate P/L before saving
 optionTradeSchema.pre("save", function (next) {
-  if (this.exitPrice && this.exitDate) {
+  // Multi-leg positions derive everything from their legs
+  if (this.legs && this.legs.length > 0) {
+    let position;
+    try {
+      position = summarizePosition(this.legs);
+    } catch (error) {
+      return next(error);
+    }
+
+    const units = position.units || 1;
+    // Capital at risk: max loss when defined, otherwise the premium paid/received
+    const capital = position.maxLoss || Math.abs(position.netPremium);
+
+    this.legs = position.legs;
+    this.riskProfile = {
+      netPremium: position.netPremium,
+      maxProfit: position.maxProfit,
+      maxLoss: position.maxLoss,
+      breakevens: position.breakevens,
+    };
+    this.contracts = units;
+    this.entryPrice =
+      Math.abs(position.netPremium) / units / CONTRACT_MULTIPLIER;
+    this.type = position.netPremium > 0 ? "SHORT" : "LONG";
+    this.contractType = this.legs[0].contractType;
+    this.strike = this.legs[0].strike;
+    this.expiration = position.expiration;
+    if (position.entryDate) this.entryDate = position.entryDate;
+    this.exitDate = position.exitDate ?? undefined;
+    this.daysToExpiration = Math.ceil(
+      (this.expiration - this.entryDate) / (1000 * 60 * 60 * 24)
+    );
+
+    this.profitLoss.realized = position.realized;
+    this.profitLoss.percentage = capital
+      ? (position.realized / capital) * 100
+      : 0;
+    this.profitLoss.perContract = position.realized / units;
+    this.status = position.status;
+    this.closeReason =
+      position.status === "CLOSED" ? this.closeReason || "CLOSED" : null;
+
+    return next();
+  }
+
+  // An exit price of 0 is valid (expired worthless)
+  if (this.exitPrice != null && this.exitDate) {
     const contractMultiplier = 100; // Standard for options
     const entryValue = this.entryPrice * this.contracts * contractMultiplier;
     const exitValue = this.exitPrice * this.contracts * contractMultiplier;
@@ -201,12 +480,79 @@ optionTradeSchema.pre("save", function (next) {
 
     // Update status
     this.status = "CLOSED";
+    this.closeReason = this.closeReason || "CLOSED";
   } else {
     // Reset P/L if trade is reopened
     this.profitLoss.realized = 0;
     this.profitLoss.percentage = 0;
     this.profitLoss.perContract = 0;
     this.status = "OPEN";
+    this.closeReason = null;
+  }
+
+  next();
+});
+
+// Net P/L is gross minus every recorded fee
+optionTradeSchema.pre("save", function (next) {
+  this.fees.total = sumFees(this);
+  this.profitLoss.net = Number(
+    (this.profitLoss.realized - this.fees.total).toFixed(2)
+  );
+  next();
+});
+
+// A closed position has nothing left to mark or review
+optionTradeSchema.pre("save", function (next) {
+  if (this.status === "CLOSED" && this.mark?.date) {
+    this.profitLoss.unrealized = 0;
+    this.mark = undefined;
+  }
+  if (this.status === "CLOSED") this.expirationReview = null;
+  next();
+});
+
+optionTradeSchema.index({ user: 1, "rollChain.chainId": 1 });
+
+// Fill in any greeks the trader left empty
+optionTradeSchema.pre("save", function (next) {
+  // Multi-leg positions have no single contract to price
+  if (this.legs && this.legs.length > 0) return next();
+
+  const fillGreeks = (path, inputs) => {
+    const current = this[path] || {};
+    if (GREEK_FIELDS.every((field) => current[field] != null)) return;
+
+    const computed = calculateGreeks({
+      contractType: this.contractType,
+      strike: this.strike,
+      expiration: this.expiration,
+      ...inputs,
+      // Respect an implied volatility the trader typed in
+      volatility:
+        current.impliedVolatility != null
+          ? current.impliedVolatility / 100
+          : undefined,
+    });
+    if (!computed) return;
+
+    GREEK_FIELDS.forEach((field) => {
+      if (current[field] == null) this.set(`${path}.${field}`, computed[field]);
+    });
+  };
+
+  fillGreeks("greeksAtEntry", {
+    underlyingPrice: this.underlyingPrice,
+    optionPrice: this.entryPrice,
+    valuationDate: this.entryDate,
+  });
+
+  if (this.exitDate && this.underlyingPriceAtExit && this.exitPrice > 0) {
+    fillGreeks("greeksAtExit", {
+      underlyingPrice: this.underlyingPriceAtExit,
+      optionPrice: this.exitPrice,
+      valuationDate: this.exitDate,
+    });
   }
 
   next();
@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+// End-of-day mark of an open trade or option trade. One per position per day;
+// marking again the same day replaces it.
+const positionSnapshotSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      default: null,
+    },
+    tradingMode: {
+      type: String,
+      enum: ["LIVE", "PAPER"],
+      default: "LIVE",
+    },
+    trade: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      refPath: "tradeModel",
+    },
+    tradeModel: {
+      type: String,
+      required: true,
+      enum: ["Trade", "OptionTrade"],
+    },
+    symbol: {
+      type: String,
+      required: true,
+    },
+    // Day the mark is for (midnight UTC)
+    date: {
+      type: Date,
+      required: true,
+    },
+    price: Number,
+    quantity: Number,
+    // Signed: negative for short exposure
+    marketValue: Number,
+    costBasis: Number,
+    unrealized: Number,
+    // Quote currency of the position
+    currency: {
+      type: String,
+      default: "USD",
+    },
+    // Price source the quote came from
+    source: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+positionSnapshotSchema.index({ trade: 1, date: 1 }, { unique: true });
+positionSnapshotSchema.index({ user: 1, date: 1 });
+
+const PositionSnapshot = mongoose.model(
+  "PositionSnapshot",
+  positionSnapshotSchema
+);
+
+module.exports = PositionSnapshot;
@@ -1,4 +1,98 @@
 const mongoose = require("mongoose");
+const { summarizeExecutions } = require("../utils/tradeExecutions");
+const {
+  sumFees,
+  sumDividends,
+  calculateRMultiple,
+} = require("../utils/profitLoss");
+const {
+  ASSET_CLASSES,
+  getAssetClassFields,
+  calculatePips,
+} = require("../utils/assetClasses");
+const { accrueFinancing, financingFees } = require("../utils/financing");
+const {
+  SESSIONS,
+  hasTimeOfDay,
+  getSessionFields,
+} = require("../utils/marketSessions");
+
+// Individual fill used to scale in and out of a position
+const executionSchema = new mongoose.Schema({
+  side: {
+    type: String,
+    required: true,
+    enum: ["BUY", "SELL"],
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  date: {
+    type: Date,
+    required: true,
+  },
+  fees: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Realized P/L of a closing execution against the average cost
+  realizedProfitLoss: {
+    type: Number,
+    default: 0,
+  },
+  // Lots a closing execution sells, for specific-ID tax-lot matching
+  lotIds: [String],
+});
+
+// Corporate action applied to a trade, kept so it is never applied twice
+const appliedActionSchema = new mongoose.Schema(
+  {
+    action: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "CorporateAction",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["SPLIT", "REVERSE_SPLIT", "DIVIDEND"],
+    },
+    exDate: Date,
+    // Splits: shares after per share before
+    factor: Number,
+    // Dividends: per-share amount, shares held over the ex-date and the cash
+    // credited (negative for short positions)
+    amount: Number,
+    quantity: Number,
+    cash: Number,
+  },
+  { _id: false }
+);
+
+// Entry details are derived from executions when a trade has them
+function requiredWithoutExecutions() {
+  return !(this.executions && this.executions.length > 0);
+}
+
+// Note whether a new entry time came with a time of day while the raw value
+// is still at hand; once cast, a date-only value is just midnight UTC
+function recordEntryTime(value, priorValue) {
+  const unchanged =
+    priorValue != null &&
+    value != null &&
+    new Date(value).getTime() === new Date(priorValue).getTime();
+  if (this instanceof mongoose.Document && !unchanged) {
+    this.entryTimeRecorded = hasTimeOfDay(value);
+  }
+  return value;
+}
 
 const tradeSchema = new mongoose.Schema(
   {
@@ -7,6 +101,25 @@ const tradeSchema = new mongoose.Schema(
       ref: "User",
       required: true,
     },
+    // Brokerage account; null for trades booked before accounts existed
+    account: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Account",
+      default: null,
+    },
+    // Paper (simulated) trades are kept out of live stats and leaderboards
+    tradingMode: {
+      type: String,
+      enum: ["LIVE", "PAPER"],
+      uppercase: true,
+      default: "LIVE",
+    },
+    // Import the trade came in with, if any
+    importBatch: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ImportBatch",
+      default: null,
+    },
     symbol: {
       type: String,
       required: [true, "Symbol is required"],
@@ -32,17 +145,27 @@ const tradeSchema = new mongoose.Schema(
     // Entry details
     entryPrice: {
       type: Number,
-      required: true,
+      required: requiredWithoutExecutions,
       min: 0,
     },
+    // Fractional sizes are allowed for crypto, forex and fractional shares
     entryQuantity: {
       type: Number,
-      required: true,
-      min: 1,
+      required: requiredWithoutExecutions,
+      validate: {
+        validator: (v) => v == null || v > 0,
+        message: "Entry quantity must be greater than zero",
+      },
     },
     entryDate: {
       type: Date,
-      required: true,
+      required: requiredWithoutExecutions,
+      set: recordEntryTime,
+    },
+    // Whether entryDate was given with a time of day; unset on trades saved
+    // before this was tracked
+    entryTimeRecorded: {
+      type: Boolean,
     },
     // Exit details (optional for open trades)
     exitPrice: {
@@ -56,6 +179,63 @@ const tradeSchema = new mongoose.Schema(
     exitDate: {
       type: Date,
     },
+    assetClass: {
+      type: String,
+      enum: ASSET_CLASSES,
+      default: "EQUITY",
+    },
+    // Pair currencies for crypto/forex (BTC/USD, EUR/USD). P/L is in the
+    // quote currency, which is also the trading currency for other assets.
+    baseCurrency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null,
+    },
+    quoteCurrency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+    },
+    // Forex sizes can be entered in lots (1 lot = lotSize units)
+    quantityUnit: {
+      type: String,
+      enum: ["UNITS", "LOTS"],
+      default: "UNITS",
+    },
+    lotSize: {
+      type: Number,
+      default: null,
+    },
+    pipSize: {
+      type: Number,
+      default: null,
+    },
+    // Futures contract from the instrument catalog
+    instrument: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Instrument",
+      default: null,
+    },
+    // Dollars per 1.0 price move per unit (1 for shares, point value for
+    // futures). Copied from the instrument so catalog edits don't rewrite history.
+    multiplier: {
+      type: Number,
+      default: 1,
+      min: [0.000001, "Multiplier must be positive"],
+    },
+    stopLoss: {
+      type: Number,
+      default: null,
+    },
+    // Ordered fills; when present, entry/exit fields above are derived from them
+    executions: [executionSchema],
+    // Splits and dividends applied to this trade, oldest ex-date first
+    corporateActions: [appliedActionSchema],
+    openQuantity: {
+      type: Number,
+      default: 0,
+    },
     postExitAnalysis: {
       lowBeforeHigh: {
         type: Boolean,
@@ -79,7 +259,76 @@ const tradeSchema = new mongoose.Schema(
       enum: ["OPEN", "CLOSED"],
       default: "OPEN",
     },
+    // Borrow fees (shorts) and margin interest (longs) accrued over the
+    // holding period. Rates are daily percentages; null uses none.
+    financing: {
+      borrowRate: {
+        type: Number,
+        default: null,
+        min: 0,
+      },
+      marginRate: {
+        type: Number,
+        default: null,
+        min: 0,
+      },
+      // Amount borrowed to carry a long position
+      marginBalance: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      days: {
+        type: Number,
+        default: 0,
+      },
+      borrowCost: {
+        type: Number,
+        default: 0,
+      },
+      marginInterest: {
+        type: Number,
+        default: 0,
+      },
+      accruedThrough: {
+        type: Date,
+        default: null,
+      },
+    },
+    // Trading costs (per-execution fees are summed in as well)
+    fees: {
+      commission: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      regulatory: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      borrow: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      marginInterest: {
+        type: Number,
+        default: 0,
+        min: 0,
+      },
+      total: {
+        type: Number,
+        default: 0,
+      },
+      // True when commission came from the user's fee schedule
+      autoCalculated: {
+        type: Boolean,
+        default: false,
+      },
+    },
     profitLoss: {
+      // Gross P/L
       realized: {
         type: Number,
         default: 0,
@@ -88,6 +337,47 @@ const tradeSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      // Realized P/L after fees. No default: trades saved before it
+      // existed must read as missing so net-basis stats fall back to gross
+      net: {
+        type: Number,
+      },
+      // Gross P/L divided by the initial risk
+      rMultiple: {
+        type: Number,
+        default: null,
+      },
+      // Dividends received over the holding period (paid out on shorts)
+      dividends: {
+        type: Number,
+        default: 0,
+      },
+      // Open positions at the latest mark
+      unrealized: {
+        type: Number,
+        default: 0,
+      },
+      // Forex only
+      pips: {
+        type: Number,
+        default: null,
+      },
+      // P/L converted from the quote currency into the user's currency
+      converted: {
+        currency: String,
+        rate: Number,
+        realized: Number,
+        net: Number,
+      },
+    },
+    // Latest mark-to-market of the open position, set by the daily job
+    mark: {
+      price: Number,
+      quantity: Number,
+      marketValue: Number,
+      unrealized: Number,
+      date: Date,
+      source: String,
     },
     tags: [
       {
@@ -184,9 +474,11 @@ const tradeSchema = new mongoose.Schema(
         ],
       },
     ],
+    // Derived from entryDate for equities entered with a time of day
+    // (entryTimeRecorded, see utils/marketSessions)
     session: {
       type: String,
-      enum: ["Pre-Market", "Regular", "After-Hours"],
+      enum: SESSIONS,
       default: "Regular",
     },
     postExitHigh: {
@@ -205,18 +497,72 @@ const tradeSchema = new mongoose.Schema(
     ],
     strategy: String,
     notes: String,
+    // Option that was assigned or exercised into this position
+    sourceOptionTrade: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "OptionTrade",
+      default: null,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// Derive pair currencies, lot and pip sizes from the asset class, and the
+// session from a new entry time (a session picked by hand stays otherwise)
+tradeSchema.pre("validate", function (next) {
+  try {
+    Object.assign(this, getAssetClassFields(this));
+    if (
+      this.isNew ||
+      this.isModified("entryDate") ||
+      this.isModified("assetClass")
+    ) {
+      Object.assign(this, getSessionFields(this));
+    }
+  } catch (error) {
+    return next(error);
+  }
+  next();
+});
+
 // Calculate P/L before saving
 tradeSchema.pre("save", function (next) {
+  // Trades built from executions derive everything from the fills
+  if (this.executions && this.executions.length > 0) {
+    let summary;
+    try {
+      summary = summarizeExecutions(
+        this.type,
+        this.executions,
+        this.multiplier
+      );
+    } catch (error) {
+      return next(error);
+    }
+
+    this.executions = summary.executions;
+    this.entryPrice = summary.entryPrice;
+    this.entryQuantity = summary.entryQuantity;
+    this.entryDate = summary.entryDate;
+    this.exitPrice = summary.exitPrice ?? undefined;
+    this.exitQuantity = summary.exitQuantity ?? undefined;
+    this.exitDate = summary.exitDate ?? undefined;
+    this.openQuantity = summary.openQuantity;
+    this.profitLoss.realized = summary.realized;
+    this.profitLoss.percentage = summary.percentage;
+    this.status = summary.status;
+
+    return next();
+  }
+
   // Only calculate if we have exit details
   if (this.exitPrice && this.exitQuantity && this.exitDate) {
-    const entryValue = this.entryPrice * this.entryQuantity;
-    const exitValue = this.exitPrice * this.exitQuantity;
+    const entryValue =
+      this.entryPrice * this.entryQuantity * (this.multiplier || 1);
+    const exitValue =
+      this.exitPrice * this.exitQuantity * (this.multiplier || 1);
 
     // Calculate P/L based on trade type
     if (this.type === "LONG") {
@@ -229,17 +575,61 @@ tradeSchema.pre("save", function (next) {
     this.profitLoss.percentage = (this.profitLoss.realized / entryValue) * 100;
 
     // Update status
+    this.openQuantity = 0;
     this.status = "CLOSED";
   } else {
     // Reset P/L and status if exit details are removed
     this.profitLoss.realized = 0;
     this.profitLoss.percentage = 0;
+    this.openQuantity = this.entryQuantity;
     this.status = "OPEN";
   }
 
   next();
 });
 
+// Accrue carrying costs up to the exit, or up to now while still open
+tradeSchema.pre("save", function (next) {
+  const { borrowRate, marginRate } = this.financing || {};
+  if (borrowRate == null && marginRate == null) return next();
+
+  const financing = accrueFinancing(this, this.financing);
+  this.set("financing", financing);
+  Object.assign(this.fees, financingFees(financing));
+  next();
+});
+
+// Net P/L is gross minus every recorded fee, plus dividends
+tradeSchema.pre("save", function (next) {
+  this.fees.total = sumFees(this);
+  this.profitLoss.dividends = sumDividends(this);
+  this.profitLoss.net = Number(
+    (
+      this.profitLoss.realized -
+      this.fees.total +
+      this.profitLoss.dividends
+    ).toFixed(2)
+  );
+  this.profitLoss.rMultiple =
+    this.status === "CLOSED"
+      ? calculateRMultiple(this, this.profitLoss.realized)
+      : null;
+  this.profitLoss.pips =
+    this.assetClass === "FOREX" && this.status === "CLOSED"
+      ? calculatePips(this)
+      : null;
+  next();
+});
+
+// A closed position has nothing left to mark
+tradeSchema.pre("save", function (next) {
+  if (this.status === "CLOSED" && this.mark?.date) {
+    this.profitLoss.unrealized = 0;
+    this.mark = undefined;
+  }
+  next();
+});
+
 // Validate day trade dates
 tradeSchema.pre("save", function (next) {
   if (this.tradeType === "DAY" && this.exitDate) {
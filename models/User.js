@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { LOT_METHODS } = require("../utils/taxLots");
 
 const userSchema = new mongoose.Schema(
   {
@@ -120,6 +121,43 @@ const userSchema = new mongoose.Schema(
         type: Boolean,
         default: false,
       },
+      // Default commissions applied to trades entered without fees
+      feeSchedule: {
+        perShare: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        perContract: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+        perOrder: {
+          type: Number,
+          default: 0,
+          min: 0,
+        },
+      },
+      // Default financing rates (daily %) for trades that don't set their own
+      financing: {
+        borrowRate: {
+          type: Number,
+          default: null,
+          min: 0,
+        },
+        marginRate: {
+          type: Number,
+          default: null,
+          min: 0,
+        },
+      },
+      // How sales are matched to tax lots
+      lotMatchingMethod: {
+        type: String,
+        enum: LOT_METHODS,
+        default: "FIFO",
+      },
     },
     created: {
       type: Date,
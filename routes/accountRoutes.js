@@ -0,0 +1,285 @@
+const express = require("express");
+const router = express.Router();
+const Account = require("../models/Account");
+const Trade = require("../models/Trade");
+const OptionTrade = require("../models/OptionTrade");
+const CashTransaction = require("../models/CashTransaction");
+const accountService = require("../services/accountService");
+const { protect } = require("../middleware/authMiddleware");
+
+const EDITABLE_FIELDS = [
+  "name",
+  "broker",
+  "type",
+  "baseCurrency",
+  "startingBalance",
+  "isDefault",
+  "isArchived",
+  "isPaper",
+  "financing",
+];
+
+const pickEditable = (body) =>
+  EDITABLE_FIELDS.reduce((data, field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+    return data;
+  }, {});
+
+const findOwnAccount = (req) =>
+  Account.findOne({ _id: req.params.id, user: req.user._id });
+
+// Number of trades and option trades booked in each account
+const countTrades = async (userId) => {
+  const group = [
+    { $match: { user: userId } },
+    { $group: { _id: "$account", count: { $sum: 1 } } },
+  ];
+  const [trades, optionTrades] = await Promise.all([
+    Trade.aggregate(group),
+    OptionTrade.aggregate(group),
+  ]);
+
+  const counts = {};
+  const add = (key, rows) =>
+    rows.forEach((row) => {
+      const id = String(row._id ?? accountService.UNASSIGNED);
+      counts[id] = counts[id] || { trades: 0, optionTrades: 0 };
+      counts[id][key] = row.count;
+    });
+  add("trades", trades);
+  add("optionTrades", optionTrades);
+  return counts;
+};
+
+// GET the user's accounts with their trade counts
+router.get("/", protect, async (req, res) => {
+  try {
+    const filter = { user: req.user._id };
+    if (req.query.all !== "true") filter.isArchived = false;
+
+    const [accounts, counts] = await Promise.all([
+      Account.find(filter).sort({ isDefault: -1, name: 1 }),
+      countTrades(req.user._id),
+    ]);
+    const empty = { trades: 0, optionTrades: 0 };
+
+    res.json({
+      success: true,
+      count: accounts.length,
+      data: accounts.map((account) => ({
+        ...account.toObject(),
+        tradeCounts: counts[String(account._id)] || empty,
+      })),
+      unassigned: counts[accountService.UNASSIGNED] || empty,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET one account
+router.get("/:id", protect, async (req, res) => {
+  try {
+    const account = await findOwnAccount(req);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: "Account not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: account,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Create an account. The first one becomes the default.
+router.post("/", protect, async (req, res) => {
+  try {
+    const hasAccounts = await Account.exists({ user: req.user._id });
+
+    const account = await Account.create({
+      baseCurrency: req.user.preferences?.defaultCurrency,
+      ...pickEditable(req.body),
+      isDefault: req.body.isDefault ?? !hasAccounts,
+      user: req.user._id,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: account,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error:
+        error.code === 11000
+          ? "You already have an account with that name"
+          : error.message,
+    });
+  }
+});
+
+// Update an account
+router.put("/:id", protect, async (req, res) => {
+  try {
+    const account = await findOwnAccount(req);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: "Account not found",
+      });
+    }
+
+    account.set(pickEditable(req.body));
+    const becamePaper = account.isModified("isPaper") && account.isPaper;
+    await account.save();
+
+    // Everything already booked in an account turned paper is paper too
+    if (becamePaper) {
+      const filter = { user: req.user._id, account: account._id };
+      await Promise.all([
+        Trade.updateMany(filter, { tradingMode: "PAPER" }),
+        OptionTrade.updateMany(filter, { tradingMode: "PAPER" }),
+      ]);
+    }
+
+    res.json({
+      success: true,
+      data: account,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error:
+        error.code === 11000
+          ? "You already have an account with that name"
+          : error.message,
+    });
+  }
+});
+
+// Move trades and option trades into an account:
+// { tradeIds: [...], optionTradeIds: [...] }. Trades moved into a paper
+// account become paper trades.
+router.post("/:id/assign", protect, async (req, res) => {
+  try {
+    const account = await findOwnAccount(req);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: "Account not found",
+      });
+    }
+
+    const { tradeIds = [], optionTradeIds = [] } = req.body;
+    const update = {
+      account: account._id,
+      ...(account.isPaper && { tradingMode: "PAPER" }),
+    };
+    const [trades, optionTrades] = await Promise.all([
+      Trade.updateMany({ _id: { $in: tradeIds }, user: req.user._id }, update),
+      OptionTrade.updateMany(
+        { _id: { $in: optionTradeIds }, user: req.user._id },
+        update
+      ),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        trades: trades.modifiedCount,
+        optionTrades: optionTrades.modifiedCount,
+      },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Delete an account. Its trades and cash transactions move to
+// `?moveTo=<accountId>`, or are left unassigned with `?moveTo=unassigned`;
+// without it, only empty accounts can be deleted.
+router.delete("/:id", protect, async (req, res) => {
+  try {
+    const account = await findOwnAccount(req);
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: "Account not found",
+      });
+    }
+
+    const { moveTo } = req.query;
+    const booked = { user: req.user._id, account: account._id };
+    const [tradeCount, optionTradeCount, cashCount] = await Promise.all([
+      Trade.countDocuments(booked),
+      OptionTrade.countDocuments(booked),
+      CashTransaction.countDocuments(booked),
+    ]);
+
+    if (tradeCount + optionTradeCount + cashCount > 0) {
+      if (!moveTo) {
+        return res.status(400).json({
+          success: false,
+          error:
+            "Account has trades or cash transactions; pass moveTo with another account or 'unassigned'",
+        });
+      }
+
+      const target =
+        moveTo === accountService.UNASSIGNED
+          ? null
+          : await accountService.resolveTradeAccount(req.user, moveTo, false);
+      if (target && target._id.equals(account._id)) {
+        return res.status(400).json({
+          success: false,
+          error: "Trades must move to a different account",
+        });
+      }
+
+      await Promise.all([
+        Trade.updateMany(booked, { account: target?._id ?? null }),
+        OptionTrade.updateMany(booked, { account: target?._id ?? null }),
+        CashTransaction.updateMany(booked, { account: target?._id ?? null }),
+      ]);
+    }
+
+    await account.deleteOne();
+
+    res.json({
+      success: true,
+      data: {
+        moved: {
+          trades: tradeCount,
+          optionTrades: optionTradeCount,
+          cashTransactions: cashCount,
+        },
+      },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
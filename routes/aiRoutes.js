@@ -6,6 +6,14 @@ const { protect } = require("../middleware/authMiddleware");
 const Trade = require("../models/Trade");
 const OptionTrade = require("../models/OptionTrade");
 const User = require("../models/User");
+const fxService = require("../services/fxService");
+const accountService = require("../services/accountService");
+const {
+  resolveTimeZone,
+  toLocalDayKey,
+  getLocalTime,
+  getISOWeekRange,
+} = require("../utils/timeZones");
 
 // Add this at the top of aiRoutes.js, right after defining the router
 router.options("*", (req, res) => {
@@ -100,23 +108,34 @@ router.post(
         });
       }
 
-      // Parse the week string (format: YYYY-W##)
-      const [year, weekNum] = week.split("-W");
-
-      // Calculate start and end dates for the selected week
-      const startDate = getDateOfISOWeek(parseInt(weekNum), parseInt(year));
-      const endDate = new Date(startDate);
-      endDate.setDate(startDate.getDate() + 6); // 6 days after start = end of week
+      // The week (format: YYYY-W##) runs Monday to Sunday in the trader's
+      // time zone. Paper trades stay out unless `mode` asks for them.
+      let timeZone;
+      let weekRange;
+      let scope;
+      try {
+        timeZone = resolveTimeZone(req.user, req.body.tz);
+        weekRange = getISOWeekRange(week, timeZone);
+        scope = await accountService.getAccountScope(req.user, req.body);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+      const entryDate = { $gte: weekRange.start, $lt: weekRange.end };
 
       // Find all trades from both collections that fall within the selected week
       const stockTrades = await Trade.find({
         user: req.user._id,
-        entryDate: { $gte: startDate, $lte: endDate },
+        ...scope.filter,
+        entryDate,
       });
 
       const optionTrades = await OptionTrade.find({
         user: req.user._id,
-        entryDate: { $gte: startDate, $lte: endDate },
+        ...scope.filter,
+        entryDate,
       });
 
       // If there are no trades for this week, return early
@@ -133,14 +152,23 @@ router.post(
       let losingTrades = 0;
       let totalProfit = 0;
 
+      // P/L is summarized in the user's reporting currency
+      const toReporting = await fxService.createTradeConverter(
+        [...stockTrades, ...optionTrades],
+        req.user.preferences?.defaultCurrency
+      );
+      const currency = toReporting.currency;
+      const reportedPL = (trade) =>
+        toReporting(trade.profitLoss?.realized || 0, trade);
+
       // Count stock trade results
       stockTrades.forEach((trade) => {
         if (trade.profitLoss && trade.profitLoss.realized > 0) {
           winningTrades++;
-          totalProfit += trade.profitLoss.realized;
+          totalProfit += reportedPL(trade);
         } else if (trade.profitLoss && trade.profitLoss.realized < 0) {
           losingTrades++;
-          totalProfit += trade.profitLoss.realized;
+          totalProfit += reportedPL(trade);
         }
       });
 
@@ -148,10 +176,10 @@ router.post(
       optionTrades.forEach((trade) => {
         if (trade.profitLoss && trade.profitLoss.realized > 0) {
           winningTrades++;
-          totalProfit += trade.profitLoss.realized;
+          totalProfit += reportedPL(trade);
         } else if (trade.profitLoss && trade.profitLoss.realized < 0) {
           losingTrades++;
-          totalProfit += trade.profitLoss.realized;
+          totalProfit += reportedPL(trade);
         }
       });
 
@@ -163,21 +191,23 @@ router.post(
         .map((trade) => {
           return `
         Trade: ${trade.symbol} (${trade.type})
-        Entry: ${trade.entryPrice} on ${new Date(
-            trade.entryDate
-          ).toLocaleDateString()}
+        Entry: ${trade.entryPrice} on ${toLocalDayKey(
+            trade.entryDate,
+            timeZone
+          )}
         ${
           trade.exitPrice
-            ? `Exit: ${trade.exitPrice} on ${new Date(
-                trade.exitDate
-              ).toLocaleDateString()}`
+            ? `Exit: ${trade.exitPrice} on ${toLocalDayKey(
+                trade.exitDate,
+                timeZone
+              )}`
             : "Still Open"
         }
         ${
           trade.profitLoss
-            ? `P/L: $${trade.profitLoss.realized.toFixed(
+            ? `P/L: ${reportedPL(trade).toFixed(
                 2
-              )} (${trade.profitLoss.percentage.toFixed(2)}%)`
+              )} ${currency} (${trade.profitLoss.percentage.toFixed(2)}%)`
             : ""
         }
         ${trade.setup ? `Setup: ${trade.setup}` : ""}
@@ -196,7 +226,7 @@ router.post(
   - Winning Trades: ${winningTrades}
   - Losing Trades: ${losingTrades}
   - Win Rate: ${winRate}%
-  - Total P/L: $${totalProfit.toFixed(2)}
+  - Total P/L: ${totalProfit.toFixed(2)} ${currency}
   
   Individual Trades:
   ${tradeSummaries}
@@ -286,18 +316,6 @@ router.post(
   }
 );
 
-// Helper function to get the date of a specific week
-function getDateOfISOWeek(week, year) {
-  const simple = new Date(year, 0, 1 + (week - 1) * 7);
-  const dow = simple.getDay();
-  const ISOweekStart = simple;
-  if (dow <= 4) {
-    ISOweekStart.setDate(simple.getDate() - simple.getDay() + 1);
-  } else {
-    ISOweekStart.setDate(simple.getDate() + 8 - simple.getDay());
-  }
-  return ISOweekStart;
-}
 // New endpoint for Smart Trade Coaching
 router.post(
   "/analyze-trade/:tradeId",
@@ -462,14 +480,29 @@ router.post(
   checkAndDecrementAICredits,
   async (req, res) => {
     try {
+      // Hours and weekdays are the trader's local ones
+      const timeZone = resolveTimeZone(req.user);
+
+      let scope;
+      try {
+        scope = await accountService.getAccountScope(req.user, req.body);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
       // Get all completed trades for the user
       const stockTrades = await Trade.find({
         user: req.user._id,
+        ...scope.filter,
         status: "CLOSED",
       });
 
       const optionTrades = await OptionTrade.find({
         user: req.user._id,
+        ...scope.filter,
         status: "CLOSED",
       });
 
@@ -537,8 +570,10 @@ router.post(
 
         // Analyze by time of day
         if (trade.entryDate) {
-          const entryDate = new Date(trade.entryDate);
-          const hour = entryDate.getHours();
+          const { hour, weekday: dayOfWeek } = getLocalTime(
+            trade.entryDate,
+            timeZone
+          );
 
           if (hour < 12) {
             tradesByTimeOfDay.morning.count++;
@@ -555,7 +590,6 @@ router.post(
           }
 
           // Analyze by day of week
-          const dayOfWeek = entryDate.getDay();
           tradesByDayOfWeek[dayOfWeek].count++;
           if (isWin) tradesByDayOfWeek[dayOfWeek].wins++;
           tradesByDayOfWeek[dayOfWeek].profit += profit;
@@ -1407,15 +1441,27 @@ router.post(
         });
       }
 
+      let scope;
+      try {
+        scope = await accountService.getAccountScope(req.user, req.body);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
       // Get user's past trades for this symbol to analyze patterns
       const stockTrades = await Trade.find({
         user: req.user._id,
+        ...scope.filter,
         symbol: symbol,
         status: "CLOSED",
       });
 
       const optionTrades = await OptionTrade.find({
         user: req.user._id,
+        ...scope.filter,
         ticker: symbol,
         status: "CLOSED",
       });
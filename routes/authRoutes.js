@@ -9,6 +9,16 @@ const { protect } = require("../middleware/authMiddleware");
 const TradeReview = require("../models/TradeReview");
 const mongoose = require("mongoose");
 const stripe = require("../config/stripe");
+const { getPLBasis, getRealizedPL, plField } = require("../utils/profitLoss");
+const fxService = require("../services/fxService");
+const accountService = require("../services/accountService");
+const markToMarketService = require("../services/markToMarketService");
+const personalDataService = require("../services/personalDataService");
+const {
+  isValidTimeZone,
+  resolveTimeZone,
+  startOfLocalDay,
+} = require("../utils/timeZones");
 
 // Add at the top with your other imports
 const sendEmail = async (to, subject, text) => {
@@ -418,6 +428,12 @@ router.put("/settings", protect, async (req, res) => {
   try {
     const { startingCapital, defaultCurrency, timeZone, experienceLevel } =
       req.body.preferences;
+    if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown time zone: ${timeZone}`,
+      });
+    }
     const user = await User.findByIdAndUpdate(
       req.user._id,
       { preferences: req.body.preferences },
@@ -439,6 +455,8 @@ router.put("/settings", protect, async (req, res) => {
 // Get user profile
 router.get("/profile/:username", protect, async (req, res) => {
   try {
+    const basis = getPLBasis(req);
+
     // Get the requesting user's ID from the token if it exists
     const requestingUserId = req.headers.authorization ? req.user?._id : null;
 
@@ -470,15 +488,15 @@ router.get("/profile/:username", protect, async (req, res) => {
 
     // Calculate user stats
     const stats = await Trade.aggregate([
-      { $match: { user: user._id } },
+      { $match: { user: user._id, ...accountService.LIVE_ONLY } },
       {
         $group: {
           _id: null,
           totalTrades: { $sum: 1 },
           winningTrades: {
-            $sum: { $cond: [{ $gt: ["$profitLoss.realized", 0] }, 1, 0] },
+            $sum: { $cond: [{ $gt: [plField(basis), 0] }, 1, 0] },
           },
-          totalProfit: { $sum: "$profitLoss.realized" },
+          totalProfit: { $sum: plField(basis) },
         },
       },
       {
@@ -600,21 +618,23 @@ router.put("/profile", protect, async (req, res) => {
 // Get all traders with stats
 router.get("/traders", protect, async (req, res) => {
   try {
+    const basis = getPLBasis(req);
+
     const traders = await User.find().select("-password -email").lean();
 
     // Get stats for each trader
     const tradersWithStats = await Promise.all(
       traders.map(async (trader) => {
         const stats = await Trade.aggregate([
-          { $match: { user: trader._id } },
+          { $match: { user: trader._id, ...accountService.LIVE_ONLY } },
           {
             $group: {
               _id: null,
               totalTrades: { $sum: 1 },
               winningTrades: {
-                $sum: { $cond: [{ $gt: ["$profitLoss.realized", 0] }, 1, 0] },
+                $sum: { $cond: [{ $gt: [plField(basis), 0] }, 1, 0] },
               },
-              totalProfit: { $sum: "$profitLoss.realized" },
+              totalProfit: { $sum: plField(basis) },
             },
           },
         ]);
@@ -655,6 +675,8 @@ router.get("/traders", protect, async (req, res) => {
 // Get leaderboard data
 router.get("/leaderboard", protect, async (req, res) => {
   try {
+    const basis = getPLBasis(req);
+
     const { timeFrame } = req.query;
     let dateFilter = {};
 
@@ -665,7 +687,11 @@ router.get("/leaderboard", protect, async (req, res) => {
 
       switch (timeFrame) {
         case "today":
-          startDate = new Date(now.setHours(0, 0, 0, 0));
+          // Today in the viewer's time zone
+          startDate = startOfLocalDay(
+            now,
+            resolveTimeZone(req.user, req.query.tz)
+          );
           break;
         case "week":
           startDate = new Date(now.setDate(now.getDate() - 7));
@@ -688,8 +714,8 @@ router.get("/leaderboard", protect, async (req, res) => {
 
     const traders = await User.find().select("-password -email").lean();
 
-    // Get stats for each trader
-    const tradersWithStats = await Promise.all(
+    // Closed live trades of each trader
+    const tradesByTrader = await Promise.all(
       traders.map(async (trader) => {
         const traderId = trader._id;
 
@@ -698,6 +724,8 @@ router.get("/leaderboard", protect, async (req, res) => {
           user: traderId,
           status: "CLOSED",
           ...dateFilter,
+          // Only live trades are ranked
+          ...accountService.LIVE_ONLY,
         }).lean();
 
         // For option trades
@@ -705,56 +733,66 @@ router.get("/leaderboard", protect, async (req, res) => {
           user: traderId,
           status: "CLOSED",
           ...dateFilter,
+          ...accountService.LIVE_ONLY,
         }).lean();
 
         // Combine all trades
-        const allTrades = [...stockTrades, ...optionTrades];
-
-        if (allTrades.length === 0) {
-          return {
-            ...trader,
-            stats: {
-              totalTrades: 0,
-              winningTrades: 0,
-              losingTrades: 0,
-              totalProfit: 0,
-              winRate: 0,
-              winLossRatio: 0,
-            },
-          };
-        }
+        return [...stockTrades, ...optionTrades];
+      })
+    );
 
-        // Calculate stats
-        const winningTrades = allTrades.filter(
-          (t) => t.profitLoss.realized > 0
-        );
-        const losingTrades = allTrades.filter(
-          (t) => t.profitLoss.realized <= 0
-        );
-
-        const totalProfit = allTrades.reduce(
-          (sum, trade) => sum + trade.profitLoss.realized,
-          0
-        );
-        const winRate = (winningTrades.length / allTrades.length) * 100;
-        const winLossRatio =
-          losingTrades.length > 0
-            ? winningTrades.length / losingTrades.length
-            : winningTrades.length;
+    // Rank everyone in the viewer's currency
+    const toReporting = await fxService.createTradeConverter(
+      tradesByTrader.flat(),
+      req.user.preferences?.defaultCurrency
+    );
+    const reportedPL = (trade) =>
+      toReporting(getRealizedPL(trade, basis), trade);
 
+    // Get stats for each trader
+    const tradersWithStats = traders.map((trader, index) => {
+      const allTrades = tradesByTrader[index];
+
+      if (allTrades.length === 0) {
         return {
           ...trader,
           stats: {
-            totalTrades: allTrades.length,
-            winningTrades: winningTrades.length,
-            losingTrades: losingTrades.length,
-            totalProfit: totalProfit,
-            winRate: parseFloat(winRate.toFixed(1)),
-            winLossRatio: parseFloat(winLossRatio.toFixed(2)),
+            totalTrades: 0,
+            winningTrades: 0,
+            losingTrades: 0,
+            totalProfit: 0,
+            winRate: 0,
+            winLossRatio: 0,
           },
         };
-      })
-    );
+      }
+
+      // Calculate stats
+      const winningTrades = allTrades.filter((t) => reportedPL(t) > 0);
+      const losingTrades = allTrades.filter((t) => reportedPL(t) <= 0);
+
+      const totalProfit = allTrades.reduce(
+        (sum, trade) => sum + reportedPL(trade),
+        0
+      );
+      const winRate = (winningTrades.length / allTrades.length) * 100;
+      const winLossRatio =
+        losingTrades.length > 0
+          ? winningTrades.length / losingTrades.length
+          : winningTrades.length;
+
+      return {
+        ...trader,
+        stats: {
+          totalTrades: allTrades.length,
+          winningTrades: winningTrades.length,
+          losingTrades: losingTrades.length,
+          totalProfit: totalProfit,
+          winRate: parseFloat(winRate.toFixed(1)),
+          winLossRatio: parseFloat(winLossRatio.toFixed(2)),
+        },
+      };
+    });
 
     // Sort by total profit (descending)
     const sortedTraders = tradersWithStats.sort(
@@ -763,6 +801,7 @@ router.get("/leaderboard", protect, async (req, res) => {
 
     res.json({
       success: true,
+      currency: toReporting.currency,
       data: sortedTraders,
     });
   } catch (error) {
@@ -777,29 +816,41 @@ router.get("/leaderboard", protect, async (req, res) => {
 // Add an endpoint to get the current user's stats that match the dashboard
 router.get("/me/stats", protect, async (req, res) => {
   try {
+    const basis = getPLBasis(req);
+
     const userId = req.user._id;
+    const scope = await accountService.getAccountScope(req.user, req.query);
 
     // Get stock trades
     const stockTrades = await Trade.find({
       user: userId,
+      ...scope.filter,
       status: "CLOSED",
     }).lean();
 
     // Get option trades
     const optionTrades = await OptionTrade.find({
       user: userId,
+      ...scope.filter,
       status: "CLOSED",
     }).lean();
 
     // Combine all trades
     const allTrades = [...stockTrades, ...optionTrades];
 
+    const toReporting = await fxService.createTradeConverter(
+      allTrades,
+      scope.currency
+    );
+    const reportedPL = (trade) =>
+      toReporting(getRealizedPL(trade, basis), trade);
+
     // Calculate stats the same way as the dashboard
-    const winningTrades = allTrades.filter((t) => t.profitLoss.realized > 0);
-    const losingTrades = allTrades.filter((t) => t.profitLoss.realized <= 0);
+    const winningTrades = allTrades.filter((t) => reportedPL(t) > 0);
+    const losingTrades = allTrades.filter((t) => reportedPL(t) <= 0);
 
     const totalProfit = allTrades.reduce(
-      (sum, trade) => sum + trade.profitLoss.realized,
+      (sum, trade) => sum + reportedPL(trade),
       0
     );
     const winRate =
@@ -820,6 +871,11 @@ router.get("/me/stats", protect, async (req, res) => {
         totalProfit: totalProfit,
         winRate: parseFloat(winRate.toFixed(1)),
         winLossRatio: parseFloat(winLossRatio.toFixed(2)),
+        openExposure: await markToMarketService.getOpenExposure(req.user, {
+          accountFilter: scope.filter,
+          currency: toReporting.currency,
+        }),
+        currency: toReporting.currency,
       },
     });
   } catch (error) {
@@ -896,9 +952,23 @@ router.put("/profile/update", protect, async (req, res) => {
       }
     }
 
+    if (timeZone !== undefined && !isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown time zone: ${timeZone}`,
+      });
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user._id,
-      { username, email, bio, tradingStyle, timeZone },
+      {
+        username,
+        email,
+        bio,
+        tradingStyle,
+        // The time zone lives with the other preferences
+        ...(timeZone !== undefined && { "preferences.timeZone": timeZone }),
+      },
       { new: true, runValidators: true }
     ).select("-password");
 
@@ -1001,6 +1071,8 @@ router.get("/validate", protect, async (req, res) => {
 // Get network data
 router.get("/network/:userId", protect, async (req, res) => {
   try {
+    const basis = getPLBasis(req);
+
     const user = await User.findById(req.params.userId);
 
     if (!user) {
@@ -1019,15 +1091,15 @@ router.get("/network/:userId", protect, async (req, res) => {
     const networkData = await Promise.all(
       networkUsers.map(async (networkUser) => {
         const stats = await Trade.aggregate([
-          { $match: { user: networkUser._id } },
+          { $match: { user: networkUser._id, ...accountService.LIVE_ONLY } },
           {
             $group: {
               _id: null,
               totalTrades: { $sum: 1 },
               winningTrades: {
-                $sum: { $cond: [{ $gt: ["$profitLoss.realized", 0] }, 1, 0] },
+                $sum: { $cond: [{ $gt: [plField(basis), 0] }, 1, 0] },
               },
-              totalProfit: { $sum: "$profitLoss.realized" },
+              totalProfit: { $sum: plField(basis) },
             },
           },
         ]);
@@ -1360,16 +1432,12 @@ router.delete("/delete-account", protect, async (req, res) => {
   try {
     const userId = req.user._id;
 
-    // 1. Delete all trade reviews created by this user
-    await TradeReview.deleteMany({ user: userId });
-
-    // 2. Delete all trade plans created by this user
-    await TradePlan.deleteMany({ user: userId });
-
-    // 3. Delete all trades created by this user
-    await Trade.deleteMany({ user: userId });
+    // 1. Delete everything tied to this user: trades, option trades,
+    // plans, reviews and comments, accounts and cash, notifications, data
+    // archives and study-group content
+    await personalDataService.deleteUserData(userId);
 
-    // 4. If using Stripe, handle subscription cancellation
+    // 2. If using Stripe, handle subscription cancellation
     if (req.user.subscription?.stripeCustomerId) {
       try {
         // Cancel any active subscriptions but don't provide refunds
@@ -1388,7 +1456,7 @@ router.delete("/delete-account", protect, async (req, res) => {
       }
     }
 
-    // 5. Finally delete the user
+    // 3. Finally delete the user
     await User.findByIdAndDelete(userId);
 
     res
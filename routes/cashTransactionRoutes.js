@@ -0,0 +1,151 @@
+const express = require("express");
+const router = express.Router();
+const CashTransaction = require("../models/CashTransaction");
+const accountService = require("../services/accountService");
+const { protect } = require("../middleware/authMiddleware");
+const { signedAmount } = require("../utils/returns");
+
+const EDITABLE_FIELDS = ["type", "amount", "currency", "date", "description"];
+
+const pickEditable = (body) =>
+  EDITABLE_FIELDS.reduce((data, field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+    return data;
+  }, {});
+
+const findOwnTransaction = (req) =>
+  CashTransaction.findOne({ _id: req.params.id, user: req.user._id });
+
+// GET the cash ledger (?account=&type=DEPOSIT&from=&to=) with totals per
+// type and currency
+router.get("/", protect, async (req, res) => {
+  try {
+    const scope = await accountService.getAccountScope(
+      req.user,
+      { account: req.query.account },
+      { defaultMode: "all" }
+    );
+    const { type, from, to } = req.query;
+
+    const filter = { user: req.user._id, ...scope.filter };
+    if (type) filter.type = String(type).toUpperCase();
+    if (from || to) {
+      filter.date = {};
+      if (from) filter.date.$gte = new Date(from);
+      if (to) filter.date.$lte = new Date(to);
+    }
+
+    const transactions = await CashTransaction.find(filter).sort({ date: -1 });
+
+    const totals = {};
+    transactions.forEach(({ currency, type, amount }) => {
+      totals[currency] = totals[currency] || { net: 0 };
+      totals[currency][type] = (totals[currency][type] || 0) + amount;
+      totals[currency].net += signedAmount({ type, amount });
+    });
+
+    res.json({
+      success: true,
+      count: transactions.length,
+      totals,
+      data: transactions,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Record a deposit, withdrawal, fee, interest or dividend. Without an
+// account it goes to the default one, in that account's currency.
+router.post("/", protect, async (req, res) => {
+  try {
+    const account = await accountService.resolveTradeAccount(
+      req.user,
+      req.body.account
+    );
+
+    const transaction = await CashTransaction.create({
+      currency: account?.baseCurrency || req.user.preferences?.defaultCurrency,
+      ...pickEditable(req.body),
+      user: req.user._id,
+      account: account?._id ?? null,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: transaction,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Update a cash transaction
+router.put("/:id", protect, async (req, res) => {
+  try {
+    const transaction = await findOwnTransaction(req);
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        error: "Transaction not found",
+      });
+    }
+
+    if (req.body.account !== undefined) {
+      const account = await accountService.resolveTradeAccount(
+        req.user,
+        req.body.account,
+        false
+      );
+      transaction.account = account?._id ?? null;
+    }
+
+    transaction.set(pickEditable(req.body));
+    await transaction.save();
+
+    res.json({
+      success: true,
+      data: transaction,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Delete a cash transaction
+router.delete("/:id", protect, async (req, res) => {
+  try {
+    const transaction = await findOwnTransaction(req);
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        error: "Transaction not found",
+      });
+    }
+
+    await transaction.deleteOne();
+
+    res.json({
+      success: true,
+      data: {},
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
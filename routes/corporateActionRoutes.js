@@ -0,0 +1,222 @@
+const express = require("express");
+const router = express.Router();
+const CorporateAction = require("../models/CorporateAction");
+const corporateActionService = require("../services/corporateActionService");
+const { protect } = require("../middleware/authMiddleware");
+const { adminProtect } = require("../middleware/adminMiddleware");
+const { parseCsv } = require("../utils/csv");
+
+// Save actions one by one and adjust the trades each one touches
+const saveActions = async (actions, userId) => {
+  const saved = [];
+  const errors = [];
+
+  for (const [index, data] of actions.entries()) {
+    try {
+      const action = await CorporateAction.create({
+        ...data,
+        createdBy: userId,
+      });
+      const tradesAdjusted = await corporateActionService.applyAction(action);
+      saved.push({ ...action.toObject(), tradesAdjusted });
+    } catch (error) {
+      errors.push({
+        index,
+        symbol: data.symbol,
+        error:
+          error.code === 11000
+            ? "An action of this type already exists on that ex-date"
+            : error.message,
+      });
+    }
+  }
+
+  return { saved, errors };
+};
+
+// GET corporate actions (?symbol=AAPL&type=SPLIT&from=2024-01-01&to=2024-12-31)
+router.get("/", protect, async (req, res) => {
+  try {
+    const { symbol, type, from, to } = req.query;
+    const filter = {};
+
+    if (symbol) filter.symbol = symbol.toUpperCase();
+    if (type) filter.type = type.toUpperCase();
+    if (from || to) {
+      filter.exDate = {};
+      if (from) filter.exDate.$gte = new Date(from);
+      if (to) filter.exDate.$lte = new Date(to);
+    }
+
+    const actions = await CorporateAction.find(filter).sort({
+      symbol: 1,
+      exDate: -1,
+    });
+
+    res.json({
+      success: true,
+      count: actions.length,
+      data: actions,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Add actions for one symbol (admin only):
+// { actions: [{ type, exDate, ratio: { from, to } | amount }] }
+router.post("/symbol/:symbol", adminProtect, async (req, res) => {
+  try {
+    const actions = Array.isArray(req.body.actions)
+      ? req.body.actions
+      : [req.body];
+
+    const result = await saveActions(
+      actions.map((action) => ({ ...action, symbol: req.params.symbol })),
+      req.user._id
+    );
+
+    res.status(result.saved.length > 0 ? 201 : 400).json({
+      success: result.saved.length > 0,
+      data: result.saved,
+      errors: result.errors,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Load actions for many symbols (admin only): { actions: [{ symbol, ... }] }
+router.post("/", adminProtect, async (req, res) => {
+  try {
+    const { actions } = req.body;
+
+    if (!Array.isArray(actions) || actions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No corporate actions provided",
+      });
+    }
+
+    const result = await saveActions(actions, req.user._id);
+
+    res.status(result.saved.length > 0 ? 201 : 400).json({
+      success: result.saved.length > 0,
+      data: result.saved,
+      errors: result.errors,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Load actions from CSV (admin only):
+// { csv: "symbol,type,exdate,ratio,amount\nAAPL,SPLIT,2020-08-31,4:1,\n..." }
+router.post("/import", adminProtect, async (req, res) => {
+  try {
+    const { csv } = req.body;
+
+    if (!csv || typeof csv !== "string") {
+      return res.status(400).json({
+        success: false,
+        error: "CSV content is required",
+      });
+    }
+
+    const { actions, errors } = corporateActionService.actionsFromCsvRows(
+      parseCsv(csv)
+    );
+
+    if (actions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No valid corporate actions found in CSV",
+        errors,
+      });
+    }
+
+    const result = await saveActions(actions, req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        added: result.saved.length,
+        tradesAdjusted: result.saved.reduce(
+          (sum, action) => sum + action.tradesAdjusted,
+          0
+        ),
+        skipped: errors.length + result.errors.length,
+        errors: [...errors, ...result.errors],
+      },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Re-apply an action to trades entered since it was loaded (admin only)
+router.post("/:id/apply", adminProtect, async (req, res) => {
+  try {
+    const action = await CorporateAction.findById(req.params.id);
+
+    if (!action) {
+      return res.status(404).json({
+        success: false,
+        error: "Corporate action not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        tradesAdjusted: await corporateActionService.applyAction(action),
+      },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Delete an action and undo it on every trade (admin only)
+router.delete("/:id", adminProtect, async (req, res) => {
+  try {
+    const action = await CorporateAction.findById(req.params.id);
+
+    if (!action) {
+      return res.status(404).json({
+        success: false,
+        error: "Corporate action not found",
+      });
+    }
+
+    const tradesRestored = await corporateActionService.revertAction(action);
+    await action.deleteOne();
+
+    res.json({
+      success: true,
+      data: { tradesRestored },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,127 @@
+const fs = require("fs");
+const { pipeline } = require("stream/promises");
+const express = require("express");
+const router = express.Router();
+const DataArchive = require("../models/DataArchive");
+const personalDataService = require("../services/personalDataService");
+const { protect } = require("../middleware/authMiddleware");
+
+const withDownloadUrl = (archive) => ({
+  ...archive.toObject(),
+  downloadUrl: personalDataService.getDownloadUrl(archive),
+});
+
+// Ask for an archive of everything stored about you. It is built in the
+// background; you get a notification with the download link when it's
+// ready, or poll GET /:id.
+router.post("/", protect, async (req, res) => {
+  try {
+    const archive = await personalDataService.requestArchive(req.user);
+
+    res.status(202).json({
+      success: true,
+      data: withDownloadUrl(archive),
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET your archive requests, newest first
+router.get("/", protect, async (req, res) => {
+  try {
+    const archives = await DataArchive.find({ user: req.user._id }).sort({
+      createdAt: -1,
+    });
+
+    res.json({
+      success: true,
+      count: archives.length,
+      data: archives.map(withDownloadUrl),
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Download a ready archive. The token in the link is the only credential,
+// so the link works from an email or a plain browser tab until it expires.
+router.get("/download/:token", async (req, res) => {
+  let archive;
+  try {
+    archive = await personalDataService.findByDownloadToken(req.params.token);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  // The file may also have been cleaned up ahead of the record
+  const available =
+    archive &&
+    (await fs.promises.access(archive.filePath).then(
+      () => true,
+      () => false
+    ));
+  if (!available) {
+    return res.status(410).json({
+      success: false,
+      error: "This download link is invalid or has expired",
+    });
+  }
+
+  res.setHeader("Content-Type", "application/zip");
+  res.setHeader("Content-Length", archive.size);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${archive.fileName}"`
+  );
+
+  try {
+    await pipeline(fs.createReadStream(archive.filePath), res);
+    await DataArchive.updateOne(
+      { _id: archive._id },
+      { $inc: { downloadCount: 1 } }
+    );
+  } catch (error) {
+    // Part of the file may be out already; cut the download short
+    console.error("Data archive download error:", error);
+    res.destroy(error);
+  }
+});
+
+// GET one archive request, with its download link once ready
+router.get("/:id", protect, async (req, res) => {
+  try {
+    const archive = await DataArchive.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!archive) {
+      return res.status(404).json({
+        success: false,
+        error: "Archive not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: withDownloadUrl(archive),
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
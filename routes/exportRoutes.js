@@ -0,0 +1,36 @@
+const express = require("express");
+const router = express.Router();
+const { protect } = require("../middleware/authMiddleware");
+const exportService = require("../services/exportService");
+
+// Download the whole journal: trades, option trades, trade plans, reviews
+// and notes (?format=csv|json|xlsx&from=&to=&account=&mode=). CSV comes as
+// a zip with one file per entity, XLSX as one sheet per entity.
+router.get("/", protect, async (req, res) => {
+  let prepared;
+  try {
+    prepared = await exportService.prepareExport(req.user, req.query);
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+
+  res.setHeader("Content-Type", prepared.contentType);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${prepared.fileName}"`
+  );
+
+  try {
+    await exportService.writeExport(res, prepared);
+  } catch (error) {
+    // Headers and part of the file are already out; cut the download short
+    // so the client sees it failed
+    console.error("Export error:", error);
+    res.destroy(error);
+  }
+});
+
+module.exports = router;
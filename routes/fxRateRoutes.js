@@ -0,0 +1,178 @@
+const express = require("express");
+const router = express.Router();
+const FxRate = require("../models/FxRate");
+const fxService = require("../services/fxService");
+const { protect } = require("../middleware/authMiddleware");
+const { adminProtect } = require("../middleware/adminMiddleware");
+const { parseCsv } = require("../utils/csv");
+
+// Upsert rates keyed by pair and date
+const saveRates = async (rates) => {
+  const operations = rates.map((entry) => {
+    const rate = new FxRate({
+      ...entry,
+      date: entry.date || new Date().toISOString().slice(0, 10),
+    });
+    const error = rate.validateSync();
+    if (error) throw error;
+
+    return {
+      updateOne: {
+        filter: { base: rate.base, quote: rate.quote, date: rate.date },
+        update: { $set: { rate: rate.rate, source: rate.source } },
+        upsert: true,
+      },
+    };
+  });
+
+  const result = await FxRate.bulkWrite(operations);
+  return {
+    added: result.upsertedCount,
+    updated: result.modifiedCount,
+  };
+};
+
+// GET the latest rate for every currency pair
+router.get("/", protect, async (req, res) => {
+  try {
+    const rates = await FxRate.aggregate([
+      { $sort: { date: -1 } },
+      {
+        $group: {
+          _id: { base: "$base", quote: "$quote" },
+          rate: { $first: "$rate" },
+          date: { $first: "$date" },
+          source: { $first: "$source" },
+        },
+      },
+      {
+        $project: {
+          _id: 0,
+          base: "$_id.base",
+          quote: "$_id.quote",
+          rate: 1,
+          date: 1,
+          source: 1,
+        },
+      },
+      { $sort: { base: 1, quote: 1 } },
+    ]);
+
+    res.json({
+      success: true,
+      count: rates.length,
+      data: rates,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Convert an amount (?amount=100&from=EUR&to=USD&date=2024-01-31)
+router.get("/convert", protect, async (req, res) => {
+  try {
+    const { amount, from, to, date } = req.query;
+
+    if (amount === undefined || !from || !to) {
+      return res.status(400).json({
+        success: false,
+        error: "amount, from and to are required",
+      });
+    }
+
+    const asOf = date ? new Date(date) : new Date();
+    const fx = await fxService.getRate(from, to, asOf);
+
+    if (!fx) {
+      return res.status(404).json({
+        success: false,
+        error: `No exchange rate for ${from}/${to}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: from.toUpperCase(),
+        to: to.toUpperCase(),
+        amount: Number(amount),
+        rate: fx.rate,
+        rateDate: fx.date,
+        converted: Number((Number(amount) * fx.rate).toFixed(2)),
+      },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Add or replace rates (admin only): { rates: [{ base, quote, rate, date }] }
+router.post("/", adminProtect, async (req, res) => {
+  try {
+    const { rates } = req.body;
+
+    if (!Array.isArray(rates) || rates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No rates provided",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await saveRates(rates),
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Load dated rates from CSV (admin only): { csv: "date,base,quote,rate\n..." }
+// A pair column (EUR/USD) can replace base and quote.
+router.post("/import", adminProtect, async (req, res) => {
+  try {
+    const { csv } = req.body;
+
+    if (!csv || typeof csv !== "string") {
+      return res.status(400).json({
+        success: false,
+        error: "CSV content is required",
+      });
+    }
+
+    const { rates, errors } = fxService.ratesFromCsvRows(parseCsv(csv));
+
+    if (rates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No valid rates found in CSV",
+        errors,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...(await saveRates(rates)),
+        skipped: errors.length,
+        errors,
+      },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
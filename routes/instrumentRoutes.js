@@ -0,0 +1,168 @@
+const express = require("express");
+const router = express.Router();
+const Instrument = require("../models/Instrument");
+const { protect } = require("../middleware/authMiddleware");
+const { adminProtect } = require("../middleware/adminMiddleware");
+
+const EDITABLE_FIELDS = [
+  "symbol",
+  "name",
+  "assetClass",
+  "exchange",
+  "currency",
+  "multiplier",
+  "tickSize",
+  "tickValue",
+  "session",
+  "isActive",
+];
+
+const pickEditable = (body) =>
+  EDITABLE_FIELDS.reduce((data, field) => {
+    if (body[field] !== undefined) data[field] = body[field];
+    return data;
+  }, {});
+
+// GET the instrument catalog
+router.get("/", protect, async (req, res) => {
+  try {
+    const filter = req.query.all === "true" ? {} : { isActive: true };
+    const instruments = await Instrument.find(filter).sort({ symbol: 1 });
+
+    res.json({
+      success: true,
+      count: instruments.length,
+      data: instruments,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET the instrument for a root or contract symbol (ES, /ES, ESZ4)
+router.get("/lookup/:symbol", protect, async (req, res) => {
+  try {
+    const symbol = req.params.symbol.toUpperCase();
+    const instrument =
+      (await Instrument.findOne({ symbol, isActive: true })) ||
+      (await Instrument.findForSymbol(symbol));
+
+    if (!instrument) {
+      return res.status(404).json({
+        success: false,
+        error: "Instrument not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...instrument.toObject(),
+        sessionOpen: instrument.isSessionOpen(),
+      },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Load the default futures catalog (admin only)
+router.post("/seed", adminProtect, async (req, res) => {
+  try {
+    const added = await Instrument.seedDefaults();
+
+    res.json({
+      success: true,
+      data: { added },
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Add an instrument (admin only)
+router.post("/", adminProtect, async (req, res) => {
+  try {
+    const instrument = await Instrument.create(pickEditable(req.body));
+
+    res.status(201).json({
+      success: true,
+      data: instrument,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Update an instrument (admin only). Existing trades keep the multiplier
+// they were saved with.
+router.put("/:id", adminProtect, async (req, res) => {
+  try {
+    const instrument = await Instrument.findById(req.params.id);
+
+    if (!instrument) {
+      return res.status(404).json({
+        success: false,
+        error: "Instrument not found",
+      });
+    }
+
+    instrument.set(pickEditable(req.body));
+    if (req.body.tickValue === undefined && req.body.multiplier) {
+      instrument.tickValue = undefined;
+    }
+    await instrument.save();
+
+    res.json({
+      success: true,
+      data: instrument,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Deactivate an instrument (admin only); trades still reference it
+router.delete("/:id", adminProtect, async (req, res) => {
+  try {
+    const instrument = await Instrument.findByIdAndUpdate(
+      req.params.id,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!instrument) {
+      return res.status(404).json({
+        success: false,
+        error: "Instrument not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: instrument,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -2,11 +2,46 @@ const express = require("express");
 const router = express.Router();
 const { protect } = require("../middleware/authMiddleware");
 const OptionTrade = require("../models/OptionTrade");
+const {
+  getPLBasis,
+  getRealizedPL,
+  applyDefaultFees,
+} = require("../utils/profitLoss");
+const optionLifecycleService = require("../services/optionLifecycleService");
+const fxService = require("../services/fxService");
+const accountService = require("../services/accountService");
+const markToMarketService = require("../services/markToMarketService");
+const { calculateGreeks } = require("../utils/blackScholes");
+const { buildPayoffCurves } = require("../utils/optionPayoff");
 
-// GET all option trades
+// Price range, valuation dates and model inputs for payoff curves.
+// Volatility and rate are percentages (25 = 25%).
+const parsePayoffOptions = (query) => {
+  const toNumber = (value) =>
+    value === undefined || value === "" ? undefined : Number(value);
+  const percent = (value) =>
+    toNumber(value) === undefined ? undefined : Number(value) / 100;
+
+  return {
+    low: toNumber(query.low),
+    high: toNumber(query.high),
+    steps: toNumber(query.steps),
+    dates: query.dates ? String(query.dates).split(",").filter(Boolean) : [],
+    volatility: percent(query.volatility),
+    rate: percent(query.rate),
+  };
+};
+
+// GET all option trades, paper and live unless ?mode= narrows them
 router.get("/", protect, async (req, res) => {
   try {
-    const trades = await OptionTrade.find({ user: req.user._id }).sort({
+    const scope = await accountService.getAccountScope(req.user, req.query, {
+      defaultMode: "all",
+    });
+    const trades = await OptionTrade.find({
+      user: req.user._id,
+      ...scope.filter,
+    }).sort({
       entryDate: -1,
     });
     res.json({
@@ -25,10 +60,23 @@ router.get("/", protect, async (req, res) => {
 // POST new option trade
 router.post("/", protect, async (req, res) => {
   try {
-    const tradeData = {
-      ...req.body,
-      user: req.user._id,
-    };
+    const account = await accountService.resolveTradeAccount(
+      req.user,
+      req.body.account
+    );
+    const tradeData = applyDefaultFees(
+      {
+        ...req.body,
+        user: req.user._id,
+        account: account?._id ?? null,
+        tradingMode: accountService.resolveTradingMode(
+          req.body.tradingMode,
+          account
+        ),
+      },
+      req.user,
+      { isOption: true }
+    );
 
     const trade = await OptionTrade.create(tradeData);
 
@@ -60,10 +108,29 @@ router.put("/:id", protect, async (req, res) => {
       });
     }
 
-    trade = await OptionTrade.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
-    });
+    const { fees } = applyDefaultFees(
+      { ...trade.toObject(), fees: undefined, ...req.body },
+      req.user,
+      { isOption: true, existingFees: trade.fees }
+    );
+
+    // Moving to another account, or staying in the current one
+    const { account: accountId, ...changes } = req.body;
+    const account = await accountService.resolveTradeAccount(
+      req.user,
+      accountId !== undefined ? accountId : trade.account,
+      false
+    );
+    trade.account = account?._id ?? null;
+    changes.tradingMode = accountService.resolveTradingMode(
+      changes.tradingMode,
+      account,
+      trade.tradingMode
+    );
+
+    // Save through the document so P/L and fee hooks run
+    trade.set({ ...changes, ...(fees && { fees }) });
+    await trade.save();
 
     res.json({
       success: true,
@@ -77,6 +144,230 @@ router.put("/:id", protect, async (req, res) => {
   }
 });
 
+// Expire an open option trade worthless
+router.post("/:id/expire", protect, async (req, res) => {
+  try {
+    const trade = await OptionTrade.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!trade) {
+      return res.status(404).json({
+        success: false,
+        error: "Trade not found",
+      });
+    }
+
+    const asOf = req.body.date ? new Date(req.body.date) : new Date();
+    const updatedTrade = await optionLifecycleService.expire(trade, asOf);
+
+    res.json({
+      success: true,
+      data: updatedTrade,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Reopen an option trade (or one leg, with legId) that was expired worthless
+// by mistake
+router.post("/:id/reopen", protect, async (req, res) => {
+  try {
+    const trade = await OptionTrade.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!trade) {
+      return res.status(404).json({
+        success: false,
+        error: "Trade not found",
+      });
+    }
+
+    const updatedTrade = await optionLifecycleService.reopenExpired(trade, {
+      legId: req.body.legId,
+    });
+
+    res.json({
+      success: true,
+      data: updatedTrade,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Assign (short) or exercise (long) an option into a stock position
+const convertToStockHandler = (reason) => async (req, res) => {
+  try {
+    const trade = await OptionTrade.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!trade) {
+      return res.status(404).json({
+        success: false,
+        error: "Trade not found",
+      });
+    }
+
+    const { optionTrade, stockTrade } =
+      await optionLifecycleService.convertToStock(trade, {
+        reason,
+        date: req.body.date,
+        legId: req.body.legId,
+      });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        optionTrade,
+        stockTrade,
+      },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+};
+
+router.post("/:id/assign", protect, convertToStockHandler("ASSIGNED"));
+router.post("/:id/exercise", protect, convertToStockHandler("EXERCISED"));
+
+// Roll an option into a new linked contract
+router.post("/:id/roll", protect, async (req, res) => {
+  try {
+    const trade = await OptionTrade.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!trade) {
+      return res.status(404).json({
+        success: false,
+        error: "Trade not found",
+      });
+    }
+
+    const { closePrice, date, newContract } = req.body;
+    const { closedTrade, newTrade } = await optionLifecycleService.roll(trade, {
+      closePrice,
+      date,
+      newContract,
+      user: req.user,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        closedTrade,
+        newTrade,
+      },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET open option trades past their expiration that the expiration job
+// couldn't expire, to assign, exercise, expire or close by hand
+router.get("/expiration-review", protect, async (req, res) => {
+  try {
+    const trades = await OptionTrade.find({
+      user: req.user._id,
+      status: "OPEN",
+      expirationReview: { $ne: null },
+    }).sort({ expiration: 1 });
+
+    res.json({
+      success: true,
+      count: trades.length,
+      data: trades,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET all roll chains with chain-level totals
+router.get("/chains", protect, async (req, res) => {
+  try {
+    const scope = await accountService.getAccountScope(req.user, req.query);
+    const trades = await OptionTrade.find({
+      user: req.user._id,
+      ...scope.filter,
+      "rollChain.chainId": { $ne: null },
+    });
+
+    const chains = {};
+    trades.forEach((trade) => {
+      const chainId = trade.rollChain.chainId.toString();
+      chains[chainId] = chains[chainId] || [];
+      chains[chainId].push(trade);
+    });
+
+    const summaries = Object.values(chains)
+      .map((chainTrades) => optionLifecycleService.summarizeChain(chainTrades))
+      .sort((a, b) => new Date(b.startDate) - new Date(a.startDate));
+
+    res.json({
+      success: true,
+      count: summaries.length,
+      data: summaries,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET a single roll chain
+router.get("/chains/:chainId", protect, async (req, res) => {
+  try {
+    const trades = await OptionTrade.find({
+      user: req.user._id,
+      "rollChain.chainId": req.params.chainId,
+    });
+
+    if (trades.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "Roll chain not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: optionLifecycleService.summarizeChain(trades),
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
 // DELETE option trade
 router.delete("/:id", protect, async (req, res) => {
   try {
@@ -106,23 +397,178 @@ router.delete("/:id", protect, async (req, res) => {
   }
 });
 
+// Black-Scholes greeks / implied volatility calculator
+// Volatility, rate and dividend yield are percentages (25 = 25%)
+router.post("/calculator", protect, async (req, res) => {
+  try {
+    const {
+      contractType,
+      underlyingPrice,
+      strike,
+      expiration,
+      daysToExpiration,
+      optionPrice,
+      volatility,
+      rate,
+      dividendYield,
+      valuationDate,
+    } = req.body;
+
+    if (!["CALL", "PUT"].includes(contractType)) {
+      return res.status(400).json({
+        success: false,
+        error: "contractType must be CALL or PUT",
+      });
+    }
+    if (!underlyingPrice || !strike || (!expiration && !daysToExpiration)) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "underlyingPrice, strike and expiration (or daysToExpiration) are required",
+      });
+    }
+    if (optionPrice == null && volatility == null) {
+      return res.status(400).json({
+        success: false,
+        error: "Provide either optionPrice or volatility",
+      });
+    }
+
+    const valuedAt = valuationDate ? new Date(valuationDate) : new Date();
+    const result = calculateGreeks({
+      contractType,
+      underlyingPrice,
+      strike,
+      expiration: expiration
+        ? new Date(expiration)
+        : new Date(
+            valuedAt.getTime() + Number(daysToExpiration) * 24 * 60 * 60 * 1000
+          ),
+      optionPrice,
+      volatility: volatility != null ? Number(volatility) / 100 : undefined,
+      rate: rate != null ? Number(rate) / 100 : undefined,
+      dividendYield: dividendYield != null ? Number(dividendYield) / 100 : 0,
+      valuationDate: valuedAt,
+    });
+
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        error:
+          "Could not price this option (expired contract or premium below intrinsic value)",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET payoff curves for a group of option trades on one underlying
+// (?ids=a,b,c or ?symbol=SPY for every open trade on that symbol)
+router.get("/payoff", protect, async (req, res) => {
+  try {
+    const { ids, symbol } = req.query;
+
+    if (!ids && !symbol) {
+      return res.status(400).json({
+        success: false,
+        error: "Provide trade ids or a symbol",
+      });
+    }
+
+    const scope = await accountService.getAccountScope(req.user, req.query);
+    const filter = { user: req.user._id, ...scope.filter };
+    if (ids) {
+      filter._id = { $in: String(ids).split(",").filter(Boolean) };
+    } else {
+      filter.symbol = String(symbol).toUpperCase();
+      filter.status = "OPEN";
+    }
+
+    const trades = await OptionTrade.find(filter);
+
+    if (trades.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "No option trades found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: buildPayoffCurves(trades, parsePayoffOptions(req.query)),
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET payoff curves for a single option trade
+router.get("/:id/payoff", protect, async (req, res) => {
+  try {
+    const trade = await OptionTrade.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!trade) {
+      return res.status(404).json({
+        success: false,
+        error: "Trade not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: buildPayoffCurves([trade], parsePayoffOptions(req.query)),
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
 // GET option trade statistics
 router.get("/stats", protect, async (req, res) => {
   try {
+    const basis = getPLBasis(req);
+    const scope = await accountService.getAccountScope(req.user, req.query);
+
     const trades = await OptionTrade.find({
       user: req.user._id,
+      ...scope.filter,
       status: "CLOSED",
     });
 
+    const toReporting = await fxService.createTradeConverter(
+      trades,
+      scope.currency
+    );
+
     let totalTrades = trades.length;
     let profitableTrades = 0;
     let totalProfit = 0;
     let totalWinAmount = 0;
     let totalLossAmount = 0;
+    let multiLegTrades = 0;
+    const byStrategy = {};
 
-    // Process trades
+    // Process trades (a multi-leg position counts as one trade)
     trades.forEach((trade) => {
-      const pl = trade.profitLoss.realized;
+      const pl = toReporting(getRealizedPL(trade, basis), trade);
       totalProfit += pl;
 
       if (pl > 0) {
@@ -131,6 +577,24 @@ router.get("/stats", protect, async (req, res) => {
       } else if (pl < 0) {
         totalLossAmount += Math.abs(pl);
       }
+
+      if (trade.legs && trade.legs.length > 1) multiLegTrades++;
+
+      const strategy = trade.strategy || "OTHER";
+      byStrategy[strategy] = byStrategy[strategy] || {
+        totalTrades: 0,
+        winningTrades: 0,
+        totalProfit: 0,
+      };
+      byStrategy[strategy].totalTrades++;
+      byStrategy[strategy].totalProfit += pl;
+      if (pl > 0) byStrategy[strategy].winningTrades++;
+    });
+
+    const openExposure = await markToMarketService.getOpenExposure(req.user, {
+      accountFilter: scope.filter,
+      currency: toReporting.currency,
+      stocks: false,
     });
 
     // Calculate losing trades
@@ -155,6 +619,12 @@ router.get("/stats", protect, async (req, res) => {
         totalLossAmount,
         winRate,
         winLossRatio,
+        multiLegTrades,
+        byStrategy,
+        openExposure,
+        basis,
+        currency: toReporting.currency,
+        unconvertedCurrencies: [...toReporting.missingCurrencies],
       },
     });
   } catch (error) {
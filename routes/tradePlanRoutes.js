@@ -3,6 +3,9 @@ const express = require("express");
 const router = express.Router();
 const { protect } = require("../middleware/authMiddleware");
 const TradePlan = require("../models/TradePlan");
+const Trade = require("../models/Trade");
+const accountService = require("../services/accountService");
+const { resolveTimeZone } = require("../utils/timeZones");
 
 // GET all trade plans
 router.get("/", protect, async (req, res) => {
@@ -140,17 +143,20 @@ router.delete("/:id", protect, async (req, res) => {
 // GET time-based analysis
 router.get("/analysis/time", protect, async (req, res) => {
   try {
+    const scope = await accountService.getAccountScope(req.user, req.query);
+    const timeZone = resolveTimeZone(req.user, req.query.tz);
     const timeAnalysis = await Trade.aggregate([
       {
         $match: {
           user: req.user._id,
+          ...scope.filter,
           status: "CLOSED",
         },
       },
       {
         $group: {
           _id: {
-            hour: { $hour: "$entryDate" },
+            hour: { $hour: { date: "$entryDate", timezone: timeZone } },
             session: "$session",
           },
           totalTrades: { $sum: 1 },
@@ -195,10 +201,12 @@ router.get("/analysis/time", protect, async (req, res) => {
 // GET session statistics
 router.get("/analysis/sessions", protect, async (req, res) => {
   try {
+    const scope = await accountService.getAccountScope(req.user, req.query);
     const sessionStats = await Trade.aggregate([
       {
         $match: {
           user: req.user._id,
+          ...scope.filter,
           status: "CLOSED",
         },
       },
@@ -1,22 +1,85 @@
 const axios = require("axios");
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const { protect } = require("../middleware/authMiddleware");
 const Trade = require("../models/Trade");
 const OptionTrade = require("../models/OptionTrade");
+const Instrument = require("../models/Instrument");
+const ImportBatch = require("../models/ImportBatch");
+const CashTransaction = require("../models/CashTransaction");
+const { summarizeExecutions } = require("../utils/tradeExecutions");
+const { getAssetClassFields, calculatePips } = require("../utils/assetClasses");
+const { resolveTimeZone, toLocalDayKey } = require("../utils/timeZones");
+const fxService = require("../services/fxService");
+const accountService = require("../services/accountService");
+const taxLotService = require("../services/taxLotService");
+const financingService = require("../services/financingService");
+const paperTradingService = require("../services/paperTradingService");
+const equityService = require("../services/equityService");
+const markToMarketService = require("../services/markToMarketService");
+const corporateActionService = require("../services/corporateActionService");
+const brokerImportService = require("../services/brokerImportService");
+const importBatchService = require("../services/importBatchService");
+const {
+  getPLBasis,
+  getRealizedPL,
+  calculateRMultiple,
+  plField,
+  sumFees,
+  sumDividends,
+  applyDefaultFees,
+} = require("../utils/profitLoss");
+const {
+  resolveFinancingRates,
+  accrueFinancing,
+  financingFees,
+} = require("../utils/financing");
 
 // Helper function to calculate P/L for a trade
 const calculateProfitLoss = (trade) => {
+  const multiplier = Number(trade.multiplier) || 1;
+
+  // Scaled positions are priced from their executions
+  if (Array.isArray(trade.executions) && trade.executions.length > 0) {
+    const summary = summarizeExecutions(
+      trade.type,
+      trade.executions,
+      multiplier
+    );
+    return {
+      realized: summary.realized,
+      percentage: summary.percentage,
+      net: Number(
+        (summary.realized - sumFees(trade) + sumDividends(trade)).toFixed(2)
+      ),
+      dividends: sumDividends(trade),
+      rMultiple:
+        summary.status === "CLOSED"
+          ? calculateRMultiple(
+              { ...trade, entryPrice: summary.entryPrice },
+              summary.realized
+            )
+          : null,
+      status: summary.status,
+    };
+  }
+
   if (!trade.exitPrice || !trade.exitQuantity) {
     return {
       realized: 0,
       percentage: 0,
+      net: Number((sumDividends(trade) - sumFees(trade)).toFixed(2)),
+      dividends: sumDividends(trade),
+      rMultiple: null,
       status: "OPEN",
     };
   }
 
-  const entryValue = Number(trade.entryPrice) * Number(trade.entryQuantity);
-  const exitValue = Number(trade.exitPrice) * Number(trade.exitQuantity);
+  const entryValue =
+    Number(trade.entryPrice) * Number(trade.entryQuantity) * multiplier;
+  const exitValue =
+    Number(trade.exitPrice) * Number(trade.exitQuantity) * multiplier;
 
   let realizedPL;
 
@@ -34,23 +97,407 @@ const calculateProfitLoss = (trade) => {
   const result = {
     realized: Number(realizedPL.toFixed(2)),
     percentage: Number(((realizedPL / entryValue) * 100).toFixed(2)),
+    net: Number((realizedPL - sumFees(trade) + sumDividends(trade)).toFixed(2)),
+    dividends: sumDividends(trade),
+    rMultiple: calculateRMultiple(trade, realizedPL),
     status: "CLOSED",
   };
   return result;
 };
 
-// GET all trades
+// Helper function to fill entry/exit fields from a trade's executions
+const applyExecutions = (tradeData) => {
+  const summary = summarizeExecutions(
+    tradeData.type,
+    tradeData.executions,
+    Number(tradeData.multiplier) || 1
+  );
+
+  return {
+    ...tradeData,
+    executions: summary.executions,
+    entryPrice: summary.entryPrice,
+    entryQuantity: summary.entryQuantity,
+    entryDate: summary.entryDate,
+    exitPrice: summary.exitPrice,
+    exitQuantity: summary.exitQuantity,
+    exitDate: summary.exitDate,
+    openQuantity: summary.openQuantity,
+  };
+};
+
+// Helper function to attach a futures instrument (by id, root symbol or the
+// trade's contract symbol) and copy its multiplier onto the trade
+const applyInstrument = async (tradeData, existingTrade = null) => {
+  const requested = tradeData.instrument;
+  let instrument = null;
+
+  if (requested) {
+    instrument = mongoose.isValidObjectId(requested)
+      ? await Instrument.findById(requested)
+      : await Instrument.findOne({ symbol: String(requested).toUpperCase() });
+    if (!instrument) {
+      throw new Error(`Instrument not found: ${requested}`);
+    }
+  } else if (
+    requested === undefined &&
+    !existingTrade?.instrument &&
+    [undefined, "FUTURE"].includes(tradeData.assetClass)
+  ) {
+    instrument = await Instrument.findForSymbol(
+      tradeData.symbol || existingTrade?.symbol
+    );
+  }
+
+  if (instrument) {
+    return {
+      ...tradeData,
+      assetClass: "FUTURE",
+      instrument: instrument._id,
+      multiplier: instrument.multiplier,
+      quoteCurrency: instrument.currency,
+    };
+  }
+
+  // Explicitly detached from an instrument
+  if (requested === null) {
+    return {
+      ...tradeData,
+      assetClass: tradeData.assetClass || "EQUITY",
+      instrument: null,
+      multiplier: 1,
+    };
+  }
+
+  return {
+    ...tradeData,
+    multiplier: Number(tradeData.multiplier) || existingTrade?.multiplier || 1,
+  };
+};
+
+// Helper function to resolve the instrument and the asset class fields
+// (pair currencies, lot/pip size, multiplier) a trade is priced with
+const applyAssetClass = async (tradeData, existingTrade = null) => {
+  const withInstrument = await applyInstrument(tradeData, existingTrade);
+  const existing = existingTrade
+    ? {
+        symbol: existingTrade.symbol,
+        assetClass: existingTrade.assetClass,
+        baseCurrency: existingTrade.baseCurrency,
+        quoteCurrency: existingTrade.quoteCurrency,
+        quantityUnit: existingTrade.quantityUnit,
+        lotSize: existingTrade.lotSize,
+        pipSize: existingTrade.pipSize,
+      }
+    : {};
+
+  return {
+    ...withInstrument,
+    ...getAssetClassFields({ ...existing, ...withInstrument }),
+  };
+};
+
+const hasExecutions = (body) =>
+  Array.isArray(body.executions) && body.executions.length > 0;
+
+// Helper function to resolve fees: sent by the client, previously entered,
+// or derived from the user's fee schedule
+const resolveFees = (tradeData, user, existingFees = null) => {
+  const fees =
+    applyDefaultFees(tradeData, user, { existingFees }).fees ||
+    (existingFees?.toObject ? existingFees.toObject() : existingFees) ||
+    {};
+
+  return { ...fees, total: sumFees({ ...tradeData, fees }) };
+};
+
+// Helper function to accrue borrow fees and margin interest at the trade's
+// rates, falling back to the account's and then the user's defaults. Rates
+// are daily percentages of the position (financing.borrowRate: 0.05 charges
+// 0.05% a night). They are copied onto the trade so later changes to the
+// defaults don't rewrite history.
+const applyFinancing = (
+  tradeData,
+  user,
+  existingTrade = null,
+  account = null
+) => {
+  const existing = existingTrade?.financing?.toObject
+    ? existingTrade.financing.toObject()
+    : existingTrade?.financing;
+  const rates = resolveFinancingRates(
+    tradeData.financing,
+    existing,
+    account?.financing,
+    user.preferences?.financing
+  );
+  if (rates.borrowRate === null && rates.marginRate === null) {
+    return tradeData;
+  }
+
+  const financing = accrueFinancing(tradeData, rates);
+  const fees = { ...tradeData.fees, ...financingFees(financing) };
+
+  return {
+    ...tradeData,
+    financing,
+    fees: { ...fees, total: sumFees({ ...tradeData, fees }) },
+  };
+};
+
+// Helper function to turn a new trade's payload into the document to
+// create, with everything derived from it (asset class, corporate actions,
+// executions, fees, financing and P/L)
+const buildNewTrade = async (user, body, account) => {
+  let tradeData = await applyAssetClass({
+    ...body,
+    user: user._id,
+    account: account?._id ?? null,
+    tradingMode: accountService.resolveTradingMode(body.tradingMode, account),
+  });
+  // Restate fills from before any split it spans and credit dividends
+  tradeData = await corporateActionService.applyPendingActions(tradeData);
+
+  if (hasExecutions(tradeData)) {
+    tradeData = applyExecutions(tradeData);
+  }
+  tradeData.fees = resolveFees(tradeData, user);
+  tradeData = applyFinancing(tradeData, user, null, account);
+
+  // Calculate initial P/L
+  const pl = calculateProfitLoss(tradeData);
+  tradeData.status = pl.status;
+  tradeData.profitLoss = {
+    realized: pl.realized,
+    percentage: pl.percentage,
+    net: pl.net,
+    rMultiple: pl.rMultiple,
+  };
+  tradeData.profitLoss.converted = await fxService.convertProfitLoss(
+    tradeData,
+    user.preferences?.defaultCurrency
+  );
+
+  return { tradeData, pl };
+};
+
+// Messages of a validation error, one per invalid field
+const validationMessages = (error) =>
+  error.errors
+    ? Object.values(error.errors).map((fieldError) => fieldError.message)
+    : [error.message];
+
+// What an import row of each type becomes, and the prefix of its row ids
+const IMPORT_TYPES = {
+  trade: { Model: Trade, prefix: "T" },
+  optionTrade: { Model: OptionTrade, prefix: "O" },
+  cashTransaction: { Model: CashTransaction, prefix: "C" },
+};
+
+// Helper function to build and validate, without saving, the rows an import
+// would create: JSON rows ({ trades }) or what a broker statement holds
+// ({ format, csv, mapping, tz }, or { ofx } for an OFX/QFX file). Row ids
+// (T1, T2, ... for trades, O1, ... for option trades, C1, ... for cash
+// entries) follow the input order, so the same input gives the same ids in
+// the preview and the commit.
+const prepareImport = async (user, body) => {
+  let source;
+  let entries;
+  let errors = [];
+
+  const content = body.ofx || body.csv;
+  if (typeof content === "string" && content) {
+    source = body.ofx ? body.format || "ofx" : body.format;
+    const statement = brokerImportService.readStatement(user, content, {
+      format: source,
+      mapping: body.mapping,
+      timeZone: body.tz ? resolveTimeZone(user, body.tz) : undefined,
+    });
+    entries = ["trades", "optionTrades", "cashTransactions"].flatMap((list) =>
+      statement[list].map((entry) => ({
+        ...entry,
+        type: list.slice(0, -1),
+      }))
+    );
+    errors = statement.errors;
+  } else if (Array.isArray(body.trades) && body.trades.length > 0) {
+    source = "json";
+    entries = body.trades.map((data, index) => ({
+      type: "trade",
+      lines: [index + 1],
+      data,
+    }));
+  } else {
+    throw new Error(
+      "Send trades (JSON rows) or a statement (format and csv, or ofx)"
+    );
+  }
+
+  const account = await accountService.resolveTradeAccount(user, body.account);
+  const tradingMode = accountService.resolveTradingMode(
+    body.tradingMode,
+    account
+  );
+  const counters = { trade: 0, optionTrade: 0, cashTransaction: 0 };
+  const rows = [];
+
+  for (const entry of entries) {
+    counters[entry.type]++;
+    const row = {
+      id: `${IMPORT_TYPES[entry.type].prefix}${counters[entry.type]}`,
+      type: entry.type,
+      lines: entry.lines,
+      status: "VALID",
+      errors: [],
+      duplicateOf: null,
+      data: entry.data,
+    };
+
+    try {
+      const payload = { tradingMode, ...entry.data };
+      if (entry.type === "trade") {
+        row.data = (await buildNewTrade(user, payload, account)).tradeData;
+        await new Trade(row.data).validate();
+      } else if (entry.type === "cashTransaction") {
+        row.data = {
+          ...entry.data,
+          currency:
+            entry.data.currency ||
+            account?.baseCurrency ||
+            user.preferences?.defaultCurrency,
+          user: user._id,
+          account: account?._id ?? null,
+        };
+        await new CashTransaction(row.data).validate();
+      } else {
+        row.data = {
+          ...payload,
+          user: user._id,
+          account: account?._id ?? null,
+          tradingMode: accountService.resolveTradingMode(
+            payload.tradingMode,
+            account
+          ),
+        };
+        await new OptionTrade(row.data).validate();
+      }
+    } catch (error) {
+      row.status = "INVALID";
+      row.errors = validationMessages(error);
+    }
+    rows.push(row);
+  }
+
+  await importBatchService.flagDuplicates(user, rows);
+  return { source, account, rows, errors };
+};
+
+// Counts of preview rows by status
+const summarizeImportRows = (rows) => ({
+  total: rows.length,
+  valid: rows.filter((row) => row.status === "VALID").length,
+  invalid: rows.filter((row) => row.status === "INVALID").length,
+  duplicates: rows.filter((row) => row.status === "DUPLICATE").length,
+});
+
+// Helper function to total realized P/L per bucket in the reporting
+// currency. Trades are summed per currency and exit day first, so each
+// partial total converts at the rate its trades would, then merged.
+const groupProfitLoss = async (match, bucket, basis, currency) => {
+  const parts = await Trade.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          bucket,
+          currency: "$quoteCurrency",
+          day: {
+            $dateToString: {
+              format: "%Y-%m-%d",
+              date: { $ifNull: ["$exitDate", "$entryDate"] },
+            },
+          },
+        },
+        totalTrades: { $sum: 1 },
+        winningTrades: {
+          $sum: {
+            $cond: [{ $gt: [plField(basis), 0] }, 1, 0],
+          },
+        },
+        totalProfit: { $sum: plField(basis) },
+        rMultipleTotal: { $sum: "$profitLoss.rMultiple" },
+        rMultipleCount: {
+          $sum: { $cond: [{ $isNumber: "$profitLoss.rMultiple" }, 1, 0] },
+        },
+      },
+    },
+  ]);
+
+  const toReporting = await fxService.createConverter(
+    currency,
+    parts.map((part) => part._id.currency)
+  );
+
+  const groups = new Map();
+  parts.forEach((part) => {
+    const key = JSON.stringify(part._id.bucket ?? null);
+    const group = groups.get(key) || {
+      _id: part._id.bucket ?? null,
+      totalTrades: 0,
+      winningTrades: 0,
+      totalProfit: 0,
+      rMultipleTotal: 0,
+      rMultipleCount: 0,
+    };
+    group.totalTrades += part.totalTrades;
+    group.winningTrades += part.winningTrades;
+    group.totalProfit += toReporting(part.totalProfit, {
+      quoteCurrency: part._id.currency,
+      exitDate: new Date(part._id.day),
+    });
+    group.rMultipleTotal += part.rMultipleTotal;
+    group.rMultipleCount += part.rMultipleCount;
+    groups.set(key, group);
+  });
+
+  return {
+    groups: [...groups.values()].map(
+      ({ rMultipleTotal, rMultipleCount, ...group }) => ({
+        ...group,
+        avgRMultiple: rMultipleCount ? rMultipleTotal / rMultipleCount : null,
+        winRate: (group.winningTrades / group.totalTrades) * 100,
+        avgProfit: group.totalProfit / group.totalTrades,
+      })
+    ),
+    currency: toReporting.currency,
+    unconvertedCurrencies: [...toReporting.missingCurrencies],
+  };
+};
+
+// Helper function to resolve the accounts a tax report covers. Paper trades
+// have no tax consequences, so `mode` is ignored and only live trades count.
+const getTaxScope = (req) =>
+  accountService.getAccountScope(req.user, { account: req.query.account });
+
+// GET all trades, paper and live unless ?mode= narrows them
 router.get("/", protect, async (req, res) => {
   try {
-    const trades = await Trade.find({ user: req.user._id }).sort({
+    const scope = await accountService.getAccountScope(req.user, req.query, {
+      defaultMode: "all",
+    });
+    const trades = await Trade.find({
+      user: req.user._id,
+      ...scope.filter,
+    }).sort({
       entryDate: -1,
     });
 
     const processedTrades = trades.map((trade) => {
-      const pl = calculateProfitLoss(trade.toObject());
+      const tradeObject = trade.toObject();
+      const pl = calculateProfitLoss(tradeObject);
       return {
-        ...trade.toObject(),
-        profitLoss: pl,
+        ...tradeObject,
+        profitLoss: { ...tradeObject.profitLoss, ...pl },
       };
     });
 
@@ -70,17 +517,28 @@ router.get("/", protect, async (req, res) => {
 // GET trade statistics
 router.get("/stats", protect, async (req, res) => {
   try {
+    const scope = await accountService.getAccountScope(req.user, req.query);
+    const basis = getPLBasis(req);
+
     // Get all trades (both stock and options)
     const stockTrades = await Trade.find({
       user: req.user._id,
+      ...scope.filter,
       status: "CLOSED",
     });
 
     const optionTrades = await OptionTrade.find({
       user: req.user._id,
+      ...scope.filter,
       status: "CLOSED",
     });
 
+    // Report in the user's currency
+    const toReporting = await fxService.createTradeConverter(
+      [...stockTrades, ...optionTrades],
+      scope.currency
+    );
+
     // Count and sum up all trades
     let totalTrades = stockTrades.length + optionTrades.length;
     let profitableTrades = 0;
@@ -90,7 +548,7 @@ router.get("/stats", protect, async (req, res) => {
 
     // Process stock trades
     stockTrades.forEach((trade) => {
-      const pl = trade.profitLoss.realized;
+      const pl = toReporting(getRealizedPL(trade, basis), trade);
       totalProfit += pl;
 
       if (pl > 0) {
@@ -103,7 +561,7 @@ router.get("/stats", protect, async (req, res) => {
 
     // Process option trades
     optionTrades.forEach((trade) => {
-      const pl = trade.profitLoss.realized;
+      const pl = toReporting(getRealizedPL(trade, basis), trade);
       totalProfit += pl;
 
       if (pl > 0) {
@@ -114,6 +572,11 @@ router.get("/stats", protect, async (req, res) => {
       }
     });
 
+    const openExposure = await markToMarketService.getOpenExposure(req.user, {
+      accountFilter: scope.filter,
+      currency: toReporting.currency,
+    });
+
     // Calculate losing trades
     const losingTrades = totalTrades - profitableTrades;
 
@@ -136,6 +599,10 @@ router.get("/stats", protect, async (req, res) => {
         totalLossAmount,
         winRate,
         winLossRatio,
+        openExposure,
+        basis,
+        currency: toReporting.currency,
+        unconvertedCurrencies: [...toReporting.missingCurrencies],
       },
     });
   } catch (error) {
@@ -147,18 +614,87 @@ router.get("/stats", protect, async (req, res) => {
   }
 });
 
+// GET tax lots, realized disposals and wash sales
+// (?year=2024&symbol=AAPL&method=FIFO|LIFO|HIGHEST_COST|SPECIFIC_ID&account=)
+router.get("/tax-lots", protect, async (req, res) => {
+  try {
+    const scope = await getTaxScope(req);
+    const { year, symbol, method } = req.query;
+
+    const report = await taxLotService.buildReport(req.user, {
+      method: method && method.toUpperCase(),
+      year,
+      symbol,
+      accountFilter: scope.filter,
+    });
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET Form 8949 rows and Schedule D totals for a tax year
+// (?year=2024&format=json|csv&method=FIFO)
+router.get("/tax-lots/form-8949", protect, async (req, res) => {
+  try {
+    const scope = await getTaxScope(req);
+    const { year, format = "json", method } = req.query;
+
+    if (!/^\d{4}$/.test(String(year || ""))) {
+      return res.status(400).json({
+        success: false,
+        error: "A four-digit tax year is required",
+      });
+    }
+
+    const form = await taxLotService.buildForm8949(req.user, {
+      year,
+      method: method && method.toUpperCase(),
+      accountFilter: scope.filter,
+    });
+
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="form-8949-${year}.csv"`
+      );
+      return res.send(taxLotService.form8949ToCsv(form));
+    }
+
+    res.json({
+      success: true,
+      data: form,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
 // POST new trade
 router.post("/", protect, async (req, res) => {
   try {
-    // Validate required fields
-    const requiredFields = [
-      "symbol",
-      "type",
-      "tradeType",
-      "entryPrice",
-      "entryQuantity",
-      "entryDate",
-    ];
+    // Validate required fields (entry details come from executions if sent)
+    const requiredFields = hasExecutions(req.body)
+      ? ["symbol", "type", "tradeType"]
+      : [
+          "symbol",
+          "type",
+          "tradeType",
+          "entryPrice",
+          "entryQuantity",
+          "entryDate",
+        ];
     const missingFields = requiredFields.filter((field) => !req.body[field]);
 
     if (missingFields.length > 0) {
@@ -168,18 +704,11 @@ router.post("/", protect, async (req, res) => {
       });
     }
 
-    const tradeData = {
-      ...req.body,
-      user: req.user._id,
-    };
-
-    // Calculate initial P/L
-    const pl = calculateProfitLoss(tradeData);
-    tradeData.status = pl.status;
-    tradeData.profitLoss = {
-      realized: pl.realized,
-      percentage: pl.percentage,
-    };
+    const account = await accountService.resolveTradeAccount(
+      req.user,
+      req.body.account
+    );
+    const { tradeData, pl } = await buildNewTrade(req.user, req.body, account);
 
     const trade = await Trade.create(tradeData);
 
@@ -213,32 +742,148 @@ router.put("/:id", protect, async (req, res) => {
       });
     }
 
-    // Convert numeric fields
-    const tradeForPL = {
-      type: req.body.type,
-      entryPrice: Number(req.body.entryPrice) || 0,
-      entryQuantity: Number(req.body.entryQuantity) || 0,
-      exitPrice: req.body.exitPrice ? Number(req.body.exitPrice) : null,
-      exitQuantity: req.body.exitQuantity
-        ? Number(req.body.exitQuantity)
-        : null,
+    // Moving to another account, or staying in the current one
+    const account = await accountService.resolveTradeAccount(
+      req.user,
+      req.body.account !== undefined ? req.body.account : trade.account,
+      false
+    );
+    const tradingMode = accountService.resolveTradingMode(
+      req.body.tradingMode,
+      account,
+      trade.tradingMode
+    );
+
+    // Prices and quantities come back restated like the stored trade, so
+    // its corporate action adjustments are taken out and re-derived for the
+    // edited symbol, dates and fills
+    const stored = trade.toObject();
+    const storedAdjustments = {
+      symbol: req.body.symbol || trade.symbol,
+      type: req.body.type || trade.type,
+      stopLoss: req.body.stopLoss ?? trade.stopLoss,
+      riskManagement: req.body.riskManagement ?? stored.riskManagement,
+      corporateActions: stored.corporateActions,
     };
 
-    // Calculate new P/L
-    const pl = calculateProfitLoss(tradeForPL);
+    // Scaled positions replace their entry/exit fields from the executions
+    if (hasExecutions(req.body)) {
+      const tradeData = applyExecutions(
+        await corporateActionService.reapplyActions(
+          await applyAssetClass(
+            {
+              ...req.body,
+              ...storedAdjustments,
+              account: account?._id ?? null,
+              tradingMode,
+            },
+            trade
+          )
+        )
+      );
+      tradeData.fees = resolveFees(tradeData, req.user, trade.fees);
+      Object.assign(
+        tradeData,
+        applyFinancing(tradeData, req.user, trade, account)
+      );
+      const pl = calculateProfitLoss(tradeData);
+      const converted = await fxService.convertProfitLoss(
+        { ...tradeData, profitLoss: pl },
+        req.user.preferences?.defaultCurrency
+      );
+
+      trade.set({
+        ...tradeData,
+        profitLoss: {
+          realized: pl.realized,
+          percentage: pl.percentage,
+          net: pl.net,
+          rMultiple: pl.rMultiple,
+          dividends: pl.dividends,
+          pips:
+            tradeData.assetClass === "FOREX" && pl.status === "CLOSED"
+              ? calculatePips(tradeData)
+              : null,
+          converted,
+        },
+        status: pl.status,
+      });
+      await trade.save();
 
-    const updatedData = {
-      ...req.body,
+      return res.json({
+        success: true,
+        data: {
+          ...trade.toObject(),
+          profitLoss: pl,
+        },
+      });
+    }
+
+    const setup = await applyAssetClass(req.body, trade);
+    const adjusted = await corporateActionService.reapplyActions({
+      ...storedAdjustments,
+      assetClass: setup.assetClass,
+      entryDate: req.body.entryDate || trade.entryDate,
       entryPrice: Number(req.body.entryPrice),
       entryQuantity: Number(req.body.entryQuantity),
-      exitPrice: req.body.exitPrice ? Number(req.body.exitPrice) : undefined,
+      exitPrice: req.body.exitPrice ? Number(req.body.exitPrice) : null,
       exitQuantity: req.body.exitQuantity
         ? Number(req.body.exitQuantity)
-        : undefined,
+        : null,
+      exitDate: req.body.exitDate,
       postExitHigh: req.body.postExitHigh
         ? Number(req.body.postExitHigh)
         : null,
       postExitLow: req.body.postExitLow ? Number(req.body.postExitLow) : null,
+    });
+
+    // Convert numeric fields
+    const tradeForPL = {
+      type: req.body.type,
+      multiplier: setup.multiplier,
+      stopLoss: adjusted.stopLoss,
+      riskManagement: adjusted.riskManagement,
+      corporateActions: adjusted.corporateActions,
+      entryPrice: adjusted.entryPrice || 0,
+      entryQuantity: adjusted.entryQuantity || 0,
+      exitPrice: adjusted.exitPrice,
+      exitQuantity: adjusted.exitQuantity,
+      exitDate: req.body.exitDate,
+    };
+    tradeForPL.fees = resolveFees(
+      { ...req.body, ...tradeForPL },
+      req.user,
+      trade.fees
+    );
+    const financed = applyFinancing(
+      {
+        ...tradeForPL,
+        type: tradeForPL.type || trade.type,
+        entryDate: req.body.entryDate || trade.entryDate,
+        financing: req.body.financing,
+      },
+      req.user,
+      trade,
+      account
+    );
+    tradeForPL.fees = financed.fees;
+
+    // Calculate new P/L
+    const pl = calculateProfitLoss(tradeForPL);
+
+    const updatedData = {
+      ...setup,
+      account: account?._id ?? null,
+      tradingMode,
+      entryPrice: adjusted.entryPrice,
+      entryQuantity: adjusted.entryQuantity,
+      exitPrice: adjusted.exitPrice ?? undefined,
+      exitQuantity: adjusted.exitQuantity ?? undefined,
+      stopLoss: adjusted.stopLoss,
+      riskManagement: adjusted.riskManagement,
+      corporateActions: adjusted.corporateActions,
+      postExitHigh: adjusted.postExitHigh,
+      postExitLow: adjusted.postExitLow,
       postExitAnalysis: {
         lowBeforeHigh:
           req.body.postExitAnalysis?.lowBeforeHigh ??
@@ -250,17 +895,35 @@ router.put("/:id", protect, async (req, res) => {
           req.body.postExitAnalysis?.timeOfHigh ??
           trade.postExitAnalysis?.timeOfHigh,
       },
+      fees: tradeForPL.fees,
+      financing: financed.financing ?? trade.financing,
       profitLoss: {
         realized: pl.realized,
         percentage: pl.percentage,
+        net: pl.net,
+        rMultiple: pl.rMultiple,
+        dividends: pl.dividends,
+        pips:
+          setup.assetClass === "FOREX" && pl.status === "CLOSED"
+            ? calculatePips({ ...tradeForPL, pipSize: setup.pipSize })
+            : null,
+        converted: await fxService.convertProfitLoss(
+          {
+            ...setup,
+            exitDate: req.body.exitDate,
+            entryDate: req.body.entryDate || trade.entryDate,
+            profitLoss: pl,
+          },
+          req.user.preferences?.defaultCurrency
+        ),
       },
       status: pl.status,
     };
 
-    trade = await Trade.findByIdAndUpdate(req.params.id, updatedData, {
-      new: true,
-      runValidators: true,
-    });
+    // Saved through the document so the model's hooks run, as on create
+    // (they also re-derive the session when the entry time changed)
+    trade.set(updatedData);
+    await trade.save();
 
     res.json({
       success: true,
@@ -418,39 +1081,25 @@ router.post("/bulk-delete", protect, async (req, res) => {
 
 router.get("/analysis/patterns", protect, async (req, res) => {
   try {
-    const patterns = await Trade.aggregate([
-      { $match: { user: req.user._id, status: "CLOSED" } },
-      {
-        $group: {
-          _id: "$pattern",
-          totalTrades: { $sum: 1 },
-          winningTrades: {
-            $sum: {
-              $cond: [{ $gt: ["$profitLoss.realized", 0] }, 1, 0],
-            },
-          },
-          totalProfit: { $sum: "$profitLoss.realized" },
-        },
-      },
-      {
-        $project: {
-          pattern: "$_id",
-          totalTrades: 1,
-          winningTrades: 1,
-          totalProfit: 1,
-          winRate: {
-            $multiply: [{ $divide: ["$winningTrades", "$totalTrades"] }, 100],
-          },
-          averageProfit: {
-            $divide: ["$totalProfit", "$totalTrades"],
-          },
-        },
-      },
-    ]);
+    const scope = await accountService.getAccountScope(req.user, req.query);
+    const basis = getPLBasis(req);
+
+    const { groups, currency, unconvertedCurrencies } = await groupProfitLoss(
+      { user: req.user._id, ...scope.filter, status: "CLOSED" },
+      "$pattern",
+      basis,
+      scope.currency
+    );
 
     res.json({
       success: true,
-      data: patterns,
+      data: groups.map(({ avgProfit, ...group }) => ({
+        ...group,
+        pattern: group._id,
+        averageProfit: avgProfit,
+      })),
+      currency,
+      unconvertedCurrencies,
     });
   } catch (error) {
     res.status(400).json({
@@ -463,29 +1112,28 @@ router.get("/analysis/patterns", protect, async (req, res) => {
 // Add time analysis endpoint
 router.get("/analysis/time", protect, async (req, res) => {
   try {
-    const timeAnalysis = await Trade.aggregate([
-      { $match: { user: req.user._id, status: "CLOSED" } },
+    const scope = await accountService.getAccountScope(req.user, req.query);
+    const basis = getPLBasis(req);
+    // Hours are bucketed in the trader's time zone
+    const timeZone = resolveTimeZone(req.user, req.query.tz);
+
+    const { groups, currency, unconvertedCurrencies } = await groupProfitLoss(
+      { user: req.user._id, ...scope.filter, status: "CLOSED" },
       {
-        $group: {
-          _id: {
-            hour: { $hour: "$entryDate" },
-            session: "$session",
-          },
-          totalTrades: { $sum: 1 },
-          winningTrades: {
-            $sum: {
-              $cond: [{ $gt: ["$profitLoss.realized", 0] }, 1, 0],
-            },
-          },
-          totalProfit: { $sum: "$profitLoss.realized" },
-        },
+        hour: { $hour: { date: "$entryDate", timezone: timeZone } },
+        session: "$session",
       },
-      { $sort: { "_id.hour": 1 } },
-    ]);
+      basis,
+      scope.currency
+    );
 
     res.json({
       success: true,
-      data: timeAnalysis,
+      data: groups
+        .map(({ winRate, avgProfit, ...group }) => group)
+        .sort((a, b) => a._id.hour - b._id.hour),
+      currency,
+      unconvertedCurrencies,
     });
   } catch (error) {
     res.status(400).json({
@@ -498,18 +1146,29 @@ router.get("/analysis/time", protect, async (req, res) => {
 // Add trading streak endpoint
 router.get("/analysis/streak", protect, async (req, res) => {
   try {
+    const scope = await accountService.getAccountScope(req.user, req.query);
+    const basis = getPLBasis(req);
+    // Days are calendar days in the trader's time zone
+    const timeZone = resolveTimeZone(req.user, req.query.tz);
+
     const trades = await Trade.find({
       user: req.user._id,
+      ...scope.filter,
       status: "CLOSED",
     }).sort({ exitDate: 1 });
 
+    const toReporting = await fxService.createTradeConverter(
+      trades,
+      scope.currency
+    );
+
     let currentStreak = 0;
     let maxStreak = 0;
     let previousDate = null;
     let dailyPL = 0;
 
     trades.forEach((trade) => {
-      const tradeDate = new Date(trade.exitDate).toDateString();
+      const tradeDate = toLocalDayKey(trade.exitDate, timeZone);
 
       if (tradeDate !== previousDate) {
         if (dailyPL > 0) {
@@ -518,10 +1177,10 @@ router.get("/analysis/streak", protect, async (req, res) => {
         } else {
           currentStreak = 0;
         }
-        dailyPL = trade.profitLoss.realized;
+        dailyPL = toReporting(getRealizedPL(trade, basis), trade);
         previousDate = tradeDate;
       } else {
-        dailyPL += trade.profitLoss.realized;
+        dailyPL += toReporting(getRealizedPL(trade, basis), trade);
       }
     });
 
@@ -530,6 +1189,8 @@ router.get("/analysis/streak", protect, async (req, res) => {
       data: {
         currentStreak,
         maxStreak,
+        currency: toReporting.currency,
+        unconvertedCurrencies: [...toReporting.missingCurrencies],
       },
     });
   } catch (error) {
@@ -543,49 +1204,32 @@ router.get("/analysis/streak", protect, async (req, res) => {
 // GET time-based analysis
 router.get("/analysis/time", protect, async (req, res) => {
   try {
-    const timeAnalysis = await Trade.aggregate([
-      {
-        $match: {
-          user: req.user._id,
-          status: "CLOSED",
-        },
-      },
-      {
-        $group: {
-          _id: {
-            hour: { $hour: "$entryDate" },
-            session: "$session",
-          },
-          totalTrades: { $sum: 1 },
-          winningTrades: {
-            $sum: {
-              $cond: [{ $gt: ["$profitLoss.realized", 0] }, 1, 0],
-            },
-          },
-          totalProfit: { $sum: "$profitLoss.realized" },
-        },
-      },
+    const scope = await accountService.getAccountScope(req.user, req.query);
+    const basis = getPLBasis(req);
+    // Hours are bucketed in the trader's time zone
+    const timeZone = resolveTimeZone(req.user, req.query.tz);
+
+    const { groups, currency, unconvertedCurrencies } = await groupProfitLoss(
+      { user: req.user._id, ...scope.filter, status: "CLOSED" },
       {
-        $project: {
-          hour: "$_id.hour",
-          session: "$_id.session",
-          totalTrades: 1,
-          winningTrades: 1,
-          totalProfit: 1,
-          winRate: {
-            $multiply: [{ $divide: ["$winningTrades", "$totalTrades"] }, 100],
-          },
-          avgProfit: {
-            $divide: ["$totalProfit", "$totalTrades"],
-          },
-        },
+        hour: { $hour: { date: "$entryDate", timezone: timeZone } },
+        session: "$session",
       },
-      { $sort: { hour: 1 } },
-    ]);
+      basis,
+      scope.currency
+    );
 
     res.json({
       success: true,
-      data: timeAnalysis,
+      data: groups
+        .map(({ avgRMultiple, ...group }) => ({
+          ...group,
+          hour: group._id.hour,
+          session: group._id.session,
+        }))
+        .sort((a, b) => a.hour - b.hour),
+      currency,
+      unconvertedCurrencies,
     });
   } catch (error) {
     res.status(400).json({
@@ -598,44 +1242,141 @@ router.get("/analysis/time", protect, async (req, res) => {
 // GET session statistics
 router.get("/analysis/sessions", protect, async (req, res) => {
   try {
-    const sessionStats = await Trade.aggregate([
-      {
-        $match: {
-          user: req.user._id,
-          status: "CLOSED",
-        },
-      },
-      {
-        $group: {
-          _id: "$session",
-          totalTrades: { $sum: 1 },
-          winningTrades: {
-            $sum: {
-              $cond: [{ $gt: ["$profitLoss.realized", 0] }, 1, 0],
-            },
-          },
-          totalProfit: { $sum: "$profitLoss.realized" },
-        },
-      },
-      {
-        $project: {
-          session: "$_id",
-          totalTrades: 1,
-          winningTrades: 1,
-          totalProfit: 1,
-          winRate: {
-            $multiply: [{ $divide: ["$winningTrades", "$totalTrades"] }, 100],
-          },
-          avgProfit: {
-            $divide: ["$totalProfit", "$totalTrades"],
-          },
-        },
-      },
-    ]);
+    const scope = await accountService.getAccountScope(req.user, req.query);
+    const basis = getPLBasis(req);
+
+    const { groups, currency, unconvertedCurrencies } = await groupProfitLoss(
+      { user: req.user._id, ...scope.filter, status: "CLOSED" },
+      "$session",
+      basis,
+      scope.currency
+    );
+
+    res.json({
+      success: true,
+      data: groups.map((group) => ({ ...group, session: group._id })),
+      currency,
+      unconvertedCurrencies,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET borrow fees and margin interest per trade, with totals by trade type
+// and direction (?from=2024-01-01&to=2024-12-31)
+router.get("/analysis/financing", protect, async (req, res) => {
+  try {
+    const scope = await accountService.getAccountScope(req.user, req.query);
+    const { from, to } = req.query;
+
+    res.json({
+      success: true,
+      data: await financingService.getBreakdown(req.user, {
+        from,
+        to,
+        accountFilter: scope.filter,
+        currency: scope.currency,
+      }),
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET daily account equity from the cash ledger and net realized P/L
+// (?from=&to=&account=&mode=&tz=)
+router.get("/analysis/equity", protect, async (req, res) => {
+  try {
+    const scope = await accountService.getAccountScope(req.user, req.query);
+
+    res.json({
+      success: true,
+      data: await equityService.getEquitySeries(req.user, {
+        from: req.query.from,
+        to: req.query.to,
+        accountFilter: scope.filter,
+        currency: scope.currency,
+        timeZone: resolveTimeZone(req.user, req.query.tz),
+      }),
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET time-weighted and money-weighted returns
+// (?from=&to=&account=&mode=&tz=)
+router.get("/analysis/returns", protect, async (req, res) => {
+  try {
+    const scope = await accountService.getAccountScope(req.user, req.query);
+
+    res.json({
+      success: true,
+      data: await equityService.getReturns(req.user, {
+        from: req.query.from,
+        to: req.query.to,
+        accountFilter: scope.filter,
+        currency: scope.currency,
+        timeZone: resolveTimeZone(req.user, req.query.tz),
+      }),
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET daily unrealized P/L and open exposure from the end-of-day marks
+// (?from=&to=&account=&mode=)
+router.get("/analysis/unrealized", protect, async (req, res) => {
+  try {
+    const scope = await accountService.getAccountScope(req.user, req.query);
+
+    res.json({
+      success: true,
+      data: await markToMarketService.getSnapshotHistory(req.user, {
+        from: req.query.from,
+        to: req.query.to,
+        accountFilter: scope.filter,
+        currency: scope.currency,
+      }),
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET paper vs live results per setup
+// (?groupBy=strategy|pattern|setupType&account=)
+router.get("/analysis/paper-vs-live", protect, async (req, res) => {
+  try {
+    const scope = await accountService.getAccountScope(req.user, req.query, {
+      defaultMode: "all",
+    });
 
     res.json({
       success: true,
-      data: sessionStats,
+      data: await paperTradingService.compare(req.user, {
+        groupBy: req.query.groupBy,
+        accountFilter: scope.filter,
+        basis: getPLBasis(req),
+        currency: scope.currency,
+      }),
     });
   } catch (error) {
     res.status(400).json({
@@ -647,22 +1388,37 @@ router.get("/analysis/sessions", protect, async (req, res) => {
 
 router.get("/analysis/drawdown", protect, async (req, res) => {
   try {
+    const scope = await accountService.getAccountScope(req.user, req.query);
+    const basis = getPLBasis(req);
+    const timeZone = resolveTimeZone(req.user, req.query.tz);
+
     const trades = await Trade.find({
       user: req.user._id,
+      ...scope.filter,
       status: "CLOSED",
     }).sort({ exitDate: 1 });
 
+    const toReporting = await fxService.createTradeConverter(
+      trades,
+      scope.currency
+    );
+
     // Calculate drawdown metrics
     let maxDrawdown = 0;
     let currentDrawdown = 0;
     let maxConsecutiveLosses = 0;
     let currentLossStreak = 0;
     let biggestLoss = 0;
+    let maxDrawdownDate = null;
     let equity = 0;
     let peakEquity = 0;
+    // Realized P/L per calendar day in the trader's time zone
+    const dailyPL = {};
 
     trades.forEach((trade) => {
-      const pl = trade.profitLoss.realized;
+      const pl = toReporting(getRealizedPL(trade, basis), trade);
+      const day = toLocalDayKey(trade.exitDate, timeZone);
+      dailyPL[day] = (dailyPL[day] || 0) + pl;
       equity += pl;
 
       // Update peak equity
@@ -674,6 +1430,7 @@ router.get("/analysis/drawdown", protect, async (req, res) => {
       currentDrawdown = peakEquity - equity;
       if (currentDrawdown > maxDrawdown) {
         maxDrawdown = currentDrawdown;
+        maxDrawdownDate = day;
       }
 
       // Track consecutive losses
@@ -690,15 +1447,26 @@ router.get("/analysis/drawdown", protect, async (req, res) => {
       }
     });
 
+    const worstDay = Object.entries(dailyPL).reduce(
+      (worst, [date, pl]) =>
+        pl < 0 && (!worst || pl < worst.pl) ? { date, pl } : worst,
+      null
+    );
+
     res.json({
       success: true,
       data: {
         maxDrawdown,
+        maxDrawdownDate,
         maxConsecutiveLosses,
         biggestLoss,
+        worstDay,
         currentDrawdown: equity < peakEquity ? peakEquity - equity : 0,
         peakEquity,
         currentEquity: equity,
+        currency: toReporting.currency,
+        timeZone,
+        unconvertedCurrencies: [...toReporting.missingCurrencies],
       },
     });
   } catch (error) {
@@ -712,8 +1480,14 @@ router.get("/analysis/drawdown", protect, async (req, res) => {
 // In tradeRoutes.js
 router.get("/analysis/streaks", protect, async (req, res) => {
   try {
+    const scope = await accountService.getAccountScope(req.user, req.query);
+    const basis = getPLBasis(req);
+    // Days are calendar days in the trader's time zone
+    const timeZone = resolveTimeZone(req.user, req.query.tz);
+
     const trades = await Trade.find({
       user: req.user._id,
+      ...scope.filter,
       status: "CLOSED",
     }).sort({ exitDate: 1 });
 
@@ -725,7 +1499,7 @@ router.get("/analysis/streaks", protect, async (req, res) => {
     let dailyPL = 0;
 
     const streakData = trades.reduce((acc, trade) => {
-      const tradeDate = new Date(trade.exitDate).toDateString();
+      const tradeDate = toLocalDayKey(trade.exitDate, timeZone);
 
       if (tradeDate !== previousDate) {
         if (dailyPL > 0) {
@@ -735,11 +1509,11 @@ router.get("/analysis/streaks", protect, async (req, res) => {
         } else if (dailyPL < 0) {
           currentStreak = 0;
         }
-        dailyPL = trade.profitLoss.realized;
+        dailyPL = getRealizedPL(trade, basis);
         previousDate = tradeDate;
         totalStreaks += currentStreak > 0 ? 1 : 0;
       } else {
-        dailyPL += trade.profitLoss.realized;
+        dailyPL += getRealizedPL(trade, basis);
       }
 
       return {
@@ -763,19 +1537,176 @@ router.get("/analysis/streaks", protect, async (req, res) => {
   }
 });
 
-// backend/routes/tradeRoutes.js
+// Mark the user's open trades and option trades to market now
+// ({ asOf } to mark at an earlier close)
+router.post("/mark-to-market", protect, async (req, res) => {
+  try {
+    const result = await markToMarketService.markOpenPositions({
+      userId: req.user._id,
+      asOf: req.body.asOf ? new Date(req.body.asOf) : undefined,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET broker statement formats accepted by the import
+router.get("/import/formats", protect, (req, res) => {
+  res.json({
+    success: true,
+    data: brokerImportService.STATEMENT_FORMATS,
+  });
+});
+
+// Preview an import without saving anything. Send either JSON rows
+// ({ trades: [...] }) or a broker statement ({ format, csv, mapping, tz }, or
+// { ofx, tz } for an OFX/QFX file); account and tradingMode apply to every
+// row. Each proposed trade or cash entry comes back with an id, its
+// validation errors and whether it duplicates one already in the journal.
+router.post("/import/preview", protect, async (req, res) => {
+  try {
+    const { source, rows, errors } = await prepareImport(req.user, req.body);
+
+    res.json({
+      success: true,
+      data: {
+        source,
+        summary: summarizeImportRows(rows),
+        rows,
+        errors,
+      },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Commit an import: the same body as the preview plus `accept`, the ids of
+// the preview rows to save (by default every valid row that isn't a
+// duplicate). Invalid rows are never saved; duplicates only when accepted.
+// Everything saved is recorded in an import batch that can be rolled back.
 router.post("/import", protect, async (req, res) => {
   try {
-    const { trades } = req.body;
+    const { source, account, rows, errors } = await prepareImport(
+      req.user,
+      req.body
+    );
+    const accepted = Array.isArray(req.body.accept)
+      ? new Set(req.body.accept.map(String))
+      : null;
+    const selected = rows.filter((row) =>
+      accepted
+        ? accepted.has(row.id) && row.status !== "INVALID"
+        : row.status === "VALID"
+    );
 
-    // Add user ID to each trade
-    const tradesWithUser = trades.map((trade) => ({
-      ...trade,
-      user: req.user._id,
-    }));
+    if (selected.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No valid rows to import",
+        data: { summary: summarizeImportRows(rows), errors },
+      });
+    }
+
+    const batch = await importBatchService.createBatch(req.user, {
+      account: account?._id ?? null,
+      source,
+      fileName: req.body.fileName,
+    });
+    const issues = rows
+      .filter((row) => row.status === "INVALID")
+      .map((row) => ({
+        row: row.id,
+        line: row.lines[0],
+        error: row.errors.join("; "),
+      }));
+    const created = { trade: [], optionTrade: [], cashTransaction: [] };
+
+    // One at a time so a row failing on save doesn't stop the rest
+    for (const row of selected) {
+      try {
+        created[row.type].push(
+          await IMPORT_TYPES[row.type].Model.create({
+            ...row.data,
+            importBatch: batch._id,
+          })
+        );
+      } catch (error) {
+        issues.push({ row: row.id, line: row.lines[0], error: error.message });
+      }
+    }
+
+    const createdCount = Object.values(created).reduce(
+      (sum, documents) => sum + documents.length,
+      0
+    );
+    batch.tradeCount = created.trade.length;
+    batch.optionTradeCount = created.optionTrade.length;
+    batch.cashTransactionCount = created.cashTransaction.length;
+    batch.skippedCount = rows.length - createdCount;
+    batch.issues = issues;
+    await batch.save();
 
-    // Insert all trades
-    const result = await Trade.insertMany(tradesWithUser);
+    res.json({
+      success: createdCount > 0,
+      data: {
+        batch,
+        trades: created.trade,
+        optionTrades: created.optionTrade,
+        cashTransactions: created.cashTransaction,
+        errors,
+      },
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// GET the user's import batches, newest first
+router.get("/import/batches", protect, async (req, res) => {
+  try {
+    const batches = await ImportBatch.find({ user: req.user._id }).sort({
+      createdAt: -1,
+    });
+
+    res.json({
+      success: true,
+      data: batches,
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Roll back an import: deletes every trade, option trade and cash entry it
+// created
+router.post("/import/batches/:id/rollback", protect, async (req, res) => {
+  try {
+    const result = await importBatchService.rollback(req.user, req.params.id);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: "Import batch not found",
+      });
+    }
 
     res.json({
       success: true,
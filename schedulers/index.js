@@ -1,5 +1,10 @@
 const cron = require("node-cron");
 const { updateFeaturedReviews } = require("../utils/featuredReviews");
+const optionLifecycleService = require("../services/optionLifecycleService");
+const financingService = require("../services/financingService");
+const markToMarketService = require("../services/markToMarketService");
+const priceService = require("../services/priceService");
+const personalDataService = require("../services/personalDataService");
 
 const scheduleFeaturedReviews = () => {
   // '0 6 * * *' means:
@@ -24,4 +29,88 @@ const scheduleFeaturedReviews = () => {
   );
 };
 
-module.exports = { scheduleFeaturedReviews };
+const scheduleOptionExpirations = () => {
+  // Expiring worthless needs the underlying's close from the price source
+  // (PRICE_SOURCE/PRICE_FILE). Without one, contracts past their expiration
+  // are only flagged for review (OptionTrade.expirationReview).
+  // '30 17 * * 1-5' means 5:30 PM on weekdays, after the options close
+  cron.schedule(
+    "30 17 * * 1-5",
+    async () => {
+      try {
+        await optionLifecycleService.processExpiredOptions();
+      } catch (error) {
+        console.error("Error in option expiration scheduled job:", error);
+      }
+    },
+    {
+      scheduled: true,
+      timezone: "America/New_York",
+    }
+  );
+};
+
+const scheduleFinancingAccrual = () => {
+  // '15 0 * * *' means 12:15 AM every day, once the previous night is held
+  cron.schedule(
+    "15 0 * * *",
+    async () => {
+      try {
+        await financingService.accrueOpenTrades();
+      } catch (error) {
+        console.error("Error in financing accrual scheduled job:", error);
+      }
+    },
+    {
+      scheduled: true,
+      timezone: "America/New_York",
+    }
+  );
+};
+
+const scheduleMarkToMarket = () => {
+  // Nothing to mark with until a price source is configured
+  if (!priceService.isConfigured()) return;
+
+  // '0 18 * * 1-5' means 6 PM on weekdays, once closing prices are in
+  cron.schedule(
+    "0 18 * * 1-5",
+    async () => {
+      try {
+        await markToMarketService.markOpenPositions();
+      } catch (error) {
+        console.error("Error in mark-to-market scheduled job:", error);
+      }
+    },
+    {
+      scheduled: true,
+      timezone: "America/New_York",
+    }
+  );
+};
+
+const scheduleDataArchiveCleanup = () => {
+  // '15 * * * *' means every hour at :15
+  cron.schedule(
+    "15 * * * *",
+    async () => {
+      try {
+        await personalDataService.purgeExpiredArchives();
+      } catch (error) {
+        console.error("Error in data archive cleanup job:", error);
+      }
+    },
+    {
+      scheduled: true,
+      timezone: "America/New_York",
+    }
+  );
+};
+
+module.exports = {
+  scheduleFeaturedReviews,
+  scheduleOptionExpirations,
+  scheduleFinancingAccrual,
+  scheduleMarkToMarket,
+  scheduleDataArchiveCleanup,
+};
@@ -0,0 +1,32 @@
+// Reclassify the session of existing trades from their entry time:
+//   npm run backfill:sessions [-- [--midnight-has-time] <userId>]
+// --midnight-has-time also classifies trades saved before entry times were
+// tracked whose entry is exactly midnight UTC (otherwise read as date-only)
+const dotenv = require("dotenv");
+dotenv.config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const marketSessionService = require("../services/marketSessionService");
+
+const run = async () => {
+  await connectDB();
+  const args = process.argv.slice(2);
+  const midnightHasTime = args.includes("--midnight-has-time");
+  const [userId] = args.filter((arg) => !arg.startsWith("--"));
+
+  const result = await marketSessionService.backfillSessions({
+    userId,
+    midnightHasTime,
+  });
+  console.log(
+    `Scanned ${result.scanned} trades, updated ${result.updated}, skipped ${result.skipped} without an entry time:`,
+    result.bySession
+  );
+};
+
+run()
+  .catch((error) => {
+    console.error("Session backfill failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -7,12 +7,25 @@ const connectDB = require("./config/db");
 const authRoutes = require("./routes/authRoutes");
 const tradeRoutes = require("./routes/tradeRoutes");
 const optionTradeRoutes = require("./routes/optionTradeRoutes");
+const instrumentRoutes = require("./routes/instrumentRoutes");
+const fxRateRoutes = require("./routes/fxRateRoutes");
+const accountRoutes = require("./routes/accountRoutes");
+const cashTransactionRoutes = require("./routes/cashTransactionRoutes");
+const corporateActionRoutes = require("./routes/corporateActionRoutes");
 const tradePlanRoutes = require("./routes/tradePlanRoutes");
 const tradeReviewRoutes = require("./routes/tradeReviewRoutes");
 const aiRoutes = require("./routes/aiRoutes");
+const exportRoutes = require("./routes/exportRoutes");
+const dataArchiveRoutes = require("./routes/dataArchiveRoutes");
 const maintenanceMiddleware = require("./middleware/maintenanceMiddleware");
 const featureFlagsMiddleware = require("./middleware/featureFlagsMiddleware");
-const { scheduleFeaturedReviews } = require("./schedulers/index");
+const {
+  scheduleFeaturedReviews,
+  scheduleOptionExpirations,
+  scheduleFinancingAccrual,
+  scheduleMarkToMarket,
+  scheduleDataArchiveCleanup,
+} = require("./schedulers/index");
 connectDB();
 const studyGroupRoutes = require("./routes/studyGroupRoutes");
 const notificationRoutes = require("./routes/notificationRoutes");
@@ -99,8 +112,15 @@ app.use(featureFlagsMiddleware);
 app.use("/api/auth", authRoutes);
 app.use("/api/trades", tradeRoutes);
 app.use("/api/option-trades", optionTradeRoutes);
+app.use("/api/instruments", instrumentRoutes);
+app.use("/api/fx-rates", fxRateRoutes);
+app.use("/api/accounts", accountRoutes);
+app.use("/api/cash-transactions", cashTransactionRoutes);
+app.use("/api/corporate-actions", corporateActionRoutes);
 app.use("/api/trade-plans", tradePlanRoutes);
 app.use("/api/trade-reviews", tradeReviewRoutes);
+app.use("/api/export", exportRoutes);
+app.use("/api/data-archive", dataArchiveRoutes);
 app.use("/api/ai", aiRoutes);
 app.use("/api/study-groups", studyGroupRoutes);
 app.use("/api/notifications", notificationRoutes);
@@ -109,6 +129,10 @@ app.use(passport.initialize());
 
 // Initialize schedulers
 scheduleFeaturedReviews();
+scheduleOptionExpirations();
+scheduleFinancingAccrual();
+scheduleMarkToMarket();
+scheduleDataArchiveCleanup();
 
 // Base route - improve health check
 app.get("/", (req, res) => {
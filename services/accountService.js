@@ -0,0 +1,136 @@
+const mongoose = require("mongoose");
+const Account = require("../models/Account");
+
+// `?account=` value selecting trades booked before accounts existed
+const UNASSIGNED = "unassigned";
+
+// `?mode=` values and the trades each one selects. Trades saved before
+// trading modes existed have no tradingMode and count as live.
+const TRADING_MODE_FILTERS = {
+  live: { tradingMode: { $ne: "PAPER" } },
+  paper: { tradingMode: "PAPER" },
+  all: {},
+};
+
+const toObjectId = (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new Error(`Invalid account id: ${id}`);
+  }
+  return new mongoose.Types.ObjectId(id);
+};
+
+/**
+ * Account Service - Ownership checks and the account filter shared by list
+ * and analytics routes
+ */
+const accountService = {
+  UNASSIGNED,
+  LIVE_ONLY: TRADING_MODE_FILTERS.live,
+
+  /**
+   * Query filter for a `?mode=` value (live, paper or all)
+   * @param {string} mode - Raw query value
+   * @param {string} defaultMode - Mode used when none is given
+   * @returns {Object} - Filter spread into Trade/OptionTrade queries
+   */
+  getModeFilter: (mode, defaultMode = "live") => {
+    const key = String(mode || defaultMode).toLowerCase();
+    if (!TRADING_MODE_FILTERS[key]) {
+      throw new Error(`Invalid mode: ${mode}. Use live, paper or all`);
+    }
+    return TRADING_MODE_FILTERS[key];
+  },
+
+  /**
+   * Resolve `?account=` and `?mode=` into a query filter. The account accepts
+   * one id, a comma separated list, or "unassigned"; omitted means every
+   * account. Analytics leave paper trades out unless `mode` asks for them.
+   * @param {Object} user - Authenticated user (req.user)
+   * @param {Object} query - Request query ({ account, mode })
+   * @param {Object} options - { defaultMode } used when `mode` is omitted
+   * @returns {Promise<Object>} - { filter, accounts, currency } where
+   *   `filter` is spread into Trade/OptionTrade queries and `currency` is
+   *   the account's base currency when exactly one account is selected
+   */
+  getAccountScope: async (
+    user,
+    { account: value, mode } = {},
+    { defaultMode = "live" } = {}
+  ) => {
+    const defaultCurrency = user.preferences?.defaultCurrency;
+    const modeFilter = accountService.getModeFilter(mode, defaultMode);
+    if (!value) {
+      return { filter: modeFilter, accounts: [], currency: defaultCurrency };
+    }
+
+    const requested = String(value)
+      .split(",")
+      .map((id) => id.trim())
+      .filter(Boolean);
+    const includeUnassigned = requested.includes(UNASSIGNED);
+    const ids = requested.filter((id) => id !== UNASSIGNED).map(toObjectId);
+
+    const accounts = await Account.find({ _id: { $in: ids }, user: user._id });
+    if (accounts.length !== ids.length) {
+      throw new Error("Account not found");
+    }
+
+    const matches = [
+      ...accounts.map((account) => account._id),
+      ...(includeUnassigned ? [null] : []),
+    ];
+
+    return {
+      filter: {
+        ...modeFilter,
+        account: matches.length === 1 ? matches[0] : { $in: matches },
+      },
+      accounts,
+      currency:
+        accounts.length === 1 && !includeUnassigned
+          ? accounts[0].baseCurrency
+          : defaultCurrency,
+    };
+  },
+
+  /**
+   * Account a new or edited trade is booked in: the requested one (checked
+   * against the user), else the user's default account, else none
+   * @param {Object} user - Authenticated user (req.user)
+   * @param {string|null} accountId - Requested account ("" or null to clear)
+   * @param {boolean} useDefault - Fall back to the default account
+   * @returns {Promise<Object|null>} - Account document
+   */
+  resolveTradeAccount: async (user, accountId, useDefault = true) => {
+    if (accountId) {
+      const account = await Account.findOne({
+        _id: toObjectId(accountId),
+        user: user._id,
+      });
+      if (!account) throw new Error("Account not found");
+      return account;
+    }
+
+    if (!useDefault) return null;
+    return Account.findOne({
+      user: user._id,
+      isDefault: true,
+      isArchived: false,
+    });
+  },
+
+  /**
+   * Trading mode for a new or edited trade: always PAPER in a paper account,
+   * otherwise the one sent with it, else the one it already has, else LIVE
+   * @param {string} requested - tradingMode from the request body
+   * @param {Object|null} account - Account the trade is booked in
+   * @param {string} current - tradingMode already stored on the trade
+   * @returns {string} - LIVE or PAPER
+   */
+  resolveTradingMode: (requested, account, current) => {
+    if (account?.isPaper) return "PAPER";
+    return requested || current || "LIVE";
+  },
+};
+
+module.exports = accountService;
@@ -0,0 +1,153 @@
+const {
+  STATEMENT_FORMATS,
+  parseStatement,
+} = require("../utils/brokerStatements");
+const { parseOfx } = require("../utils/ofx");
+const { groupRoundTrips } = require("../utils/roundTrips");
+const { resolveTimeZone, toLocalDayKey } = require("../utils/timeZones");
+
+// Broker statements carry the commissions actually charged, on each fill,
+// so the user's fee schedule is not applied on top
+const STATEMENT_FEES = { commission: 0, regulatory: 0, autoCalculated: false };
+
+// Strategy of a single-contract position
+const OPTION_STRATEGIES = {
+  "LONG CALL": "LONG_CALL",
+  "LONG PUT": "LONG_PUT",
+  "SHORT CALL": "NAKED_CALL",
+  "SHORT PUT": "PUT_WRITE",
+};
+
+const openingSide = (position) =>
+  position.direction === "LONG" ? "BUY" : "SELL";
+
+// Round trip on a stock, futures, forex or crypto position as a Trade
+const toTrade = (position, timeZone) => {
+  const entryDate = position.fills[0].date;
+  const exitDate = position.isOpen
+    ? null
+    : position.fills[position.fills.length - 1].date;
+
+  return {
+    symbol: position.symbol,
+    type: position.direction,
+    tradeType:
+      exitDate &&
+      toLocalDayKey(entryDate, timeZone) === toLocalDayKey(exitDate, timeZone)
+        ? "DAY"
+        : "SWING",
+    assetClass: position.assetClass,
+    ...(position.multiplier && { multiplier: position.multiplier }),
+    ...(position.currency && { quoteCurrency: position.currency }),
+    executions: position.fills.map(({ side, price, quantity, date, fees }) => ({
+      side,
+      price,
+      quantity,
+      date,
+      fees,
+    })),
+    fees: { ...STATEMENT_FEES },
+  };
+};
+
+// Round trip on an option contract as a one-leg OptionTrade
+const toOptionTrade = (position) => {
+  const opening = openingSide(position);
+  const fills = position.fills.map(({ side, price, quantity, date, fees }) => ({
+    action: side === opening ? "OPEN" : "CLOSE",
+    price,
+    quantity,
+    date,
+    fees,
+  }));
+
+  return {
+    symbol: position.symbol,
+    // Statements don't carry the underlying's price at the fill
+    underlyingPrice: 0,
+    ...(position.currency && { quoteCurrency: position.currency }),
+    legs: [
+      {
+        contractType: position.contractType,
+        side: position.direction,
+        strike: position.strike,
+        expiration: position.expiration,
+        quantity: fills
+          .filter((fill) => fill.action === "OPEN")
+          .reduce((sum, fill) => sum + fill.quantity, 0),
+        fills,
+      },
+    ],
+    strategy:
+      OPTION_STRATEGIES[`${position.direction} ${position.contractType}`],
+    fees: { ...STATEMENT_FEES },
+  };
+};
+
+// OFX/QFX files are not CSV; they get their own parser
+const OFX_FORMAT = { id: "ofx", name: "OFX / QFX (Quicken)" };
+
+// Source lines and broker ids of the fills in a position
+const toEntry = (position, data) => ({
+  lines: [...new Set(position.fills.map((fill) => fill.line))],
+  executionIds: position.fills.map((fill) => fill.executionId).filter(Boolean),
+  data,
+});
+
+/**
+ * Broker Import Service - Reads broker trade exports into trades and
+ * option trades
+ */
+const brokerImportService = {
+  STATEMENT_FORMATS: [...STATEMENT_FORMATS, OFX_FORMAT],
+
+  /**
+   * Trades in a broker statement, with its fills grouped into round trips,
+   * and (OFX only) the income and cash movements it lists. Nothing is
+   * saved: each entry's `data` is a Trade, OptionTrade or CashTransaction
+   * payload.
+   * @param {Object} user - User document
+   * @param {string} content - Statement content (CSV, or OFX/QFX)
+   * @param {Object} options - format, mapping (generic format) and the
+   *   time zone times are written in; defaults to the broker's zone, then
+   *   preferences.timeZone
+   * @returns {Object} - { executions, trades, optionTrades,
+   *   cashTransactions, errors } with entries as { lines, executionIds,
+   *   data } and errors as { line, error }
+   */
+  readStatement: (user, content, { format, mapping, timeZone } = {}) => {
+    const statement =
+      format === OFX_FORMAT.id
+        ? parseOfx(content, { timeZone: timeZone || resolveTimeZone(user) })
+        : parseStatement(content, {
+            format,
+            mapping,
+            timeZone,
+            defaultTimeZone: resolveTimeZone(user),
+          });
+    const { positions, errors } = groupRoundTrips(statement.executions);
+    const isOption = (position) => position.assetClass === "OPTION";
+
+    return {
+      executions: statement.executions.length,
+      trades: positions
+        .filter((position) => !isOption(position))
+        .map((position) =>
+          toEntry(position, toTrade(position, statement.timeZone))
+        ),
+      optionTrades: positions
+        .filter(isOption)
+        .map((position) => toEntry(position, toOptionTrade(position))),
+      cashTransactions: (statement.cashTransactions || []).map(
+        ({ line, fitId, ...data }) => ({
+          lines: [line],
+          executionIds: fitId ? [fitId] : [],
+          data,
+        })
+      ),
+      errors: [...statement.errors, ...errors].sort((a, b) => a.line - b.line),
+    };
+  },
+};
+
+module.exports = brokerImportService;
@@ -0,0 +1,336 @@
+const Trade = require("../models/Trade");
+const CorporateAction = require("../models/CorporateAction");
+const { openingSide } = require("../utils/tradeExecutions");
+const { getSourceLine } = require("../utils/csv");
+
+const round = (value, decimals = 2) => Number(Number(value).toFixed(decimals));
+
+const PRICE_DECIMALS = 6;
+const QUANTITY_DECIMALS = 8;
+
+// Only share positions are adjusted; option contracts get their own
+// adjusted deliverables from the exchange
+const STOCK_FILTER = { assetClass: { $in: ["EQUITY", null] } };
+
+const isBefore = (date, exDate) =>
+  Boolean(date) && new Date(date) < new Date(exDate);
+
+// First fill, or the entry date on trades without executions
+const getEntryDate = (trade) => {
+  const dates = (trade.executions || [])
+    .map((execution) => new Date(execution.date))
+    .filter((date) => !isNaN(date));
+  if (dates.length > 0) return new Date(Math.min(...dates));
+  return trade.entryDate ? new Date(trade.entryDate) : null;
+};
+
+const hasApplied = (trade, action) =>
+  (trade.corporateActions || []).some(
+    (entry) => String(entry.action) === String(action._id)
+  );
+
+// Shares held at the close before the ex-date
+const quantityHeldOver = (trade, exDate) => {
+  if (trade.executions && trade.executions.length > 0) {
+    const entrySide = openingSide(trade.type);
+    return trade.executions
+      .filter((execution) => isBefore(execution.date, exDate))
+      .reduce(
+        (held, execution) =>
+          held +
+          (execution.side === entrySide ? 1 : -1) * Number(execution.quantity),
+        0
+      );
+  }
+
+  const heldPastExDate = !trade.exitDate || !isBefore(trade.exitDate, exDate);
+  return isBefore(trade.entryDate, exDate) && heldPastExDate
+    ? Number(trade.entryQuantity)
+    : 0;
+};
+
+// Restate everything recorded before the ex-date in post-split shares.
+// Dollar amounts don't change, so P/L is preserved.
+const scaleTrade = (trade, exDate, factor) => {
+  const isBlank = (value) => value == null || value === "";
+  const scalePrice = (price) =>
+    isBlank(price) ? price : round(price / factor, PRICE_DECIMALS);
+  const scaleQuantity = (quantity) =>
+    isBlank(quantity) ? quantity : round(quantity * factor, QUANTITY_DECIMALS);
+
+  if (trade.executions && trade.executions.length > 0) {
+    trade.executions.forEach((execution) => {
+      if (!isBefore(execution.date, exDate)) return;
+      execution.price = scalePrice(execution.price);
+      execution.quantity = scaleQuantity(execution.quantity);
+    });
+  } else {
+    trade.entryPrice = scalePrice(trade.entryPrice);
+    trade.entryQuantity = scaleQuantity(trade.entryQuantity);
+    if (isBefore(trade.exitDate, exDate)) {
+      trade.exitPrice = scalePrice(trade.exitPrice);
+      trade.exitQuantity = scaleQuantity(trade.exitQuantity);
+    }
+  }
+
+  // Post-exit prices were read against the pre-split exit price
+  if (isBefore(trade.exitDate, exDate)) {
+    trade.postExitHigh = scalePrice(trade.postExitHigh);
+    trade.postExitLow = scalePrice(trade.postExitLow);
+  }
+
+  trade.stopLoss = scalePrice(trade.stopLoss);
+  if (trade.riskManagement?.suggestedShares != null) {
+    trade.riskManagement.suggestedShares = scaleQuantity(
+      trade.riskManagement.suggestedShares
+    );
+  }
+};
+
+/**
+ * Corporate Action Service - Applies splits and dividends to stock trades
+ */
+const corporateActionService = {
+  /**
+   * Apply one action to a trade document or payload (not saved). Does
+   * nothing when the trade started on or after the ex-date, held no shares
+   * over it, or already has the action.
+   * @param {Object} trade - Trade document or payload
+   * @param {Object} action - CorporateAction document
+   * @returns {boolean} - Whether the trade changed
+   */
+  applyToTrade: (trade, action) => {
+    if (hasApplied(trade, action)) return false;
+    if (!isBefore(getEntryDate(trade), action.exDate)) return false;
+
+    if (action.type === "DIVIDEND") {
+      // Quantities already restated by later splits are turned back into
+      // the shares that were actually held on the ex-date
+      const laterSplits = (trade.corporateActions || [])
+        .filter(
+          (entry) =>
+            entry.type !== "DIVIDEND" &&
+            new Date(entry.exDate) > new Date(action.exDate)
+        )
+        .reduce((factor, entry) => factor * entry.factor, 1);
+      const quantity = round(
+        quantityHeldOver(trade, action.exDate) / laterSplits,
+        QUANTITY_DECIMALS
+      );
+      if (!(quantity > 0)) return false;
+
+      trade.corporateActions.push({
+        action: action._id,
+        type: action.type,
+        exDate: action.exDate,
+        amount: action.amount,
+        quantity,
+        cash: round(
+          action.amount * quantity * (trade.type === "SHORT" ? -1 : 1)
+        ),
+      });
+    } else {
+      const factor = action.getSplitFactor();
+      scaleTrade(trade, action.exDate, factor);
+      trade.corporateActions.push({
+        action: action._id,
+        type: action.type,
+        exDate: action.exDate,
+        factor,
+      });
+    }
+
+    trade.corporateActions.sort(
+      (a, b) => new Date(a.exDate) - new Date(b.exDate)
+    );
+    return true;
+  },
+
+  /**
+   * Undo an applied action on a trade document (not saved)
+   * @param {Object} trade - Trade document
+   * @param {Object} action - CorporateAction document
+   * @returns {boolean} - Whether the trade changed
+   */
+  revertFromTrade: (trade, action) => {
+    const entry = (trade.corporateActions || []).find(
+      (applied) => String(applied.action) === String(action._id)
+    );
+    if (!entry) return false;
+
+    if (entry.type !== "DIVIDEND") {
+      scaleTrade(trade, entry.exDate, 1 / entry.factor);
+    }
+    trade.corporateActions = trade.corporateActions.filter(
+      (applied) => applied !== entry
+    );
+    return true;
+  },
+
+  /**
+   * Apply an action to every stock trade in its symbol, for all users
+   * @param {Object} action - CorporateAction document
+   * @returns {Promise<number>} - Number of trades adjusted
+   */
+  applyAction: async (action) => {
+    const trades = await Trade.find({
+      ...STOCK_FILTER,
+      symbol: action.symbol,
+      entryDate: { $lt: action.exDate },
+      "corporateActions.action": { $ne: action._id },
+    });
+
+    let adjusted = 0;
+    for (const trade of trades) {
+      if (corporateActionService.applyToTrade(trade, action)) {
+        await trade.save();
+        adjusted++;
+      }
+    }
+    return adjusted;
+  },
+
+  /**
+   * Take an action back out of every trade it was applied to
+   * @param {Object} action - CorporateAction document
+   * @returns {Promise<number>} - Number of trades restored
+   */
+  revertAction: async (action) => {
+    const trades = await Trade.find({ "corporateActions.action": action._id });
+
+    for (const trade of trades) {
+      corporateActionService.revertFromTrade(trade, action);
+      await trade.save();
+    }
+    return trades.length;
+  },
+
+  /**
+   * Adjust an incoming trade for the actions it spans, before it is saved.
+   * Prices and quantities are sent as they were traded, so fills before a
+   * split are restated in post-split shares.
+   * @param {Object} tradeData - Trade payload
+   * @returns {Promise<Object>} - Adjusted copy with `corporateActions` set
+   */
+  applyPendingActions: async (tradeData) => {
+    if (!["EQUITY", null, undefined].includes(tradeData.assetClass)) {
+      return tradeData;
+    }
+
+    const entryDate = getEntryDate(tradeData);
+    if (!tradeData.symbol || !entryDate) return tradeData;
+
+    const actions = await CorporateAction.find({
+      symbol: String(tradeData.symbol).toUpperCase().trim(),
+      exDate: { $gt: entryDate },
+    }).sort({ exDate: 1 });
+    if (actions.length === 0) return tradeData;
+
+    const adjusted = {
+      ...tradeData,
+      // Kept as sent when given, so a date-only entry stays date-only
+      entryDate: tradeData.entryDate || entryDate,
+      executions: (tradeData.executions || []).map((execution) => ({
+        ...execution,
+      })),
+      riskManagement: tradeData.riskManagement && {
+        ...tradeData.riskManagement,
+      },
+      corporateActions: [...(tradeData.corporateActions || [])],
+    };
+    actions.forEach((action) =>
+      corporateActionService.applyToTrade(adjusted, action)
+    );
+    return adjusted;
+  },
+
+  /**
+   * Adjust an edited trade payload for the actions it spans now. Its values
+   * are in the terms the stored trade was shown in, restated by the
+   * adjustments it carries; those are taken back out and the actions for
+   * the (possibly changed) symbol and dates applied from scratch.
+   * @param {Object} tradeData - Edited payload with the stored
+   *   `corporateActions`
+   * @returns {Promise<Object>} - Adjusted copy with `corporateActions` set
+   */
+  reapplyActions: async (tradeData) => {
+    const restored = {
+      ...tradeData,
+      executions: (tradeData.executions || []).map((execution) => ({
+        ...execution,
+      })),
+      riskManagement: tradeData.riskManagement && {
+        ...tradeData.riskManagement,
+      },
+      corporateActions: [],
+    };
+    [...(tradeData.corporateActions || [])]
+      .sort((a, b) => new Date(b.exDate) - new Date(a.exDate))
+      .forEach((entry) => {
+        if (entry.type !== "DIVIDEND") {
+          scaleTrade(restored, entry.exDate, 1 / entry.factor);
+        }
+      });
+
+    return corporateActionService.applyPendingActions(restored);
+  },
+
+  /**
+   * Parse a corporate actions CSV. Columns: symbol, type, exdate, and either
+   * ratio ("4:1", "1-for-10") or from + to for splits, amount for dividends.
+   * @param {Array<Object>} rows - Rows from parseCsv
+   * @returns {Object} - { actions, errors } with 1-based CSV line numbers
+   */
+  actionsFromCsvRows: (rows) => {
+    const actions = [];
+    const errors = [];
+
+    rows.forEach((row, index) => {
+      // Rows built by hand fall back to their position after the header
+      const line = getSourceLine(row) ?? index + 2;
+      const type = String(row.type || "")
+        .toUpperCase()
+        .replace(/[\s-]+/g, "_");
+      const exDate = new Date(row.exdate || row.date);
+
+      if (!row.symbol) {
+        errors.push({ line, error: "Missing symbol" });
+        return;
+      }
+      if (!["SPLIT", "REVERSE_SPLIT", "DIVIDEND"].includes(type)) {
+        errors.push({ line, error: `Invalid type: ${row.type}` });
+        return;
+      }
+      if (isNaN(exDate)) {
+        errors.push({ line, error: `Invalid ex-date: ${row.exdate}` });
+        return;
+      }
+
+      const action = {
+        symbol: row.symbol,
+        type,
+        exDate,
+        payDate: row.paydate ? new Date(row.paydate) : null,
+        source: "csv",
+      };
+
+      if (type === "DIVIDEND") {
+        action.amount = Number(row.amount);
+        if (row.currency) action.currency = row.currency;
+      } else {
+        const match = String(row.ratio || "").match(
+          /^\s*([\d.]+)\s*(?::|\/|-for-)\s*([\d.]+)\s*$/i
+        );
+        action.ratio = match
+          ? { to: Number(match[1]), from: Number(match[2]) }
+          : { to: Number(row.to), from: Number(row.from) };
+      }
+
+      actions.push(action);
+    });
+
+    return { actions, errors };
+  },
+};
+
+module.exports = corporateActionService;
@@ -0,0 +1,210 @@
+const Account = require("../models/Account");
+const CashTransaction = require("../models/CashTransaction");
+const Trade = require("../models/Trade");
+const OptionTrade = require("../models/OptionTrade");
+const fxService = require("./fxService");
+const { getRealizedPL } = require("../utils/profitLoss");
+const { resolveTimeZone } = require("../utils/timeZones");
+const {
+  signedAmount,
+  isExternalFlow,
+  buildEquitySeries,
+  timeWeightedReturn,
+  moneyWeightedReturn,
+} = require("../utils/returns");
+
+const round = (value, decimals = 2) => Number(Number(value).toFixed(decimals));
+
+// Whether an account filter from accountService also selects trades and
+// cash booked before accounts existed
+const coversUnassigned = (accountFilter) => {
+  const { account } = accountFilter;
+  return (
+    account === undefined ||
+    account === null ||
+    (Array.isArray(account.$in) && account.$in.includes(null))
+  );
+};
+
+// Accounts matching the filter's mode: paper accounts hold simulated money
+const paperAccountFilter = ({ tradingMode }) => {
+  if (tradingMode === "PAPER") return { isPaper: true };
+  if (tradingMode) return { isPaper: { $ne: true } };
+  return {};
+};
+
+// Equity series with unrounded daily returns, for the public methods below
+const loadEquity = async (
+  user,
+  {
+    from,
+    to,
+    accountFilter = {},
+    currency = user.preferences?.defaultCurrency,
+    timeZone = resolveTimeZone(user),
+  } = {}
+) => {
+  const includeUnassigned =
+    coversUnassigned(accountFilter) && accountFilter.tradingMode !== "PAPER";
+
+  const accounts = await Account.find({
+    user: user._id,
+    ...(accountFilter.account !== undefined && {
+      _id: accountFilter.account,
+    }),
+    ...paperAccountFilter(accountFilter),
+  }).lean();
+  const accountIds = [
+    ...accounts.map((account) => account._id),
+    ...(includeUnassigned ? [null] : []),
+  ];
+
+  const tradeFilter = { user: user._id, ...accountFilter, status: "CLOSED" };
+  const [transactions, trades, optionTrades] = await Promise.all([
+    CashTransaction.find({
+      user: user._id,
+      account: { $in: accountIds },
+    }).lean(),
+    Trade.find(tradeFilter).lean(),
+    OptionTrade.find(tradeFilter).lean(),
+  ]);
+
+  const toReporting = await fxService.createConverter(currency, [
+    ...accounts.map((account) => account.baseCurrency),
+    ...transactions.map((transaction) => transaction.currency),
+    ...[...trades, ...optionTrades].map(fxService.getTradeCurrency),
+  ]);
+
+  // Balances and cash are converted at the date they were booked
+  const openingBalance =
+    accounts.reduce(
+      (sum, account) =>
+        sum +
+        toReporting(account.startingBalance || 0, {
+          quoteCurrency: account.baseCurrency,
+          entryDate: account.createdAt,
+        }),
+      0
+    ) +
+    (includeUnassigned
+      ? toReporting(user.preferences?.startingCapital || 0, {
+          quoteCurrency: user.preferences?.defaultCurrency,
+        })
+      : 0);
+
+  const events = [
+    ...transactions.map((transaction) => {
+      const amount = toReporting(signedAmount(transaction), {
+        quoteCurrency: transaction.currency,
+        exitDate: transaction.date,
+      });
+      return isExternalFlow(transaction)
+        ? { date: transaction.date, flow: amount }
+        : { date: transaction.date, income: amount };
+    }),
+    ...[...trades, ...optionTrades]
+      .filter((trade) => trade.exitDate)
+      .map((trade) => ({
+        date: trade.exitDate,
+        realizedPL: toReporting(getRealizedPL(trade, "net"), trade),
+      })),
+  ];
+
+  return {
+    toReporting,
+    openingBalance,
+    series: buildEquitySeries(events, {
+      opening: openingBalance,
+      from,
+      to,
+      timeZone,
+    }),
+  };
+};
+
+// Equity before the first day of the series
+const startingEquity = (day) =>
+  round(day.equity - day.flows - day.income - day.realizedPL);
+
+/**
+ * Equity Service - Account equity from the cash ledger and realized P/L,
+ * and the returns earned on it
+ */
+const equityService = {
+  /**
+   * Daily equity series for a user's accounts. Equity starts from the
+   * accounts' starting balances (and preferences.startingCapital for
+   * unassigned trades), then moves with cash transactions and the net
+   * realized P/L of closed trades on their exit day.
+   * @param {Object} user - User document
+   * @param {Object} options - { from, to }, accountFilter from
+   *   accountService, the reporting currency and the time zone days are
+   *   bucketed in (defaults to preferences.timeZone)
+   * @returns {Promise<Object>} - { currency, openingBalance, summary, series }
+   */
+  getEquitySeries: async (user, options = {}) => {
+    const { toReporting, openingBalance, series } = await loadEquity(
+      user,
+      options
+    );
+
+    const totals = series.reduce(
+      (sum, day) => ({
+        netDeposits: sum.netDeposits + day.flows,
+        income: sum.income + day.income,
+        realizedPL: sum.realizedPL + day.realizedPL,
+      }),
+      { netDeposits: 0, income: 0, realizedPL: 0 }
+    );
+    const first = series[0];
+    const last = series[series.length - 1];
+
+    return {
+      currency: toReporting.currency,
+      unconvertedCurrencies: [...toReporting.missingCurrencies],
+      openingBalance: round(openingBalance),
+      summary: {
+        from: first?.date ?? null,
+        to: last?.date ?? null,
+        startingEquity: first ? startingEquity(first) : round(openingBalance),
+        endingEquity: last ? last.equity : round(openingBalance),
+        netDeposits: round(totals.netDeposits),
+        income: round(totals.income),
+        realizedPL: round(totals.realizedPL),
+      },
+      series: series.map(({ dailyReturn, ...day }) => ({
+        ...day,
+        dailyReturn: dailyReturn === null ? null : round(dailyReturn * 100, 4),
+      })),
+    };
+  },
+
+  /**
+   * Time-weighted and money-weighted returns over the equity series
+   * @param {Object} user - User document
+   * @param {Object} options - Same as getEquitySeries
+   * @returns {Promise<Object>} - { currency, from, to, startingEquity,
+   *   endingEquity, timeWeighted, moneyWeighted }
+   */
+  getReturns: async (user, options = {}) => {
+    const { toReporting, openingBalance, series } = await loadEquity(
+      user,
+      options
+    );
+    const first = series[0];
+    const last = series[series.length - 1];
+
+    return {
+      currency: toReporting.currency,
+      unconvertedCurrencies: [...toReporting.missingCurrencies],
+      from: first?.date ?? null,
+      to: last?.date ?? null,
+      startingEquity: first ? startingEquity(first) : round(openingBalance),
+      endingEquity: last ? last.equity : round(openingBalance),
+      timeWeighted: timeWeightedReturn(series),
+      moneyWeighted: moneyWeightedReturn(series),
+    };
+  },
+};
+
+module.exports = equityService;
@@ -0,0 +1,460 @@
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
+const Trade = require("../models/Trade");
+const OptionTrade = require("../models/OptionTrade");
+const TradePlan = require("../models/TradePlan");
+const TradeReview = require("../models/TradeReview");
+const accountService = require("./accountService");
+const { escapeCsvValue } = require("../utils/csv");
+const { createZipWriter } = require("../utils/zip");
+const { writeWorkbook } = require("../utils/xlsx");
+
+const EXPORT_FORMATS = {
+  csv: { contentType: "application/zip", extension: "zip" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  xlsx: {
+    contentType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+  },
+};
+
+const get = (document, path) =>
+  path
+    .split(".")
+    .reduce((value, key) => (value == null ? undefined : value[key]), document);
+
+const join = (values) => (values || []).join("; ");
+
+const TRADE_COLUMNS = [
+  { key: "_id", header: "Trade ID" },
+  { key: "account", header: "Account ID" },
+  { key: "tradingMode", header: "Mode" },
+  { key: "symbol", header: "Symbol" },
+  { key: "assetClass", header: "Asset Class" },
+  { key: "type", header: "Direction" },
+  { key: "tradeType", header: "Trade Type" },
+  { key: "status", header: "Status" },
+  { key: "session", header: "Session" },
+  { key: "strategy", header: "Strategy" },
+  { key: "pattern", header: "Pattern" },
+  { key: "entryDate", header: "Entry Date" },
+  { key: "entryPrice", header: "Entry Price" },
+  { key: "entryQuantity", header: "Entry Quantity" },
+  { key: "exitDate", header: "Exit Date" },
+  { key: "exitPrice", header: "Exit Price" },
+  { key: "exitQuantity", header: "Exit Quantity" },
+  { key: "openQuantity", header: "Open Quantity" },
+  { key: "multiplier", header: "Multiplier" },
+  { key: "quoteCurrency", header: "Currency" },
+  { key: "stopLoss", header: "Stop Loss" },
+  { key: "fees.total", header: "Fees" },
+  { key: "profitLoss.realized", header: "Realized P/L" },
+  { key: "profitLoss.net", header: "Net P/L" },
+  { key: "profitLoss.percentage", header: "P/L %" },
+  { key: "profitLoss.rMultiple", header: "R Multiple" },
+  {
+    key: "executions",
+    header: "Executions",
+    value: (trade) => (trade.executions || []).length,
+  },
+  { key: "tags", header: "Tags", value: (trade) => join(trade.tags) },
+  {
+    key: "mistakes",
+    header: "Mistakes",
+    value: (trade) => join(trade.mistakes),
+  },
+  { key: "mentalState.focus", header: "Focus" },
+  { key: "mentalState.emotion", header: "Emotion" },
+  { key: "createdAt", header: "Created" },
+  { key: "updatedAt", header: "Updated" },
+];
+
+// Contracts of a multi-leg trade, e.g. "LONG CALL 190 2024-01-19 x2"
+const describeLegs = (trade) =>
+  join(
+    (trade.legs || []).map(
+      (leg) =>
+        `${leg.side} ${leg.contractType} ${leg.strike} ${new Date(
+          leg.expiration
+        )
+          .toISOString()
+          .slice(0, 10)} x${leg.quantity}`
+    )
+  );
+
+const OPTION_TRADE_COLUMNS = [
+  { key: "_id", header: "Option Trade ID" },
+  { key: "account", header: "Account ID" },
+  { key: "tradingMode", header: "Mode" },
+  { key: "symbol", header: "Underlying" },
+  { key: "strategy", header: "Strategy" },
+  { key: "status", header: "Status" },
+  { key: "type", header: "Side" },
+  { key: "contractType", header: "Call/Put" },
+  { key: "strike", header: "Strike" },
+  { key: "expiration", header: "Expiration" },
+  { key: "contracts", header: "Contracts" },
+  { key: "legs", header: "Legs", value: describeLegs },
+  { key: "underlyingPrice", header: "Underlying Price" },
+  { key: "entryDate", header: "Entry Date" },
+  { key: "entryPrice", header: "Entry Price" },
+  { key: "exitDate", header: "Exit Date" },
+  { key: "exitPrice", header: "Exit Price" },
+  { key: "closeReason", header: "Close Reason" },
+  { key: "quoteCurrency", header: "Currency" },
+  { key: "fees.total", header: "Fees" },
+  { key: "profitLoss.realized", header: "Realized P/L" },
+  { key: "profitLoss.percentage", header: "P/L %" },
+  { key: "setupType", header: "Setup" },
+  { key: "tags", header: "Tags", value: (trade) => join(trade.tags) },
+  {
+    key: "mistakes",
+    header: "Mistakes",
+    value: (trade) => join(trade.mistakes),
+  },
+  { key: "createdAt", header: "Created" },
+  { key: "updatedAt", header: "Updated" },
+];
+
+const TRADE_PLAN_COLUMNS = [
+  { key: "_id", header: "Plan ID" },
+  { key: "ticker", header: "Ticker" },
+  { key: "direction", header: "Direction" },
+  { key: "status", header: "Status" },
+  { key: "setup.setupGrade", header: "Setup Grade" },
+  { key: "setup.entry.price", header: "Setup Entry" },
+  { key: "setup.entry.description", header: "Setup" },
+  { key: "execution.entry", header: "Entry" },
+  { key: "execution.profitTarget", header: "Target" },
+  { key: "execution.stopLoss", header: "Stop" },
+  { key: "riskManagement.positionSize", header: "Position Size" },
+  { key: "riskManagement.riskAmount", header: "Risk Amount" },
+  { key: "riskManagement.rewardRatio", header: "Reward/Risk" },
+  { key: "quality.catalystRating", header: "Catalyst Rating" },
+  { key: "createdAt", header: "Created" },
+  { key: "updatedAt", header: "Updated" },
+];
+
+const REVIEW_COLUMNS = [
+  { key: "_id", header: "Review ID" },
+  { key: "trade", header: "Trade ID", value: (review) => review.trade?._id },
+  { key: "trade.symbol", header: "Symbol" },
+  { key: "trade.entryDate", header: "Trade Entry Date" },
+  { key: "lessonLearned", header: "Lesson Learned" },
+  { key: "whatWentWell", header: "What Went Well" },
+  { key: "whatWentWrong", header: "What Went Wrong" },
+  { key: "futureAdjustments", header: "Future Adjustments" },
+  { key: "isPublic", header: "Public" },
+  { key: "featured", header: "Featured" },
+  {
+    key: "likes",
+    header: "Likes",
+    value: (review) => (review.likes || []).length,
+  },
+  {
+    key: "comments",
+    header: "Comments",
+    value: (review) => (review.comments || []).length,
+  },
+  { key: "createdAt", header: "Created" },
+  { key: "updatedAt", header: "Updated" },
+];
+
+const NOTE_COLUMNS = [
+  { key: "source", header: "Source" },
+  { key: "sourceId", header: "Source ID" },
+  { key: "symbol", header: "Symbol" },
+  { key: "date", header: "Date" },
+  { key: "notes", header: "Notes" },
+  { key: "mentalStateNotes", header: "Mental State Notes" },
+];
+
+const toRow = (columns, document) =>
+  columns.reduce((row, column) => {
+    const value = column.value
+      ? column.value(document)
+      : get(document, column.key);
+    // ObjectIds as their hex string
+    row[column.key] =
+      value && typeof value === "object" && value._bsontype
+        ? String(value)
+        : value;
+    return row;
+  }, {});
+
+const hasText = { $nin: [null, ""] };
+
+const dateRange = (from, to) => {
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return Object.keys(range).length > 0 ? range : null;
+};
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// A date-only `to` takes in the whole of that (UTC) day
+const parseDate = (value, name, { endOfDay = false } = {}) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new Error(`Invalid ${name} date`);
+  if (endOfDay && DATE_ONLY.test(String(value).trim())) {
+    return new Date(date.getTime() + MS_PER_DAY - 1);
+  }
+  return date;
+};
+
+// Every entity in the export, each read through a cursor so only one batch
+// of documents is in memory at a time. `documents` yields lean documents
+// for JSON, `rows` yields flat records for CSV and XLSX.
+const buildEntities = ({
+  tradeFilter,
+  planFilter,
+  reviewFilter,
+  reviewTradeFilter,
+}) => {
+  const cursor = (Model, filter, sort, populate) => {
+    const query = Model.find(filter).sort(sort).lean();
+    return (populate ? query.populate(...populate) : query).cursor();
+  };
+
+  const entities = [
+    {
+      name: "trades",
+      columns: TRADE_COLUMNS,
+      documents: () => cursor(Trade, tradeFilter, { entryDate: 1 }),
+    },
+    {
+      name: "optionTrades",
+      columns: OPTION_TRADE_COLUMNS,
+      documents: () => cursor(OptionTrade, tradeFilter, { entryDate: 1 }),
+    },
+    {
+      name: "tradePlans",
+      columns: TRADE_PLAN_COLUMNS,
+      documents: () => cursor(TradePlan, planFilter, { createdAt: 1 }),
+    },
+    {
+      name: "reviews",
+      columns: REVIEW_COLUMNS,
+      // Narrowed to an account or mode, reviews whose trade falls outside it
+      // come back without one and are dropped as they stream past
+      documents: async function* () {
+        const reviews = cursor(TradeReview, reviewFilter, { createdAt: 1 }, [
+          {
+            path: "trade",
+            select: "symbol entryDate",
+            ...(reviewTradeFilter && { match: reviewTradeFilter }),
+          },
+        ]);
+        for await (const review of reviews) {
+          if (review.trade || !reviewTradeFilter) yield review;
+        }
+      },
+    },
+    {
+      // Notes written on trades, option trades and plans, in one place
+      name: "notes",
+      columns: NOTE_COLUMNS,
+      documents: async function* () {
+        const sources = [
+          {
+            source: "trade",
+            Model: Trade,
+            filter: {
+              ...tradeFilter,
+              $or: [{ notes: hasText }, { "mentalState.notes": hasText }],
+            },
+            symbol: "symbol",
+            date: "entryDate",
+          },
+          {
+            source: "optionTrade",
+            Model: OptionTrade,
+            filter: { ...tradeFilter, notes: hasText },
+            symbol: "symbol",
+            date: "entryDate",
+          },
+          {
+            source: "tradePlan",
+            Model: TradePlan,
+            filter: { ...planFilter, notes: hasText },
+            symbol: "ticker",
+            date: "createdAt",
+          },
+        ];
+
+        for (const { source, Model, filter, symbol, date } of sources) {
+          const documents = Model.find(filter)
+            .select(`${symbol} ${date} notes mentalState.notes`)
+            .sort({ [date]: 1 })
+            .lean()
+            .cursor();
+          for await (const document of documents) {
+            yield {
+              source,
+              sourceId: document._id,
+              symbol: document[symbol],
+              date: document[date],
+              notes: document.notes || null,
+              mentalStateNotes: document.mentalState?.notes || null,
+            };
+          }
+        }
+      },
+    },
+  ];
+
+  return entities.map((entity) => ({
+    ...entity,
+    rows: async function* () {
+      for await (const document of entity.documents()) {
+        yield toRow(entity.columns, document);
+      }
+    },
+  }));
+};
+
+// One CSV file per entity, the rows streamed into the archive
+const writeCsvArchive = async (output, entities) => {
+  const zip = createZipWriter(output);
+
+  for (const entity of entities) {
+    await zip.addFile(
+      `${entity.name}.csv`,
+      (async function* () {
+        yield `${entity.columns
+          .map((column) => escapeCsvValue(column.header))
+          .join(",")}\r\n`;
+        for await (const row of entity.rows()) {
+          yield `${entity.columns
+            .map((column) => escapeCsvValue(row[column.key]))
+            .join(",")}\r\n`;
+        }
+      })()
+    );
+  }
+
+  await zip.finish();
+};
+
+// One JSON document: { exportedAt, filters, trades: [...], ... } with the
+// full documents, written one at a time
+const writeJson = (output, entities, filters) =>
+  pipeline(
+    Readable.from(
+      (async function* () {
+        yield `{"exportedAt":${JSON.stringify(
+          new Date()
+        )},"filters":${JSON.stringify(filters)}`;
+        for (const entity of entities) {
+          yield `,"${entity.name}":[`;
+          let first = true;
+          for await (const document of entity.documents()) {
+            yield `${first ? "" : ","}${JSON.stringify(document)}`;
+            first = false;
+          }
+          yield "]";
+        }
+        yield "}\n";
+      })()
+    ),
+    output
+  );
+
+/**
+ * Export Service - Streams a user's whole journal out as CSV files (zipped),
+ * a JSON document or an XLSX workbook
+ */
+const exportService = {
+  EXPORT_FORMATS,
+
+  /**
+   * Check an export request before anything is written, so a bad one can
+   * still get an error response
+   * @param {Object} user - User document
+   * @param {Object} options - format (csv, json or xlsx), from/to (trades
+   *   by entry date, plans and reviews by creation date; both inclusive),
+   *   account and mode (trades and option trades, and reviews through their
+   *   trade; plans aren't tied to an account)
+   * @returns {Promise<Object>} - Export to pass to writeExport, with
+   *   contentType and fileName for the response
+   */
+  prepareExport: async (
+    user,
+    { format = "json", from, to, account, mode } = {}
+  ) => {
+    const type = String(format).toLowerCase();
+    if (!EXPORT_FORMATS[type]) {
+      throw new Error(
+        `Unsupported export format: ${format}. Use ${Object.keys(
+          EXPORT_FORMATS
+        ).join(", ")}`
+      );
+    }
+
+    const start = parseDate(from, "from");
+    const end = parseDate(to, "to", { endOfDay: true });
+    const scope = await accountService.getAccountScope(
+      user,
+      { account, mode },
+      { defaultMode: "all" }
+    );
+    const range = dateRange(start, end);
+
+    const tradeFilter = {
+      user: user._id,
+      ...scope.filter,
+      ...(range && { entryDate: range }),
+    };
+    const planFilter = { user: user._id, ...(range && { createdAt: range }) };
+    const reviewFilter = { ...planFilter };
+    // Narrowed to an account or mode: only reviews of trades in it
+    const reviewTradeFilter =
+      Object.keys(scope.filter).length > 0 ? scope.filter : null;
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    return {
+      format: type,
+      contentType: EXPORT_FORMATS[type].contentType,
+      fileName: `journal-export-${stamp}.${EXPORT_FORMATS[type].extension}`,
+      filters: {
+        from: start,
+        to: end,
+        account: account || null,
+        mode: mode || null,
+      },
+      entities: buildEntities({
+        tradeFilter,
+        planFilter,
+        reviewFilter,
+        reviewTradeFilter,
+      }),
+    };
+  },
+
+  /**
+   * Stream an export to a writable stream (an HTTP response)
+   * @param {stream.Writable} output
+   * @param {Object} prepared - Result of prepareExport
+   * @returns {Promise<void>} - Resolves once the output has ended
+   */
+  writeExport: (output, { format, entities, filters }) => {
+    if (format === "csv") return writeCsvArchive(output, entities);
+    if (format === "xlsx") {
+      return writeWorkbook(
+        output,
+        entities.map(({ name, columns, rows }) => ({
+          name,
+          columns,
+          rows: rows(),
+        }))
+      );
+    }
+    return writeJson(output, entities, filters);
+  },
+};
+
+module.exports = exportService;
@@ -0,0 +1,242 @@
+const FxRate = require("../models/FxRate");
+const { getSourceLine } = require("../utils/csv");
+
+// Currency used to cross pairs that have no direct rate
+const PIVOT_CURRENCY = "USD";
+
+const round = (value, decimals = 2) => Number(Number(value).toFixed(decimals));
+
+const normalize = (currency) =>
+  String(currency || PIVOT_CURRENCY)
+    .toUpperCase()
+    .trim();
+
+/**
+ * Currency a trade's P/L is earned in. Trades saved before currencies were
+ * recorded are in USD.
+ * @param {Object} trade - Trade or OptionTrade
+ * @returns {string}
+ */
+const getTradeCurrency = (trade) => normalize(trade.quoteCurrency);
+
+// Date a trade's P/L is converted at: the exit for closed trades
+const getTradeDate = (trade) =>
+  new Date(trade.exitDate || trade.entryDate || Date.now());
+
+// Latest entry on or before `date` in a date-sorted series
+const findOnOrBefore = (series = [], date) => {
+  const time = new Date(date).getTime();
+  let low = 0;
+  let high = series.length - 1;
+  let found = null;
+
+  while (low <= high) {
+    const mid = Math.floor((low + high) / 2);
+    if (new Date(series[mid].date).getTime() <= time) {
+      found = series[mid];
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  return found;
+};
+
+// Rate lookup over preloaded table rows: direct pair, inverse, then via USD
+const buildRateLookup = (rows) => {
+  const series = {};
+  rows.forEach((row) => {
+    const key = `${row.base}/${row.quote}`;
+    (series[key] = series[key] || []).push(row);
+  });
+
+  const lookup = (from, to, date) => {
+    if (from === to) return { rate: 1, date: null };
+
+    const direct = findOnOrBefore(series[`${from}/${to}`], date);
+    if (direct) return { rate: direct.rate, date: direct.date };
+
+    const inverse = findOnOrBefore(series[`${to}/${from}`], date);
+    if (inverse) return { rate: 1 / inverse.rate, date: inverse.date };
+
+    if (from === PIVOT_CURRENCY || to === PIVOT_CURRENCY) return null;
+
+    const toPivot = lookup(from, PIVOT_CURRENCY, date);
+    const fromPivot = toPivot && lookup(PIVOT_CURRENCY, to, date);
+    if (!fromPivot) return null;
+
+    return {
+      rate: toPivot.rate * fromPivot.rate,
+      date: toPivot.date < fromPivot.date ? toPivot.date : fromPivot.date,
+    };
+  };
+
+  return lookup;
+};
+
+/**
+ * FX Service - Currency conversion using the dated exchange rate table
+ */
+const fxService = {
+  getTradeCurrency,
+
+  /**
+   * Load the rates needed to report in one currency and return a converter.
+   * Amounts without a usable rate are passed through unchanged and their
+   * currency is listed in `converter.missingCurrencies`.
+   * @param {string} currency - Reporting currency (preferences.defaultCurrency)
+   * @param {Array<string>} currencies - Currencies that will be converted
+   *   (omit to load the whole table, e.g. when trades span many users)
+   * @returns {Promise<Function>} - (amount, trade) => amount in `currency`
+   */
+  createConverter: async (currency, currencies) => {
+    const target = normalize(currency);
+    const filter = {};
+
+    if (currencies) {
+      const involved = [
+        ...new Set([target, PIVOT_CURRENCY, ...currencies.map(normalize)]),
+      ];
+      filter.base = { $in: involved };
+      filter.quote = { $in: involved };
+    }
+
+    const needsRates =
+      !currencies || currencies.some((code) => normalize(code) !== target);
+    const rows = needsRates
+      ? await FxRate.find(filter).sort({ date: 1 }).lean()
+      : [];
+    const lookup = buildRateLookup(rows);
+    const missing = new Set();
+
+    const convert = (amount, trade) => {
+      const from = getTradeCurrency(trade);
+      if (from === target) return amount;
+
+      const fx = lookup(from, target, getTradeDate(trade));
+      if (!fx) {
+        missing.add(from);
+        return amount;
+      }
+      return amount * fx.rate;
+    };
+
+    convert.currency = target;
+    convert.missingCurrencies = missing;
+    convert.getRate = (from, date = new Date()) =>
+      lookup(normalize(from), target, date);
+
+    return convert;
+  },
+
+  /**
+   * Converter for a known set of trades
+   * @param {Array<Object>} trades - Trades whose P/L will be converted
+   * @param {string} currency - Reporting currency
+   * @returns {Promise<Function>} - See createConverter
+   */
+  createTradeConverter: (trades, currency) =>
+    fxService.createConverter(currency, [
+      ...new Set(trades.map(getTradeCurrency)),
+    ]),
+
+  /**
+   * Rate to convert one unit of `from` into `to`, using the latest table
+   * entry on or before `date`
+   * @param {string} from - Currency held
+   * @param {string} to - Currency wanted
+   * @param {Date} date - Date the conversion applies to (defaults to now)
+   * @returns {Promise<Object|null>} - { rate, date } or null if unknown
+   */
+  getRate: async (from, to, date = new Date()) => {
+    if (!from || !to) return null;
+
+    const converter = await fxService.createConverter(to, [from]);
+    return converter.getRate(from, date);
+  },
+
+  /**
+   * Convert an amount between currencies
+   * @param {number} amount - Amount in `from`
+   * @param {string} from - Source currency
+   * @param {string} to - Target currency
+   * @param {Date} date - Date the conversion applies to
+   * @returns {Promise<number|null>} - Converted amount, or null without a rate
+   */
+  convert: async (amount, from, to, date = new Date()) => {
+    const fx = await fxService.getRate(from, to, date);
+    return fx ? round(Number(amount) * fx.rate) : null;
+  },
+
+  /**
+   * A trade's realized P/L expressed in another currency. Closed trades use
+   * the rate from the exit date, open ones the entry date.
+   * @param {Object} trade - Trade with quoteCurrency and profitLoss
+   * @param {string} currency - Reporting currency (preferences.defaultCurrency)
+   * @returns {Promise<Object|null>} - { currency, rate, realized, net } or null
+   */
+  convertProfitLoss: async (trade, currency) => {
+    const fx = await fxService.getRate(
+      getTradeCurrency(trade),
+      normalize(currency),
+      getTradeDate(trade)
+    );
+    if (!fx) return null;
+
+    return {
+      currency: normalize(currency),
+      rate: fx.rate,
+      realized: round((trade.profitLoss?.realized || 0) * fx.rate),
+      net: round((trade.profitLoss?.net || 0) * fx.rate),
+    };
+  },
+
+  /**
+   * Parse an FX rate CSV. Columns: date, rate and either base + quote or a
+   * pair (EUR/USD, EURUSD).
+   * @param {Array<Object>} rows - Rows from parseCsv
+   * @returns {Object} - { rates, errors } with 1-based CSV line numbers
+   */
+  ratesFromCsvRows: (rows) => {
+    const rates = [];
+    const errors = [];
+
+    rows.forEach((row, index) => {
+      // Rows built by hand fall back to their position after the header
+      const line = getSourceLine(row) ?? index + 2;
+      let { base, quote } = row;
+
+      if (!base && row.pair) {
+        const pair = String(row.pair)
+          .toUpperCase()
+          .replace(/[^A-Z]/g, "");
+        if (pair.length === 6)
+          [base, quote] = [pair.slice(0, 3), pair.slice(3)];
+      }
+
+      const rate = Number(row.rate);
+      const date = new Date(row.date);
+
+      if (!base || !quote) {
+        errors.push({ line, error: "Missing base/quote or pair" });
+      } else if (!(rate > 0)) {
+        errors.push({ line, error: `Invalid rate: ${row.rate}` });
+      } else if (!row.date || isNaN(date)) {
+        errors.push({ line, error: `Invalid date: ${row.date}` });
+      } else {
+        rates.push({
+          base: normalize(base),
+          quote: normalize(quote),
+          rate,
+          date,
+          source: "csv",
+        });
+      }
+    });
+
+    return { rates, errors };
+  },
+};
+
+module.exports = fxService;
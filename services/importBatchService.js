@@ -0,0 +1,172 @@
+const ImportBatch = require("../models/ImportBatch");
+const Trade = require("../models/Trade");
+const OptionTrade = require("../models/OptionTrade");
+const CashTransaction = require("../models/CashTransaction");
+const {
+  tradeFingerprint,
+  optionTradeFingerprint,
+  cashTransactionFingerprint,
+} = require("../utils/importDuplicates");
+
+const symbols = (rows) => [
+  ...new Set(rows.map((row) => String(row.data.symbol).toUpperCase())),
+];
+
+const times = (rows, datesOf) =>
+  rows
+    .flatMap((row) => datesOf(row.data))
+    .filter(Boolean)
+    .map((date) => new Date(date));
+
+// How to find each kind of row already in the journal: the documents near
+// the rows' times, with the fields that are fingerprinted
+const KINDS = {
+  trade: {
+    Model: Trade,
+    fingerprint: tradeFingerprint,
+    filter: (rows) => ({
+      symbol: { $in: symbols(rows) },
+      entryDate: { $in: times(rows, (data) => [data.entryDate]) },
+    }),
+    fields: "symbol type entryDate entryPrice entryQuantity",
+  },
+  optionTrade: {
+    Model: OptionTrade,
+    fingerprint: optionTradeFingerprint,
+    // The fills of each leg, or the entry date of a single-contract trade
+    filter: (rows) => ({
+      symbol: { $in: symbols(rows) },
+      entryDate: {
+        $in: times(rows, (data) =>
+          data.legs && data.legs.length > 0
+            ? data.legs.flatMap((leg) =>
+                (leg.fills || []).map((fill) => fill.date)
+              )
+            : [data.entryDate]
+        ),
+      },
+    }),
+    fields:
+      "symbol type entryDate entryPrice contractType strike expiration contracts legs",
+  },
+  cashTransaction: {
+    Model: CashTransaction,
+    fingerprint: cashTransactionFingerprint,
+    filter: (rows) => ({
+      date: { $in: times(rows, (data) => [data.date]) },
+    }),
+    fields: "type amount currency date",
+  },
+};
+
+// Fingerprint, or null for a row too incomplete to compare
+const fingerprint = (type, document) => {
+  try {
+    return KINDS[type].fingerprint(document);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Import Batch Service - Duplicate checks for import previews, and the
+ * batches committed imports are recorded in
+ */
+const importBatchService = {
+  /**
+   * Flag valid rows that match a trade already in the journal or an earlier
+   * row of the same import. Flagged rows get status DUPLICATE and
+   * `duplicateOf` (the existing trade's id, or the earlier row's id).
+   * @param {Object} user - User document
+   * @param {Array<Object>} rows - { id, type ("trade", "optionTrade" or
+   *   "cashTransaction"), status, data } with data the document to be
+   *   created
+   * @returns {Promise<Array<Object>>} - The same rows, updated in place
+   */
+  flagDuplicates: async (user, rows) => {
+    const candidates = rows.filter((row) => row.status === "VALID");
+    if (candidates.length === 0) return rows;
+
+    const existing = new Map();
+    await Promise.all(
+      Object.entries(KINDS).map(async ([type, kind]) => {
+        const ofType = candidates.filter((row) => row.type === type);
+        if (ofType.length === 0) return;
+
+        const documents = await kind.Model.find({
+          user: user._id,
+          ...kind.filter(ofType),
+        })
+          .select(kind.fields)
+          .lean();
+        documents.forEach((document) =>
+          existing.set(`${type} ${fingerprint(type, document)}`, document._id)
+        );
+      })
+    );
+
+    const seen = new Map();
+    candidates.forEach((row) => {
+      const print = fingerprint(row.type, row.data);
+      if (print === null) return;
+      const key = `${row.type} ${print}`;
+
+      const duplicateOf = existing.get(key) || seen.get(key);
+      if (duplicateOf) {
+        row.status = "DUPLICATE";
+        row.duplicateOf = duplicateOf;
+      } else {
+        seen.set(key, row.id);
+      }
+    });
+
+    return rows;
+  },
+
+  /**
+   * Start a batch for an import about to be committed
+   * @param {Object} user - User document
+   * @param {Object} fields - { account, source, fileName }
+   * @returns {Promise<Object>} - ImportBatch document
+   */
+  createBatch: (user, { account = null, source, fileName } = {}) =>
+    ImportBatch.create({ user: user._id, account, source, fileName }),
+
+  /**
+   * Delete everything an import created
+   * @param {Object} user - User document
+   * @param {string} batchId - ImportBatch id
+   * @returns {Promise<Object|null>} - { batch, deleted: { trades,
+   *   optionTrades, cashTransactions } }, or null if the batch isn't the
+   *   user's
+   */
+  rollback: async (user, batchId) => {
+    const batch = await ImportBatch.findOne({ _id: batchId, user: user._id });
+    if (!batch) return null;
+    if (batch.status === "ROLLED_BACK") {
+      throw new Error("This import was already rolled back");
+    }
+
+    const filter = { user: user._id, importBatch: batch._id };
+    const [trades, optionTrades, cashTransactions] = await Promise.all([
+      Trade.deleteMany(filter),
+      OptionTrade.deleteMany(filter),
+      CashTransaction.deleteMany(filter),
+    ]);
+
+    batch.status = "ROLLED_BACK";
+    batch.rolledBackAt = new Date();
+    await batch.save();
+
+    return {
+      batch,
+      deleted: {
+        trades: trades.deletedCount,
+        optionTrades: optionTrades.deletedCount,
+        cashTransactions: cashTransactions.deletedCount,
+      },
+    };
+  },
+};
+
+module.exports = importBatchService;
@@ -0,0 +1,264 @@
+const Trade = require("../models/Trade");
+const OptionTrade = require("../models/OptionTrade");
+const PositionSnapshot = require("../models/PositionSnapshot");
+const fxService = require("./fxService");
+const priceService = require("./priceService");
+const {
+  quoteKey,
+  getOpenOptionContracts,
+  markStockTrade,
+  markOptionTrade,
+} = require("../utils/markToMarket");
+
+const round = (value, decimals = 2) => Number(Number(value).toFixed(decimals));
+
+const dayStart = (date) =>
+  new Date(`${new Date(date).toISOString().slice(0, 10)}T00:00:00.000Z`);
+
+const stockQuoteKeys = (trade) => [quoteKey({ symbol: trade.symbol })];
+
+const optionQuoteKeys = (trade) =>
+  getOpenOptionContracts(trade).map((contract) => contract.key);
+
+const emptyExposure = () => ({
+  openPositions: 0,
+  markedPositions: 0,
+  longExposure: 0,
+  shortExposure: 0,
+  unrealized: 0,
+  lastMarkedAt: null,
+});
+
+/**
+ * Mark To Market Service - Values open positions from a price source,
+ * keeps a daily snapshot of each mark and reports open exposure
+ */
+const markToMarketService = {
+  /**
+   * Mark open trades and option trades at the latest quote on or before
+   * `asOf`. Each marked position gets `mark` and `profitLoss.unrealized`
+   * updated and a snapshot for the day; positions without a quote are
+   * left as they were.
+   * @param {Object} options - { userId } to mark one user's positions,
+   *   asOf and a price source (defaults to PRICE_SOURCE)
+   * @returns {Promise<Object>} - { marked, unmarked, date }
+   */
+  markOpenPositions: async ({ userId, asOf = new Date(), source } = {}) => {
+    const filter = { status: "OPEN", ...(userId && { user: userId }) };
+    const [trades, optionTrades] = await Promise.all([
+      Trade.find(filter).lean(),
+      OptionTrade.find(filter).lean(),
+    ]);
+
+    const priceSource = source || priceService.getSource();
+    const quotes = await priceService.getQuotes(
+      [
+        ...trades.flatMap(stockQuoteKeys),
+        ...optionTrades.flatMap(optionQuoteKeys),
+      ],
+      { asOf, source: priceSource }
+    );
+    const getPrice = (key) => quotes[key]?.price;
+
+    const date = dayStart(asOf);
+    const updates = { Trade: [], OptionTrade: [] };
+    const snapshots = [];
+    let unmarked = 0;
+
+    const record = (trade, tradeModel, mark) => {
+      if (!mark) {
+        unmarked++;
+        return;
+      }
+
+      updates[tradeModel].push({
+        updateOne: {
+          filter: { _id: trade._id },
+          update: {
+            $set: {
+              "profitLoss.unrealized": mark.unrealized,
+              mark: {
+                price: mark.price,
+                quantity: mark.quantity,
+                marketValue: mark.marketValue,
+                unrealized: mark.unrealized,
+                date: asOf,
+                source: priceSource.name,
+              },
+            },
+          },
+        },
+      });
+      snapshots.push({
+        updateOne: {
+          filter: { trade: trade._id, date },
+          update: {
+            $set: {
+              user: trade.user,
+              account: trade.account ?? null,
+              tradingMode: trade.tradingMode || "LIVE",
+              tradeModel,
+              symbol: trade.symbol,
+              ...mark,
+              currency: fxService.getTradeCurrency(trade),
+              source: priceSource.name,
+            },
+          },
+          upsert: true,
+        },
+      });
+    };
+
+    trades.forEach((trade) => {
+      const price = getPrice(stockQuoteKeys(trade)[0]);
+      record(
+        trade,
+        "Trade",
+        price === undefined ? null : markStockTrade(trade, price)
+      );
+    });
+    optionTrades.forEach((trade) =>
+      record(trade, "OptionTrade", markOptionTrade(trade, getPrice))
+    );
+
+    await Promise.all([
+      updates.Trade.length > 0 && Trade.bulkWrite(updates.Trade),
+      updates.OptionTrade.length > 0 &&
+        OptionTrade.bulkWrite(updates.OptionTrade),
+      snapshots.length > 0 && PositionSnapshot.bulkWrite(snapshots),
+    ]);
+
+    return { marked: snapshots.length, unmarked, date };
+  },
+
+  /**
+   * Open exposure and unrealized P/L from the latest marks, in the
+   * reporting currency
+   * @param {Object} user - User document
+   * @param {Object} options - accountFilter from accountService, the
+   *   reporting currency and whether to include stock and option trades
+   * @returns {Promise<Object>} - { openPositions, markedPositions,
+   *   longExposure, shortExposure, grossExposure, netExposure, unrealized,
+   *   lastMarkedAt, currency }
+   */
+  getOpenExposure: async (
+    user,
+    {
+      accountFilter = {},
+      currency = user.preferences?.defaultCurrency,
+      stocks = true,
+      options = true,
+    } = {}
+  ) => {
+    const filter = { user: user._id, ...accountFilter, status: "OPEN" };
+    const [trades, optionTrades] = await Promise.all([
+      stocks ? Trade.find(filter).lean() : [],
+      options ? OptionTrade.find(filter).lean() : [],
+    ]);
+    const positions = [...trades, ...optionTrades];
+    const toReporting = await fxService.createTradeConverter(
+      positions,
+      currency
+    );
+
+    const exposure = emptyExposure();
+    positions.forEach((trade) => {
+      exposure.openPositions++;
+      if (!trade.mark?.date) return;
+
+      // Converted at the rate of the day it was marked
+      const convert = (amount) =>
+        toReporting(Number(amount) || 0, {
+          quoteCurrency: trade.quoteCurrency,
+          exitDate: trade.mark.date,
+        });
+      const marketValue = convert(trade.mark.marketValue);
+
+      exposure.markedPositions++;
+      if (marketValue >= 0) exposure.longExposure += marketValue;
+      else exposure.shortExposure += -marketValue;
+      exposure.unrealized += convert(trade.mark.unrealized);
+      if (!exposure.lastMarkedAt || trade.mark.date > exposure.lastMarkedAt) {
+        exposure.lastMarkedAt = trade.mark.date;
+      }
+    });
+
+    return {
+      openPositions: exposure.openPositions,
+      markedPositions: exposure.markedPositions,
+      unmarkedPositions: exposure.openPositions - exposure.markedPositions,
+      longExposure: round(exposure.longExposure),
+      shortExposure: round(exposure.shortExposure),
+      grossExposure: round(exposure.longExposure + exposure.shortExposure),
+      netExposure: round(exposure.longExposure - exposure.shortExposure),
+      unrealized: round(exposure.unrealized),
+      lastMarkedAt: exposure.lastMarkedAt,
+      currency: toReporting.currency,
+    };
+  },
+
+  /**
+   * Daily totals of the stored snapshots: unrealized P/L and exposure of
+   * everything that was open at each day's mark
+   * @param {Object} user - User document
+   * @param {Object} options - { from, to }, accountFilter and currency
+   * @returns {Promise<Object>} - { currency, days: [{ date, positions,
+   *   longExposure, shortExposure, netExposure, unrealized }] }
+   */
+  getSnapshotHistory: async (
+    user,
+    {
+      from,
+      to,
+      accountFilter = {},
+      currency = user.preferences?.defaultCurrency,
+    } = {}
+  ) => {
+    const filter = { user: user._id, ...accountFilter };
+    if (from || to) {
+      filter.date = {};
+      if (from) filter.date.$gte = dayStart(from);
+      if (to) filter.date.$lte = dayStart(to);
+    }
+
+    const snapshots = await PositionSnapshot.find(filter)
+      .sort({ date: 1 })
+      .lean();
+    const toReporting = await fxService.createConverter(currency, [
+      ...new Set(snapshots.map((snapshot) => snapshot.currency)),
+    ]);
+
+    const days = {};
+    snapshots.forEach((snapshot) => {
+      const key = snapshot.date.toISOString().slice(0, 10);
+      const convert = (amount) =>
+        toReporting(Number(amount) || 0, {
+          quoteCurrency: snapshot.currency,
+          exitDate: snapshot.date,
+        });
+      days[key] = days[key] || { date: key, ...emptyExposure() };
+      const day = days[key];
+      const marketValue = convert(snapshot.marketValue);
+
+      day.openPositions++;
+      if (marketValue >= 0) day.longExposure += marketValue;
+      else day.shortExposure += -marketValue;
+      day.unrealized += convert(snapshot.unrealized);
+    });
+
+    return {
+      currency: toReporting.currency,
+      unconvertedCurrencies: [...toReporting.missingCurrencies],
+      days: Object.values(days).map((day) => ({
+        date: day.date,
+        positions: day.openPositions,
+        longExposure: round(day.longExposure),
+        shortExposure: round(day.shortExposure),
+        netExposure: round(day.longExposure - day.shortExposure),
+        unrealized: round(day.unrealized),
+      })),
+    };
+  },
+};
+
+module.exports = markToMarketService;
@@ -0,0 +1,77 @@
+const Trade = require("../models/Trade");
+const { classifySession } = require("../utils/marketSessions");
+
+const BATCH_SIZE = 500;
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Trades saved before entryTimeRecorded existed only have the stored
+// instant. Midnight UTC is where date-only entries land, so by default it
+// is read as "no time"; pass midnightHasTime when those are real fills.
+const hasEntryTime = (trade, midnightHasTime) => {
+  if (trade.entryTimeRecorded != null) return trade.entryTimeRecorded;
+  return (
+    midnightHasTime || new Date(trade.entryDate).getTime() % MS_PER_DAY !== 0
+  );
+};
+
+/**
+ * Market Session Service - Keeps stored trade sessions in line with the
+ * exchange calendar
+ */
+const marketSessionService = {
+  /**
+   * Reclassify the session of existing equity trades from their entryDate.
+   * Trades entered without a time of day keep the session they have.
+   * Updates go straight to the collection, so P/L hooks don't re-run.
+   * @param {Object} options - { userId } to limit it to one user,
+   *   { midnightHasTime } to classify older trades stored at exactly
+   *   midnight UTC too
+   * @returns {Promise<Object>} - { scanned, updated, skipped, bySession }
+   *   with skipped counting the date-only trades
+   */
+  backfillSessions: async ({ userId, midnightHasTime = false } = {}) => {
+    const cursor = Trade.find({
+      ...(userId && { user: userId }),
+      assetClass: { $in: ["EQUITY", null] },
+      entryDate: { $ne: null },
+    })
+      .select("entryDate entryTimeRecorded session")
+      .lean()
+      .cursor();
+
+    let scanned = 0;
+    let updated = 0;
+    let skipped = 0;
+    const bySession = {};
+    let batch = [];
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      await Trade.bulkWrite(batch, { ordered: false });
+      updated += batch.length;
+      batch = [];
+    };
+
+    for await (const trade of cursor) {
+      scanned++;
+      if (!hasEntryTime(trade, midnightHasTime)) {
+        skipped++;
+        continue;
+      }
+      const session = classifySession(trade.entryDate);
+      bySession[session] = (bySession[session] || 0) + 1;
+
+      if (trade.session !== session) {
+        batch.push({
+          updateOne: { filter: { _id: trade._id }, update: { session } },
+        });
+        if (batch.length >= BATCH_SIZE) await flush();
+      }
+    }
+    await flush();
+
+    return { scanned, updated, skipped, bySession };
+  },
+};
+
+module.exports = marketSessionService;
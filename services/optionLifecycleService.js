@@ -0,0 +1,558 @@
+const moment = require("moment-timezone");
+const mongoose = require("mongoose");
+const Trade = require("../models/Trade");
+const OptionTrade = require("../models/OptionTrade");
+const priceService = require("./priceService");
+const {
+  CONTRACT_MULTIPLIER,
+  intrinsicValue,
+  summarizeLeg,
+} = require("../utils/optionPositions");
+const { applyDefaultFees } = require("../utils/profitLoss");
+const { quoteKey } = require("../utils/markToMarket");
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// What a roll may change on the new contract; everything else is carried
+// over from the contract being rolled
+const ROLL_FIELDS = [
+  "expiration",
+  "strike",
+  "entryPrice",
+  "contracts",
+  "contractType",
+  "underlyingPrice",
+];
+
+// Error code for transactions on a standalone mongod (IllegalOperation)
+const TRANSACTIONS_UNSUPPORTED = 20;
+
+// Save two new or changed documents together. Transactions need a replica
+// set; on a standalone server the first is written on its own and deleted
+// again if the second can't be saved.
+const saveTogether = async (first, second) => {
+  try {
+    // Rolls the documents' state back as well when the transaction aborts
+    await mongoose.connection.transaction(async (session) => {
+      await first.save({ session });
+      await second.save({ session });
+    });
+    return;
+  } catch (error) {
+    if (error.code !== TRANSACTIONS_UNSUPPORTED) throw error;
+  }
+
+  await first.save();
+  try {
+    await second.save();
+  } catch (error) {
+    await first.deleteOne();
+    throw error;
+  }
+};
+
+// Long calls and short puts turn into long shares, the other two into shorts.
+// The option premium is carried into the stock's cost basis.
+const getStockPosition = ({ contractType, side, strike, premium }) => {
+  const type =
+    (contractType === "CALL") === (side === "LONG") ? "LONG" : "SHORT";
+  const premiumPaid = side === "LONG" ? premium : -premium;
+
+  return {
+    type,
+    entryPrice: Number(
+      (type === "LONG" ? strike + premiumPaid : strike - premiumPaid).toFixed(4)
+    ),
+  };
+};
+
+// Expirations are calendar dates, stored at midnight UTC
+const expirationDay = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Contracts of an open option trade expiring on or before the cutoff
+const expiringContracts = (optionTrade, cutoff) => {
+  if (optionTrade.legs && optionTrade.legs.length > 0) {
+    return optionTrade.legs
+      .filter(
+        (leg) => leg.openQuantity > 0 && new Date(leg.expiration) <= cutoff
+      )
+      .map((leg) => ({
+        legId: leg._id,
+        contractType: leg.contractType,
+        strike: leg.strike,
+        expiration: leg.expiration,
+      }));
+  }
+
+  return new Date(optionTrade.expiration) <= cutoff
+    ? [
+        {
+          legId: null,
+          contractType: optionTrade.contractType,
+          strike: optionTrade.strike,
+          expiration: optionTrade.expiration,
+        },
+      ]
+    : [];
+};
+
+// Underlying closes on each expiration day, keyed "<symbol> <YYYY-MM-DD>".
+// Only quotes dated on the expiration day count; without one the close is
+// unknown.
+const getExpirationCloses = async (contractsBySymbol, source) => {
+  const symbolsByDay = {};
+  contractsBySymbol.forEach(({ symbol, contracts }) => {
+    contracts.forEach(({ expiration }) => {
+      const day = expirationDay(expiration);
+      symbolsByDay[day] = symbolsByDay[day] || new Set();
+      symbolsByDay[day].add(quoteKey({ symbol }));
+    });
+  });
+
+  const closes = {};
+  for (const [day, symbols] of Object.entries(symbolsByDay)) {
+    const dayStart = moment.utc(day).startOf("day").toDate();
+    let quotes = {};
+    try {
+      quotes = await priceService.getQuotes([...symbols], {
+        asOf: moment.utc(day).endOf("day").toDate(),
+        source,
+      });
+    } catch (error) {
+      console.error(
+        `Could not load underlying closes for ${day} expirations:`,
+        error.message
+      );
+    }
+
+    Object.entries(quotes).forEach(([key, quote]) => {
+      if (quote.date >= dayStart) closes[`${key} ${day}`] = quote.price;
+    });
+  }
+  return closes;
+};
+
+// Take back what expire() booked so the contract is open again. Throws when
+// nothing on the trade (or the given leg) was closed by expiration.
+const undoExpiration = (optionTrade, legId) => {
+  if (optionTrade.legs && optionTrade.legs.length > 0) {
+    const legs = legId ? [optionTrade.legs.id(legId)] : optionTrade.legs;
+    if (!legs[0]) throw new Error("Leg not found");
+
+    let reopened = 0;
+    legs.forEach((leg) => {
+      const kept = leg.fills.filter((fill) => !fill.expired);
+      reopened += leg.fills.length - kept.length;
+      leg.fills = kept;
+    });
+    if (reopened === 0) {
+      throw new Error("Nothing on this position was closed by expiration");
+    }
+    return;
+  }
+
+  if (optionTrade.closeReason !== "EXPIRED") {
+    throw new Error("This option trade was not closed by expiration");
+  }
+  optionTrade.exitPrice = null;
+  optionTrade.exitDate = null;
+};
+
+// Premium received (+) or paid (-) when a contract is opened or closed
+const premiumFlow = (trade, price) =>
+  (trade.type === "SHORT" ? 1 : -1) *
+  price *
+  trade.contracts *
+  CONTRACT_MULTIPLIER;
+
+/**
+ * Option Lifecycle Service - Expiration, assignment, exercise and rolling of option trades
+ */
+const optionLifecycleService = {
+  /**
+   * Expire an option trade worthless. On multi-leg positions only the legs
+   * whose expiration has passed are closed.
+   * @param {Object} optionTrade - OptionTrade document
+   * @param {Date} asOf - Date the expiration is processed for
+   * @param {Object} options - { legIds } to expire only those legs
+   * @returns {Promise<Object>} - The updated option trade
+   */
+  expire: async (optionTrade, asOf = new Date(), { legIds } = {}) => {
+    if (optionTrade.status !== "OPEN") {
+      throw new Error("Only open option trades can expire");
+    }
+
+    if (optionTrade.legs && optionTrade.legs.length > 0) {
+      optionTrade.legs.forEach((leg) => {
+        if (
+          leg.openQuantity > 0 &&
+          new Date(leg.expiration) <= asOf &&
+          (!legIds || legIds.some((id) => String(id) === String(leg._id)))
+        ) {
+          leg.fills.push({
+            action: "CLOSE",
+            price: 0,
+            quantity: leg.openQuantity,
+            date: leg.expiration,
+            expired: true,
+          });
+        }
+      });
+    } else {
+      optionTrade.exitPrice = 0;
+      optionTrade.exitDate = optionTrade.expiration;
+    }
+
+    optionTrade.closeReason = "EXPIRED";
+    return await optionTrade.save();
+  },
+
+  /**
+   * Reopen a trade (or one leg) that was expired worthless by mistake, so it
+   * can be closed, assigned or exercised properly
+   * @param {Object} optionTrade - OptionTrade document
+   * @param {Object} options - { legId } to reopen a single leg
+   * @returns {Promise<Object>} - The updated option trade
+   */
+  reopenExpired: async (optionTrade, { legId } = {}) => {
+    undoExpiration(optionTrade, legId);
+    return await optionTrade.save();
+  },
+
+  /**
+   * Turn an option into stock through assignment (short) or exercise (long).
+   * The option closes flat and its premium moves into the new Trade's basis.
+   * A contract that was expired worthless is reopened first.
+   * @param {Object} optionTrade - OptionTrade document
+   * @param {Object} options - { reason: "ASSIGNED"|"EXERCISED", date, legId }
+   * @returns {Promise<Object>} - { optionTrade, stockTrade }
+   */
+  convertToStock: async (optionTrade, { reason, date, legId } = {}) => {
+    if (!["ASSIGNED", "EXERCISED"].includes(reason)) {
+      throw new Error("Reason must be ASSIGNED or EXERCISED");
+    }
+    if (
+      optionTrade.status !== "OPEN" &&
+      optionTrade.closeReason !== "EXPIRED"
+    ) {
+      throw new Error("Option trade is already closed");
+    }
+
+    const isMultiLeg = optionTrade.legs && optionTrade.legs.length > 0;
+    const leg = isMultiLeg ? optionTrade.legs.id(legId) : null;
+
+    if (isMultiLeg && !leg) {
+      throw new Error(
+        "legId is required to assign or exercise a multi-leg position"
+      );
+    }
+
+    if (
+      leg
+        ? leg.fills.some((fill) => fill.expired)
+        : optionTrade.closeReason === "EXPIRED"
+    ) {
+      undoExpiration(optionTrade, legId);
+    }
+
+    const legSummary = leg ? summarizeLeg(leg) : null;
+    const contract = leg
+      ? {
+          contractType: leg.contractType,
+          side: leg.side,
+          strike: leg.strike,
+          premium: legSummary.averageOpenPrice,
+          contracts: legSummary.openQuantity,
+        }
+      : {
+          contractType: optionTrade.contractType,
+          side: optionTrade.type,
+          strike: optionTrade.strike,
+          premium: optionTrade.entryPrice,
+          contracts: optionTrade.contracts,
+        };
+
+    if (reason === "ASSIGNED" && contract.side !== "SHORT") {
+      throw new Error("Only short options can be assigned");
+    }
+    if (reason === "EXERCISED" && contract.side !== "LONG") {
+      throw new Error("Only long options can be exercised");
+    }
+    if (!(contract.contracts > 0)) {
+      throw new Error("There are no open contracts to convert");
+    }
+
+    const eventDate = date ? new Date(date) : new Date();
+    const { type, entryPrice } = getStockPosition(contract);
+
+    const stockTrade = await Trade.create({
+      user: optionTrade.user,
+      account: optionTrade.account,
+      tradingMode: optionTrade.tradingMode,
+      symbol: optionTrade.symbol,
+      type,
+      tradeType: "SWING",
+      entryPrice,
+      entryQuantity: contract.contracts * CONTRACT_MULTIPLIER,
+      entryDate: eventDate,
+      sourceOptionTrade: optionTrade._id,
+      notes: `${reason === "ASSIGNED" ? "Assigned" : "Exercised"} from ${
+        optionTrade.symbol
+      } ${contract.strike} ${contract.contractType}`,
+    });
+
+    // Close the option at its own premium so the P/L lives in the stock basis
+    if (leg) {
+      leg.fills.push({
+        action: "CLOSE",
+        price: contract.premium,
+        quantity: contract.contracts,
+        date: eventDate,
+      });
+    } else {
+      optionTrade.exitPrice = optionTrade.entryPrice;
+      optionTrade.exitDate = eventDate;
+    }
+
+    optionTrade.closeReason = reason;
+    optionTrade.resultingTrades.push(stockTrade._id);
+
+    try {
+      await optionTrade.save();
+    } catch (error) {
+      await Trade.findByIdAndDelete(stockTrade._id);
+      throw error;
+    }
+
+    return { optionTrade, stockTrade };
+  },
+
+  /**
+   * Roll an option: close the current contract and open a linked
+   * replacement. Both are saved in one transaction where the server
+   * supports it, so neither half is kept without the other.
+   * @param {Object} optionTrade - OptionTrade document being rolled
+   * @param {Object} options - { closePrice, date, newContract, user }
+   * @returns {Promise<Object>} - { closedTrade, newTrade }
+   */
+  roll: async (optionTrade, { closePrice, date, newContract = {}, user }) => {
+    if (optionTrade.status !== "OPEN") {
+      throw new Error("Only open option trades can be rolled");
+    }
+    if (optionTrade.legs && optionTrade.legs.length > 0) {
+      throw new Error(
+        "Multi-leg positions cannot be rolled as a single contract"
+      );
+    }
+    if (closePrice === undefined || closePrice === null || closePrice === "") {
+      throw new Error("closePrice is required to roll an option");
+    }
+    if (!newContract.expiration || newContract.entryPrice === undefined) {
+      throw new Error(
+        "The new contract requires an expiration and an entryPrice"
+      );
+    }
+
+    const rollDate = date ? new Date(date) : new Date();
+    const chainId = optionTrade.rollChain?.chainId || optionTrade._id;
+    const sequence = optionTrade.rollChain?.sequence || 0;
+
+    const contractChanges = ROLL_FIELDS.reduce((data, field) => {
+      if (newContract[field] !== undefined) data[field] = newContract[field];
+      return data;
+    }, {});
+
+    const newTrade = new OptionTrade(
+      applyDefaultFees(
+        {
+          symbol: optionTrade.symbol,
+          underlyingPrice: optionTrade.underlyingPrice,
+          contractType: optionTrade.contractType,
+          type: optionTrade.type,
+          contracts: optionTrade.contracts,
+          strike: optionTrade.strike,
+          strategy: optionTrade.strategy,
+          setupType: optionTrade.setupType,
+          tags: optionTrade.tags,
+          ...contractChanges,
+          user: optionTrade.user,
+          account: optionTrade.account,
+          tradingMode: optionTrade.tradingMode,
+          entryDate: rollDate,
+          rollChain: {
+            chainId,
+            sequence: sequence + 1,
+            rolledFrom: optionTrade._id,
+          },
+        },
+        user,
+        { isOption: true }
+      )
+    );
+
+    optionTrade.exitPrice = Number(closePrice);
+    optionTrade.exitDate = rollDate;
+    optionTrade.closeReason = "ROLLED";
+    optionTrade.rollChain = {
+      chainId,
+      sequence,
+      rolledFrom: optionTrade.rollChain?.rolledFrom || null,
+      rolledTo: newTrade._id,
+    };
+
+    const { fees } = applyDefaultFees(
+      { ...optionTrade.toObject(), fees: undefined },
+      user,
+      { isOption: true, existingFees: optionTrade.fees }
+    );
+    if (fees) optionTrade.fees = fees;
+
+    await saveTogether(newTrade, optionTrade);
+
+    return { closedTrade: optionTrade, newTrade };
+  },
+
+  /**
+   * Totals for a roll chain (e.g. a wheel or income campaign)
+   * @param {Array<Object>} trades - Option trades in the chain
+   * @returns {Object} - Ordered trades, per-roll credits and chain-level totals
+   */
+  summarizeChain: (trades) => {
+    const ordered = [...trades].sort(
+      (a, b) => (a.rollChain?.sequence || 0) - (b.rollChain?.sequence || 0)
+    );
+
+    let netPremiumCollected = 0;
+    let realizedProfitLoss = 0;
+    let netProfitLoss = 0;
+    const rolls = [];
+
+    ordered.forEach((trade, index) => {
+      netPremiumCollected += premiumFlow(trade, trade.entryPrice);
+      if (trade.exitPrice != null && trade.exitDate) {
+        netPremiumCollected -= premiumFlow(trade, trade.exitPrice);
+      }
+      realizedProfitLoss += trade.profitLoss?.realized || 0;
+      netProfitLoss += trade.profitLoss?.net || 0;
+
+      const next = ordered[index + 1];
+      if (trade.closeReason === "ROLLED" && next) {
+        rolls.push({
+          from: trade._id,
+          to: next._id,
+          date: trade.exitDate,
+          // Positive when the roll was done for a net credit
+          rollCredit: Number(
+            (
+              premiumFlow(next, next.entryPrice) -
+              premiumFlow(trade, trade.exitPrice)
+            ).toFixed(2)
+          ),
+        });
+      }
+    });
+
+    const first = ordered[0];
+    const last = ordered[ordered.length - 1];
+    const endDate = last.status === "CLOSED" ? last.exitDate : new Date();
+
+    return {
+      chainId: first.rollChain?.chainId || first._id,
+      symbol: first.symbol,
+      status: last.status,
+      rollCount: rolls.length,
+      netPremiumCollected: Number(netPremiumCollected.toFixed(2)),
+      realizedProfitLoss: Number(realizedProfitLoss.toFixed(2)),
+      netProfitLoss: Number(netProfitLoss.toFixed(2)),
+      startDate: first.entryDate,
+      endDate: last.status === "CLOSED" ? last.exitDate : null,
+      daysInCampaign: Math.ceil(
+        (new Date(endDate) - new Date(first.entryDate)) / MS_PER_DAY
+      ),
+      rolls,
+      trades: ordered,
+    };
+  },
+
+  /**
+   * Expire the open contracts whose expiration day has ended and that
+   * finished out of the money. In-the-money contracts, and any whose
+   * underlying close on the expiration day isn't known (always the case
+   * without a price source), are left open for assignment or exercise and
+   * flagged in `expirationReview`.
+   * @param {Date} now - Reference time (defaults to now)
+   * @param {Object} options - { source } price source for underlying closes
+   *   (defaults to PRICE_SOURCE)
+   * @returns {Promise<Object>} - { expired, flagged } trade counts
+   */
+  processExpiredOptions: async (now = new Date(), { source } = {}) => {
+    // Contracts expire at the close, so anything dated today or earlier in New York
+    const today = moment(now).tz("America/New_York").format("YYYY-MM-DD");
+    const cutoff = moment.utc(today).endOf("day").toDate();
+
+    const candidates = await OptionTrade.find({
+      status: "OPEN",
+      $or: [
+        { expiration: { $lte: cutoff } },
+        { "legs.expiration": { $lte: cutoff } },
+      ],
+    });
+
+    const expiring = candidates.map((optionTrade) => ({
+      optionTrade,
+      symbol: optionTrade.symbol,
+      contracts: expiringContracts(optionTrade, cutoff),
+    }));
+    const closes =
+      source || priceService.isConfigured()
+        ? await getExpirationCloses(expiring, source)
+        : {};
+
+    let expired = 0;
+    let flagged = 0;
+    for (const { optionTrade, symbol, contracts } of expiring) {
+      const worthless = [];
+      let review = null;
+      contracts.forEach((contract) => {
+        const close =
+          closes[
+            `${quoteKey({ symbol })} ${expirationDay(contract.expiration)}`
+          ];
+        if (close === undefined) {
+          review = "NO_PRICE";
+        } else if (
+          intrinsicValue(contract.contractType, contract.strike, close) > 0
+        ) {
+          review = review || "IN_THE_MONEY";
+        } else {
+          worthless.push(contract);
+        }
+      });
+
+      try {
+        if (worthless.length > 0) {
+          optionTrade.expirationReview = review;
+          await optionLifecycleService.expire(optionTrade, cutoff, {
+            legIds: worthless.map((contract) => contract.legId).filter(Boolean),
+          });
+          expired++;
+        } else if (optionTrade.expirationReview !== review) {
+          await OptionTrade.updateOne(
+            { _id: optionTrade._id },
+            { expirationReview: review }
+          );
+        }
+        if (review) flagged++;
+      } catch (error) {
+        console.error(
+          `Error expiring option trade ${optionTrade._id}:`,
+          error.message
+        );
+      }
+    }
+
+    return { expired, flagged };
+  },
+};
+
+module.exports = optionLifecycleService;
@@ -0,0 +1,147 @@
+const Trade = require("../models/Trade");
+const OptionTrade = require("../models/OptionTrade");
+const fxService = require("./fxService");
+const { getRealizedPL } = require("../utils/profitLoss");
+
+const round = (value, decimals = 2) => Number(Number(value).toFixed(decimals));
+
+// Setup fields trades can be compared by, per trade kind. Stock trades carry
+// a chart pattern, option trades a setup type; both have a strategy.
+const GROUP_FIELDS = {
+  strategy: { trade: "strategy", option: "strategy" },
+  pattern: { trade: "pattern" },
+  setupType: { option: "setupType" },
+};
+
+const UNSPECIFIED = "Unspecified";
+
+const emptyTotals = () => ({
+  trades: 0,
+  winningTrades: 0,
+  totalProfit: 0,
+  rMultipleSum: 0,
+  rMultipleCount: 0,
+});
+
+const finishTotals = ({ rMultipleSum, rMultipleCount, ...totals }) => ({
+  ...totals,
+  totalProfit: round(totals.totalProfit),
+  winRate: totals.trades
+    ? round((totals.winningTrades / totals.trades) * 100, 1)
+    : 0,
+  averageProfit: totals.trades ? round(totals.totalProfit / totals.trades) : 0,
+  avgRMultiple: rMultipleCount ? round(rMultipleSum / rMultipleCount) : null,
+});
+
+// How live results differ from paper; null when either side has no trades
+const compareTotals = (paper, live) => {
+  if (!paper.trades || !live.trades) return null;
+  const diff = (field) =>
+    paper[field] === null || live[field] === null
+      ? null
+      : round(live[field] - paper[field]);
+
+  return {
+    winRate: diff("winRate"),
+    averageProfit: diff("averageProfit"),
+    avgRMultiple: diff("avgRMultiple"),
+  };
+};
+
+/**
+ * Paper Trading Service - Compare simulated trades with live ones
+ */
+const paperTradingService = {
+  GROUP_FIELDS,
+
+  /**
+   * Closed paper and live trades side by side, per setup
+   * @param {Object} user - User document
+   * @param {Object} options - groupBy (strategy, pattern or setupType),
+   *   accountFilter, P/L basis and the reporting currency
+   * @returns {Promise<Object>} - { groupBy, currency, overall, groups } where
+   *   each group has paper and live totals and the live minus paper difference
+   */
+  compare: async (
+    user,
+    {
+      groupBy = "strategy",
+      accountFilter = {},
+      basis = "gross",
+      currency = user.preferences?.defaultCurrency,
+    } = {}
+  ) => {
+    const fields = GROUP_FIELDS[groupBy];
+    if (!fields) {
+      throw new Error(
+        `Invalid groupBy: ${groupBy}. Use ${Object.keys(GROUP_FIELDS).join(
+          ", "
+        )}`
+      );
+    }
+
+    // Both modes, whatever the caller's account scope said about mode
+    const { tradingMode, ...scope } = accountFilter;
+    const filter = { user: user._id, ...scope, status: "CLOSED" };
+    const [trades, optionTrades] = await Promise.all([
+      fields.trade ? Trade.find(filter).lean() : [],
+      fields.option ? OptionTrade.find(filter).lean() : [],
+    ]);
+
+    const toReporting = await fxService.createTradeConverter(
+      [...trades, ...optionTrades],
+      currency
+    );
+
+    const overall = { paper: emptyTotals(), live: emptyTotals() };
+    const groups = {};
+
+    const add = (trade, field) => {
+      const mode = trade.tradingMode === "PAPER" ? "paper" : "live";
+      const key = trade[field] || UNSPECIFIED;
+      groups[key] = groups[key] || {
+        paper: emptyTotals(),
+        live: emptyTotals(),
+      };
+
+      const pl = toReporting(getRealizedPL(trade, basis), trade);
+      const rMultiple = trade.profitLoss?.rMultiple;
+
+      [overall[mode], groups[key][mode]].forEach((totals) => {
+        totals.trades++;
+        if (pl > 0) totals.winningTrades++;
+        totals.totalProfit += pl;
+        if (rMultiple !== null && rMultiple !== undefined) {
+          totals.rMultipleSum += rMultiple;
+          totals.rMultipleCount++;
+        }
+      });
+    };
+
+    trades.forEach((trade) => add(trade, fields.trade));
+    optionTrades.forEach((trade) => add(trade, fields.option));
+
+    const summarize = ({ paper, live }) => {
+      const result = { paper: finishTotals(paper), live: finishTotals(live) };
+      return {
+        ...result,
+        difference: compareTotals(result.paper, result.live),
+      };
+    };
+
+    return {
+      groupBy,
+      currency: toReporting.currency,
+      unconvertedCurrencies: [...toReporting.missingCurrencies],
+      overall: summarize(overall),
+      groups: Object.entries(groups)
+        .map(([setup, totals]) => ({ setup, ...summarize(totals) }))
+        .sort(
+          (a, b) =>
+            b.paper.trades + b.live.trades - (a.paper.trades + a.live.trades)
+        ),
+    };
+  },
+};
+
+module.exports = paperTradingService;
@@ -0,0 +1,457 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Account = require("../models/Account");
+const Trade = require("../models/Trade");
+const OptionTrade = require("../models/OptionTrade");
+const TradePlan = require("../models/TradePlan");
+const TradeReview = require("../models/TradeReview");
+const CashTransaction = require("../models/CashTransaction");
+const ImportBatch = require("../models/ImportBatch");
+const PositionSnapshot = require("../models/PositionSnapshot");
+const Notification = require("../models/Notification");
+const StudyGroup = require("../models/StudyGroup");
+const DataArchive = require("../models/DataArchive");
+const { createZipWriter } = require("../utils/zip");
+
+const ARCHIVE_DIR =
+  process.env.DATA_ARCHIVE_DIR || path.join(os.tmpdir(), "data-archives");
+
+// How long a finished archive stays downloadable
+const ARCHIVE_LIFETIME_HOURS = 48;
+
+// A build still running after this long was cut off (e.g. by a restart)
+const STALLED_AFTER_MINUTES = 60;
+
+const TOKEN_TYPE = "data-archive";
+
+// Collections holding documents owned by the user, archived as they are
+const OWNED_COLLECTIONS = [
+  { file: "accounts.json", Model: Account, sort: { createdAt: 1 } },
+  { file: "trades.json", Model: Trade, sort: { entryDate: 1 } },
+  { file: "optionTrades.json", Model: OptionTrade, sort: { entryDate: 1 } },
+  { file: "tradePlans.json", Model: TradePlan, sort: { createdAt: 1 } },
+  { file: "tradeReviews.json", Model: TradeReview, sort: { createdAt: 1 } },
+  { file: "cashTransactions.json", Model: CashTransaction, sort: { date: 1 } },
+  { file: "imports.json", Model: ImportBatch, sort: { createdAt: 1 } },
+  { file: "positionMarks.json", Model: PositionSnapshot, sort: { date: 1 } },
+  { file: "notifications.json", Model: Notification, sort: { createdAt: 1 } },
+];
+
+const README = `Your data, as held by the trading journal on the date of this archive.
+
+profile.json            Your account profile and preferences (password and
+                        security answers are never exported)
+accounts.json           Brokerage accounts you set up
+trades.json             Trades, with executions and fees
+optionTrades.json       Option trades, with legs and fills
+tradePlans.json         Trade plans
+tradeReviews.json       Your reviews of your trades
+reviewComments.json     Comments you wrote on any review
+cashTransactions.json   Deposits, withdrawals, fees, interest and dividends
+imports.json            Imports you ran
+positionMarks.json      End-of-day marks of your open positions
+notifications.json      Notifications sent to you
+studyGroups.json        Study groups you created, joined or were invited to,
+                        with your role, RSVPs, polls and shared resources
+studyGroupMessages.json Messages and replies you posted in study groups
+aiRequests.json         Your AI assistant usage. Prompts and answers are not
+                        stored, so only the counts exist.
+
+Every file is JSON. Dates are ISO 8601 in UTC.
+`;
+
+// A JSON array written one element at a time; `counter.count` ends up
+// holding the number of elements
+async function* jsonArray(items, counter) {
+  yield "[";
+  counter.count = 0;
+  for await (const item of items) {
+    yield `${counter.count === 0 ? "\n" : ",\n"}${JSON.stringify(item)}`;
+    counter.count++;
+  }
+  yield counter.count === 0 ? "]\n" : "\n]\n";
+}
+
+const isUser = (userId) => (id) => id && String(id) === String(userId);
+
+// Comments the user wrote on any review, with the review they belong to
+const reviewComments = (userId) =>
+  TradeReview.aggregate([
+    { $match: { "comments.user": userId } },
+    { $unwind: "$comments" },
+    { $match: { "comments.user": userId } },
+    {
+      $project: {
+        _id: 0,
+        review: "$_id",
+        content: "$comments.content",
+        likes: { $size: { $ifNull: ["$comments.likes", []] } },
+        createdAt: "$comments.createdAt",
+        updatedAt: "$comments.updatedAt",
+      },
+    },
+    { $sort: { createdAt: 1 } },
+  ]).cursor();
+
+// The user's part in each study group they are involved with; other
+// members' details are left out
+async function* studyGroups(userId) {
+  const mine = isUser(userId);
+  const groups = StudyGroup.find({
+    $or: [
+      { creator: userId },
+      { "members.user": userId },
+      { "invitees.user": userId },
+      { "sessions.attendees.user": userId },
+    ],
+  })
+    .select("-messages")
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor();
+
+  for await (const group of groups) {
+    yield {
+      _id: group._id,
+      name: group.name,
+      description: group.description,
+      category: group.category,
+      createdAt: group.createdAt,
+      isCreator: mine(group.creator),
+      membership: (group.members || []).find((member) => mine(member.user)),
+      invitation: (group.invitees || []).find((invitee) => mine(invitee.user)),
+      sessions: (group.sessions || [])
+        .map((session) => ({
+          topic: session.topic,
+          scheduledDate: session.scheduledDate,
+          rsvp: (session.attendees || []).find((rsvp) => mine(rsvp.user))
+            ?.status,
+          resourcesShared: (session.resources || []).filter((resource) =>
+            mine(resource.sharedBy)
+          ),
+        }))
+        .filter((session) => session.rsvp || session.resourcesShared.length),
+      pollsCreated: (group.polls || [])
+        .filter((poll) => mine(poll.creator))
+        .map(({ question, options, createdAt, expiresAt }) => ({
+          question,
+          options: options.map((option) => option.text),
+          createdAt,
+          expiresAt,
+        })),
+      votes: (group.polls || []).flatMap((poll) =>
+        poll.options
+          .filter((option) => (option.voters || []).some(mine))
+          .map((option) => ({ question: poll.question, answer: option.text }))
+      ),
+    };
+  }
+}
+
+// Messages and replies the user posted, one group message at a time
+async function* studyGroupMessages(userId) {
+  const mine = isUser(userId);
+  const messages = StudyGroup.aggregate([
+    {
+      $match: {
+        $or: [
+          { "messages.sender": userId },
+          { "messages.replies.sender": userId },
+        ],
+      },
+    },
+    { $project: { name: 1, messages: 1 } },
+    { $unwind: "$messages" },
+    {
+      $match: {
+        $or: [
+          { "messages.sender": userId },
+          { "messages.replies.sender": userId },
+        ],
+      },
+    },
+  ]).cursor();
+
+  for await (const { _id, name, messages: message } of messages) {
+    if (mine(message.sender)) {
+      yield {
+        group: _id,
+        groupName: name,
+        message: message._id,
+        content: message.content,
+        timestamp: message.timestamp,
+        isPinned: message.isPinned,
+        attachments: message.attachments,
+      };
+    }
+    for (const reply of (message.replies || []).filter((reply) =>
+      mine(reply.sender)
+    )) {
+      yield {
+        group: _id,
+        groupName: name,
+        message: reply._id,
+        inReplyTo: message._id,
+        content: reply.content,
+        timestamp: reply.timestamp,
+      };
+    }
+  }
+}
+
+const removeFile = (filePath) =>
+  filePath ? fs.promises.rm(filePath, { force: true }) : Promise.resolve();
+
+/**
+ * Personal Data Service - Everything stored about a user, for the "download
+ * my data" archive and for deleting an account
+ */
+const personalDataService = {
+  ARCHIVE_LIFETIME_HOURS,
+
+  /**
+   * Queue an archive of the user's data and start building it in the
+   * background. A request while one is still being built returns that one.
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} - DataArchive document
+   */
+  requestArchive: async (user) => {
+    const running = await DataArchive.findOne({
+      user: user._id,
+      status: { $in: ["PENDING", "PROCESSING"] },
+    });
+    if (running) return running;
+
+    const archive = await DataArchive.create({ user: user._id });
+    setImmediate(() =>
+      personalDataService.buildArchive(archive._id).catch((error) => {
+        console.error("Error building data archive:", error);
+      })
+    );
+    return archive;
+  },
+
+  /**
+   * Write the zip for a queued archive, then notify the user with the
+   * download link. Failures are recorded on the archive.
+   * @param {string} archiveId - DataArchive id
+   * @returns {Promise<Object>} - The updated DataArchive document
+   */
+  buildArchive: async (archiveId) => {
+    const archive = await DataArchive.findOneAndUpdate(
+      { _id: archiveId, status: "PENDING" },
+      { status: "PROCESSING", startedAt: new Date() },
+      { new: true }
+    );
+    if (!archive) throw new Error("Archive is not waiting to be built");
+
+    const userId = archive.user;
+    const filePath = path.join(ARCHIVE_DIR, `${archive._id}.zip`);
+    let output;
+
+    try {
+      const user = await User.findById(userId).lean();
+      if (!user) throw new Error("User not found");
+
+      await fs.promises.mkdir(ARCHIVE_DIR, { recursive: true });
+      output = fs.createWriteStream(filePath);
+      const zip = createZipWriter(output);
+      const contents = {};
+
+      const addArray = async (file, items) => {
+        const counter = {};
+        await zip.addFile(file, jsonArray(items, counter));
+        contents[file.replace(/\.json$/, "")] = counter.count;
+      };
+
+      await zip.addFile("README.txt", README);
+      await zip.addFile("profile.json", `${JSON.stringify(user, null, 2)}\n`);
+
+      for (const { file, Model, sort } of OWNED_COLLECTIONS) {
+        await addArray(
+          file,
+          Model.find({ user: userId }).sort(sort).lean().cursor()
+        );
+      }
+      await addArray("reviewComments.json", reviewComments(userId));
+      await addArray("studyGroups.json", studyGroups(userId));
+      await addArray("studyGroupMessages.json", studyGroupMessages(userId));
+      await zip.addFile(
+        "aiRequests.json",
+        `${JSON.stringify(user.aiRequestLimits || {}, null, 2)}\n`
+      );
+
+      await zip.finish();
+
+      const completedAt = new Date();
+      archive.set({
+        status: "READY",
+        fileName: `data-archive-${completedAt.toISOString().slice(0, 10)}.zip`,
+        filePath,
+        size: (await fs.promises.stat(filePath)).size,
+        contents,
+        completedAt,
+        expiresAt: new Date(
+          completedAt.getTime() + ARCHIVE_LIFETIME_HOURS * 60 * 60 * 1000
+        ),
+      });
+      await archive.save();
+
+      // Goes away with the archive
+      await Notification.create({
+        user: userId,
+        title: "Your data archive is ready",
+        content: `Download it within ${ARCHIVE_LIFETIME_HOURS} hours; the link expires after that.`,
+        type: "personal",
+        link: personalDataService.getDownloadUrl(archive),
+        expiresAt: archive.expiresAt,
+      });
+    } catch (error) {
+      if (output) output.destroy();
+      await removeFile(filePath);
+      archive.set({ status: "FAILED", error: error.message, filePath: null });
+      await archive.save();
+    }
+
+    return archive;
+  },
+
+  /**
+   * Link that downloads a ready archive without logging in, valid until
+   * the archive expires
+   * @param {Object} archive - DataArchive document (READY)
+   * @returns {string|null}
+   */
+  getDownloadUrl: (archive) => {
+    if (archive.status !== "READY" || !archive.expiresAt) return null;
+    const seconds = Math.floor((archive.expiresAt - Date.now()) / 1000);
+    if (seconds <= 0) return null;
+
+    const token = jwt.sign(
+      { archive: String(archive._id), type: TOKEN_TYPE },
+      process.env.JWT_SECRET,
+      { expiresIn: seconds }
+    );
+    return `${
+      process.env.BACKEND_URL || ""
+    }/api/data-archive/download/${token}`;
+  },
+
+  /**
+   * The archive a download token is for
+   * @param {string} token - From getDownloadUrl
+   * @returns {Promise<Object|null>} - DataArchive with filePath, or null if
+   *   the token is invalid or the archive expired or is gone
+   */
+  findByDownloadToken: async (token) => {
+    let payload;
+    try {
+      payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      return null;
+    }
+    if (
+      payload.type !== TOKEN_TYPE ||
+      !mongoose.Types.ObjectId.isValid(payload.archive)
+    ) {
+      return null;
+    }
+
+    return DataArchive.findOne({
+      _id: payload.archive,
+      status: "READY",
+      expiresAt: { $gt: new Date() },
+    }).select("+filePath");
+  },
+
+  /**
+   * Delete expired archive files, and fail builds that never finished
+   * @returns {Promise<Object>} - { expired, stalled }
+   */
+  purgeExpiredArchives: async () => {
+    const now = new Date();
+    const expired = await DataArchive.find({
+      status: "READY",
+      expiresAt: { $lte: now },
+    }).select("+filePath");
+    for (const archive of expired) {
+      await removeFile(archive.filePath);
+      archive.set({ status: "EXPIRED", filePath: null });
+      await archive.save();
+    }
+
+    const stalled = await DataArchive.find({
+      status: { $in: ["PENDING", "PROCESSING"] },
+      createdAt: { $lte: new Date(now - STALLED_AFTER_MINUTES * 60 * 1000) },
+    });
+    for (const archive of stalled) {
+      await removeFile(path.join(ARCHIVE_DIR, `${archive._id}.zip`));
+      archive.set({
+        status: "FAILED",
+        error: "The archive build was interrupted",
+      });
+      await archive.save();
+    }
+
+    return { expired: expired.length, stalled: stalled.length };
+  },
+
+  /**
+   * Delete everything tied to a user except the user document itself:
+   * owned documents, archives, and their part of reviews, study groups and
+   * other users' follow lists
+   * @param {string} userId - User id
+   * @returns {Promise<void>}
+   */
+  deleteUserData: async (userId) => {
+    const id = new mongoose.Types.ObjectId(String(userId));
+
+    await Promise.all(
+      OWNED_COLLECTIONS.map(({ Model }) => Model.deleteMany({ user: id }))
+    );
+
+    const archives = await DataArchive.find({ user: id }).select("+filePath");
+    await Promise.all(archives.map((archive) => removeFile(archive.filePath)));
+    await DataArchive.deleteMany({ user: id });
+
+    await TradeReview.updateMany(
+      { $or: [{ "comments.user": id }, { likes: id }] },
+      { $pull: { comments: { user: id }, likes: id } }
+    );
+
+    await StudyGroup.deleteMany({ creator: id });
+    // Replies first: pulling them in the same update as whole messages
+    // would touch overlapping paths
+    await StudyGroup.updateMany(
+      { "messages.replies.sender": id },
+      { $pull: { "messages.$[].replies": { sender: id } } }
+    );
+    await StudyGroup.updateMany(
+      {
+        $or: [
+          { "members.user": id },
+          { "invitees.user": id },
+          { "messages.sender": id },
+        ],
+      },
+      {
+        $pull: {
+          members: { user: id },
+          invitees: { user: id },
+          messages: { sender: id },
+        },
+      }
+    );
+
+    await User.updateMany(
+      { $or: [{ followers: id }, { following: id }] },
+      { $pull: { followers: id, following: id } }
+    );
+  },
+};
+
+module.exports = personalDataService;
@@ -0,0 +1,140 @@
+const fs = require("fs");
+const path = require("path");
+const { parseCsv } = require("../utils/csv");
+const { quoteKey } = require("../utils/markToMarket");
+
+// Latest quote on or before `asOf` from date-sorted quotes
+const latestQuote = (quotes = [], asOf) => {
+  const time = new Date(asOf).getTime();
+  let found;
+  quotes.forEach((quote) => {
+    if (quote.date.getTime() <= time) found = quote;
+  });
+  return found;
+};
+
+// Quote rows from a CSV or JSON file into { key: [{ date, price }] }.
+// Rows need symbol and price (or close), with date, expiration, strike and
+// contractType optional; undated rows apply to any date.
+const indexQuotes = (rows) => {
+  const index = {};
+  rows.forEach((row) => {
+    const price = Number(row.price ?? row.close);
+    if (!row.symbol || !Number.isFinite(price)) return;
+
+    const key = quoteKey({
+      symbol: row.symbol,
+      expiration: row.expiration,
+      strike: row.strike,
+      contractType: row.contractType ?? row.contracttype,
+    });
+    index[key] = index[key] || [];
+    index[key].push({
+      date: row.date ? new Date(row.date) : new Date(0),
+      price,
+    });
+  });
+
+  Object.values(index).forEach((quotes) =>
+    quotes.sort((a, b) => a.date - b.date)
+  );
+  return index;
+};
+
+const readQuoteFile = (filePath) => {
+  const text = fs.readFileSync(filePath, "utf8");
+  if (path.extname(filePath).toLowerCase() !== ".json") return parseCsv(text);
+
+  const data = JSON.parse(text);
+  return Array.isArray(data) ? data : data.quotes || [];
+};
+
+/**
+ * Price source reading a local quote file (CSV or JSON), for tests and
+ * offline setups. The file is re-read when it changes.
+ * @param {string} filePath - Defaults to PRICE_FILE
+ * @returns {Object} - Price source
+ */
+const createFileSource = (filePath = process.env.PRICE_FILE) => {
+  let cached = { mtime: null, index: {} };
+
+  const load = () => {
+    if (!filePath) {
+      throw new Error("PRICE_FILE is not set for the file price source");
+    }
+    const { mtimeMs } = fs.statSync(filePath);
+    if (cached.mtime !== mtimeMs) {
+      cached = { mtime: mtimeMs, index: indexQuotes(readQuoteFile(filePath)) };
+    }
+    return cached.index;
+  };
+
+  return {
+    name: "file",
+    getQuotes: async (keys, asOf = new Date()) => {
+      const index = load();
+      return keys.reduce((quotes, key) => {
+        const quote = latestQuote(index[key], asOf);
+        if (quote) quotes[key] = quote;
+        return quotes;
+      }, {});
+    },
+  };
+};
+
+const sources = {
+  file: createFileSource,
+};
+// Sources already created, so file caches survive between calls
+const instances = {};
+
+/**
+ * Price Service - Quotes for marking open positions, from a pluggable
+ * source chosen with PRICE_SOURCE (default "file")
+ */
+const priceService = {
+  createFileSource,
+
+  /**
+   * Make a price source available by name. A source is an object with
+   * `getQuotes(keys, asOf)` resolving to { [key]: { date, price } } for the
+   * keys it has a quote for on or before `asOf`; keys come from quoteKey.
+   * @param {string} name - Value of PRICE_SOURCE that selects it
+   * @param {Function} factory - () => source
+   */
+  registerSource: (name, factory) => {
+    sources[name] = factory;
+    delete instances[name];
+  },
+
+  /**
+   * @param {string} name - Source name, defaults to PRICE_SOURCE
+   * @returns {Object} - Price source
+   */
+  getSource: (name = process.env.PRICE_SOURCE || "file") => {
+    if (!sources[name]) throw new Error(`Unknown price source: ${name}`);
+    instances[name] = instances[name] || sources[name]();
+    return instances[name];
+  },
+
+  /**
+   * Whether a price source has been set up (PRICE_SOURCE or PRICE_FILE)
+   * @returns {boolean}
+   */
+  isConfigured: () =>
+    Boolean(process.env.PRICE_SOURCE || process.env.PRICE_FILE),
+
+  /**
+   * Quotes for a set of instruments
+   * @param {Array<string>} keys - Quote keys (see quoteKey)
+   * @param {Object} options - { asOf, source }
+   * @returns {Promise<Object>} - { [key]: { date, price } }
+   */
+  getQuotes: async (keys, { asOf = new Date(), source } = {}) => {
+    const unique = [...new Set(keys)];
+    if (unique.length === 0) return {};
+    return (source || priceService.getSource()).getQuotes(unique, asOf);
+  },
+};
+
+module.exports = priceService;
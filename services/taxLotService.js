@@ -0,0 +1,375 @@
+const moment = require("moment-timezone");
+const Trade = require("../models/Trade");
+const OptionTrade = require("../models/OptionTrade");
+const { openingSide } = require("../utils/tradeExecutions");
+const { CONTRACT_MULTIPLIER } = require("../utils/optionPositions");
+const { matchTaxLots, LOT_METHODS } = require("../utils/taxLots");
+const { toCsv } = require("../utils/csv");
+
+const closingSide = (side) => (side === "BUY" ? "SELL" : "BUY");
+
+const round = (value, decimals = 2) => Number(Number(value).toFixed(decimals));
+
+// Wash-sale rules cover securities; futures, forex and crypto are exempt
+const isWashSaleEligible = (trade) =>
+  !["FUTURE", "FOREX", "CRYPTO"].includes(trade.assetClass);
+
+// Spread trade-level commissions over its fills by quantity. Borrow fees are
+// an expense, not part of basis.
+const allocateTradeFees = (fills, fees = {}) => {
+  const tradeFees =
+    (Number(fees.commission) || 0) + (Number(fees.regulatory) || 0);
+  const totalQuantity = fills.reduce((sum, fill) => sum + fill.quantity, 0);
+  if (!tradeFees || !totalQuantity) return fills;
+
+  return fills.map((fill) => ({
+    ...fill,
+    fees: fill.fees + (tradeFees * fill.quantity) / totalQuantity,
+  }));
+};
+
+// "AAPL 2024-06-21 190 CALL": each contract is its own security
+const describeContract = (symbol, { expiration, strike, contractType }) =>
+  `${symbol} ${moment
+    .utc(expiration)
+    .format("YYYY-MM-DD")} ${strike} ${contractType}`;
+
+const stockTradeFills = (trade) => {
+  const common = {
+    tradeId: trade._id,
+    symbol: trade.symbol,
+    description: trade.symbol,
+    assetClass: trade.assetClass || "EQUITY",
+    multiplier: trade.multiplier || 1,
+    washSaleEligible: isWashSaleEligible(trade),
+  };
+
+  let fills;
+  if (trade.executions && trade.executions.length > 0) {
+    fills = trade.executions.map((execution) => ({
+      ...common,
+      id: String(execution._id),
+      side: execution.side,
+      quantity: Number(execution.quantity),
+      price: Number(execution.price),
+      date: execution.date,
+      fees: Number(execution.fees) || 0,
+      lotIds: execution.lotIds || [],
+    }));
+  } else {
+    const entrySide = openingSide(trade.type);
+    fills = [
+      {
+        ...common,
+        id: `${trade._id}:entry`,
+        side: entrySide,
+        quantity: Number(trade.entryQuantity),
+        price: Number(trade.entryPrice),
+        date: trade.entryDate,
+        fees: 0,
+      },
+    ];
+    if (trade.exitPrice != null && trade.exitDate && trade.exitQuantity) {
+      fills.push({
+        ...common,
+        id: `${trade._id}:exit`,
+        side: closingSide(entrySide),
+        quantity: Number(trade.exitQuantity),
+        price: Number(trade.exitPrice),
+        date: trade.exitDate,
+        fees: 0,
+        lotIds: [`${trade._id}:entry`],
+      });
+    }
+  }
+
+  return allocateTradeFees(fills, trade.fees);
+};
+
+const optionTradeFills = (trade) => {
+  const common = {
+    tradeId: trade._id,
+    assetClass: "OPTION",
+    multiplier: CONTRACT_MULTIPLIER,
+    washSaleEligible: true,
+  };
+
+  let fills;
+  if (trade.legs && trade.legs.length > 0) {
+    fills = trade.legs.flatMap((leg) => {
+      const description = describeContract(trade.symbol, leg);
+      const entrySide = leg.side === "SHORT" ? "SELL" : "BUY";
+
+      return (leg.fills || []).map((fill) => ({
+        ...common,
+        id: String(fill._id),
+        symbol: description,
+        description,
+        side: fill.action === "CLOSE" ? closingSide(entrySide) : entrySide,
+        quantity: Number(fill.quantity),
+        price: Number(fill.price),
+        date: fill.date,
+        fees: Number(fill.fees) || 0,
+      }));
+    });
+  } else {
+    const description = describeContract(trade.symbol, trade);
+    const entrySide = trade.type === "SHORT" ? "SELL" : "BUY";
+    fills = [
+      {
+        ...common,
+        id: `${trade._id}:entry`,
+        symbol: description,
+        description,
+        side: entrySide,
+        quantity: Number(trade.contracts),
+        price: Number(trade.entryPrice),
+        date: trade.entryDate,
+        fees: 0,
+      },
+    ];
+    if (trade.exitPrice != null && trade.exitDate) {
+      fills.push({
+        ...common,
+        id: `${trade._id}:exit`,
+        symbol: description,
+        description,
+        side: closingSide(entrySide),
+        quantity: Number(trade.contracts),
+        price: Number(trade.exitPrice),
+        date: trade.exitDate,
+        fees: 0,
+        lotIds: [`${trade._id}:entry`],
+      });
+    }
+  }
+
+  return allocateTradeFees(fills, trade.fees);
+};
+
+// Section 1256 contracts and forex go on Form 6781 / section 988, not 8949
+const FORM_8949_EXCLUDED = ["FUTURE", "FOREX"];
+
+const FORM_8949_COLUMNS = [
+  { key: "part", header: "Part" },
+  { key: "description", header: "(a) Description of property" },
+  { key: "dateAcquired", header: "(b) Date acquired" },
+  { key: "dateSold", header: "(c) Date sold or disposed of" },
+  { key: "proceeds", header: "(d) Proceeds" },
+  { key: "costBasis", header: "(e) Cost or other basis" },
+  { key: "code", header: "(f) Code" },
+  { key: "adjustment", header: "(g) Amount of adjustment" },
+  { key: "gainLoss", header: "(h) Gain or (loss)" },
+];
+
+const formatTaxDate = (date) => moment.utc(date).format("MM/DD/YYYY");
+
+const formatQuantity = (quantity, assetClass) => {
+  const amount = Number(quantity.toFixed(8));
+  return assetClass === "EQUITY" ? `${amount} sh` : `${amount}`;
+};
+
+// One Form 8949 line per disposal. A short sale is reported when it is
+// closed, with the closing purchase as the acquisition date.
+const toForm8949Row = (disposal) => ({
+  part: disposal.term === "LONG" ? "II" : "I",
+  description: `${formatQuantity(disposal.quantity, disposal.assetClass)} ${
+    disposal.description
+  }`,
+  dateAcquired: formatTaxDate(
+    disposal.direction === "SHORT" ? disposal.dateSold : disposal.dateAcquired
+  ),
+  dateSold: formatTaxDate(disposal.dateSold),
+  proceeds: disposal.proceeds,
+  costBasis: disposal.costBasis,
+  code: disposal.washSale ? "W" : "",
+  adjustment: disposal.adjustment || null,
+  gainLoss: disposal.gainLoss,
+  disposalId: disposal.id,
+  tradeId: disposal.tradeId,
+});
+
+const summarizeDisposals = (disposals) => {
+  const empty = () => ({
+    count: 0,
+    proceeds: 0,
+    costBasis: 0,
+    adjustment: 0,
+    gainLoss: 0,
+  });
+  const summary = { shortTerm: empty(), longTerm: empty() };
+
+  disposals.forEach((disposal) => {
+    const bucket =
+      disposal.term === "LONG" ? summary.longTerm : summary.shortTerm;
+    bucket.count++;
+    bucket.proceeds += disposal.proceeds;
+    bucket.costBasis += disposal.costBasis;
+    bucket.adjustment += disposal.adjustment;
+    bucket.gainLoss += disposal.gainLoss;
+  });
+
+  [summary.shortTerm, summary.longTerm].forEach((bucket) => {
+    ["proceeds", "costBasis", "adjustment", "gainLoss"].forEach((key) => {
+      bucket[key] = round(bucket[key]);
+    });
+  });
+
+  return {
+    ...summary,
+    totalGainLoss: round(
+      summary.shortTerm.gainLoss + summary.longTerm.gainLoss
+    ),
+    disallowedLoss: round(
+      summary.shortTerm.adjustment + summary.longTerm.adjustment
+    ),
+  };
+};
+
+/**
+ * Tax Lot Service - Lot matching and wash sales across a user's trades
+ */
+const taxLotService = {
+  /**
+   * Every fill from a user's stock and option trades, as tax-lot input
+   * @param {ObjectId} userId - Trade owner
+   * @param {Object} accountFilter - Account scope from accountService
+   * @returns {Promise<Array<Object>>}
+   */
+  getFills: async (userId, accountFilter = {}) => {
+    const filter = { user: userId, ...accountFilter };
+    const [trades, optionTrades] = await Promise.all([
+      Trade.find(filter).lean(),
+      OptionTrade.find(filter).lean(),
+    ]);
+
+    return [
+      ...trades.flatMap(stockTradeFills),
+      ...optionTrades.flatMap(optionTradeFills),
+    ].filter((fill) => fill.quantity > 0 && fill.date);
+  },
+
+  /**
+   * Tax lots, disposals and wash sales for a user. Lots are matched over the
+   * whole history so earlier years still feed the basis of later sales; the
+   * year filter only limits what is reported.
+   * @param {Object} user - User document (preferences.lotMatchingMethod)
+   * @param {Object} options - { method, year, symbol, accountFilter }
+   * @returns {Promise<Object>}
+   */
+  buildReport: async (user, { method, year, symbol, accountFilter } = {}) => {
+    const lotMethod = method || user.preferences?.lotMatchingMethod || "FIFO";
+    if (!LOT_METHODS.includes(lotMethod)) {
+      throw new Error(`Method must be one of ${LOT_METHODS.join(", ")}`);
+    }
+
+    const fills = await taxLotService.getFills(user._id, accountFilter);
+    const { lots, disposals, washSales } = matchTaxLots(fills, {
+      method: lotMethod,
+    });
+
+    const symbolFilter = symbol ? String(symbol).toUpperCase() : null;
+    const matchesSymbol = (item) =>
+      !symbolFilter ||
+      item.symbol === symbolFilter ||
+      item.symbol.startsWith(`${symbolFilter} `);
+    const inYear = (date) =>
+      !year || new Date(date).getUTCFullYear() === Number(year);
+
+    const reportedDisposals = disposals.filter(
+      (disposal) => matchesSymbol(disposal) && inYear(disposal.dateSold)
+    );
+
+    return {
+      method: lotMethod,
+      year: year ? Number(year) : null,
+      summary: summarizeDisposals(reportedDisposals),
+      disposals: reportedDisposals,
+      washSales: washSales.filter(
+        (washSale) => matchesSymbol(washSale) && inYear(washSale.lossDate)
+      ),
+      openLots: lots.filter((lot) => lot.remaining > 0 && matchesSymbol(lot)),
+    };
+  },
+
+  /**
+   * Form 8949 rows for a tax year, split into Part I (short-term) and
+   * Part II (long-term), with the Schedule D totals they carry to
+   * @param {Object} user - User document
+   * @param {Object} options - { year, method, accountFilter }
+   * @returns {Promise<Object>}
+   */
+  buildForm8949: async (user, { year, method, accountFilter } = {}) => {
+    const report = await taxLotService.buildReport(user, {
+      year,
+      method,
+      accountFilter,
+    });
+
+    const reportable = report.disposals.filter(
+      (disposal) => !FORM_8949_EXCLUDED.includes(disposal.assetClass)
+    );
+    const excluded = report.disposals.filter((disposal) =>
+      FORM_8949_EXCLUDED.includes(disposal.assetClass)
+    );
+
+    const rows = reportable
+      .sort((a, b) => new Date(a.dateSold) - new Date(b.dateSold))
+      .map(toForm8949Row);
+    const summary = summarizeDisposals(reportable);
+
+    const scheduleLine = ({ proceeds, costBasis, adjustment, gainLoss }) => ({
+      proceeds,
+      costBasis,
+      adjustment,
+      gainLoss,
+    });
+
+    return {
+      year: report.year,
+      method: report.method,
+      shortTerm: rows.filter((row) => row.part === "I"),
+      longTerm: rows.filter((row) => row.part === "II"),
+      scheduleD: {
+        // Totals from Form 8949 with box C / box F checked
+        line3: scheduleLine(summary.shortTerm),
+        line7: summary.shortTerm.gainLoss,
+        line10: scheduleLine(summary.longTerm),
+        line15: summary.longTerm.gainLoss,
+        line16: summary.totalGainLoss,
+      },
+      excluded: {
+        count: excluded.length,
+        gainLoss: round(
+          excluded.reduce((sum, disposal) => sum + disposal.gainLoss, 0)
+        ),
+        reason: "Futures and forex are reported on Form 6781 / section 988",
+      },
+    };
+  },
+
+  /**
+   * Form 8949 as CSV: Part I rows, Part II rows, then a total line per part
+   * @param {Object} form - Result of buildForm8949
+   * @returns {string}
+   */
+  form8949ToCsv: (form) => {
+    const totalRow = (part, line) => ({
+      part,
+      description: "Total",
+      proceeds: line.proceeds,
+      costBasis: line.costBasis,
+      adjustment: line.adjustment,
+      gainLoss: line.gainLoss,
+    });
+
+    return toCsv(FORM_8949_COLUMNS, [
+      ...form.shortTerm,
+      totalRow("I", form.scheduleD.line3),
+      ...form.longTerm,
+      totalRow("II", form.scheduleD.line10),
+    ]);
+  },
+};
+
+module.exports = taxLotService;
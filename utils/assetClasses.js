@@ -0,0 +1,131 @@
+// Asset class rules for non-equity trades. Forex and crypto trades are quoted
+// as currency pairs and their P/L is earned in the quote currency.
+
+const ASSET_CLASSES = ["EQUITY", "FUTURE", "CRYPTO", "FOREX"];
+
+const STANDARD_LOT = 100000; // Units of the base currency per forex lot
+
+// Quote currencies recognized when a pair is written without a separator
+const QUOTE_CURRENCIES = [
+  "USDT",
+  "USDC",
+  "USD",
+  "EUR",
+  "GBP",
+  "JPY",
+  "CHF",
+  "CAD",
+  "AUD",
+  "NZD",
+  "BTC",
+  "ETH",
+];
+
+/**
+ * Split a pair symbol into base and quote (EUR/USD, BTC-USD, BTCUSDT, EURUSD)
+ * @param {string} symbol - Trade symbol
+ * @returns {Object|null} - { base, quote } or null if it isn't a pair
+ */
+const parseCurrencyPair = (symbol) => {
+  const value = String(symbol || "")
+    .toUpperCase()
+    .trim();
+
+  const separated = value.match(/^([A-Z0-9]+)[/\-_.]([A-Z0-9]+)$/);
+  if (separated) return { base: separated[1], quote: separated[2] };
+
+  const quote = QUOTE_CURRENCIES.find(
+    (currency) => value.endsWith(currency) && value.length > currency.length
+  );
+  return quote ? { base: value.slice(0, -quote.length), quote } : null;
+};
+
+// JPY pairs are quoted to 2 decimals, everything else to 4
+const defaultPipSize = (quoteCurrency) =>
+  quoteCurrency === "JPY" ? 0.01 : 0.0001;
+
+/**
+ * Currency, lot and multiplier fields implied by a trade's asset class
+ * @param {Object} trade - Trade document or payload
+ * @returns {Object} - Fields to set on the trade
+ */
+const getAssetClassFields = (trade) => {
+  const assetClass =
+    trade.assetClass || (trade.instrument ? "FUTURE" : "EQUITY");
+
+  if (!ASSET_CLASSES.includes(assetClass)) {
+    throw new Error(`Invalid asset class: ${assetClass}`);
+  }
+
+  if (assetClass !== "CRYPTO" && assetClass !== "FOREX") {
+    return {
+      assetClass,
+      quoteCurrency: trade.quoteCurrency || "USD",
+    };
+  }
+
+  // A pair symbol wins over stored currencies so renamed trades stay consistent
+  const pair = parseCurrencyPair(trade.symbol) || {};
+  const baseCurrency =
+    pair.base ||
+    trade.baseCurrency ||
+    (assetClass === "CRYPTO" && String(trade.symbol || "").toUpperCase());
+  const quoteCurrency =
+    pair.quote || trade.quoteCurrency || (assetClass === "CRYPTO" && "USD");
+
+  if (!baseCurrency || !quoteCurrency) {
+    throw new Error(
+      `${
+        assetClass === "FOREX" ? "Forex" : "Crypto"
+      } trades need a pair symbol like ${
+        assetClass === "FOREX" ? "EUR/USD" : "BTC/USD"
+      }`
+    );
+  }
+
+  if (assetClass === "CRYPTO") {
+    return {
+      assetClass,
+      baseCurrency,
+      quoteCurrency,
+      quantityUnit: "UNITS",
+      multiplier: 1,
+    };
+  }
+
+  const quantityUnit = trade.quantityUnit || "UNITS";
+  const lotSize = Number(trade.lotSize) || STANDARD_LOT;
+
+  return {
+    assetClass,
+    baseCurrency,
+    quoteCurrency,
+    quantityUnit,
+    lotSize,
+    pipSize: Number(trade.pipSize) || defaultPipSize(quoteCurrency),
+    // Sizes entered in lots are scaled to units of the base currency
+    multiplier: quantityUnit === "LOTS" ? lotSize : 1,
+  };
+};
+
+/**
+ * Pips gained (+) or lost (-) on a closed forex trade
+ * @param {Object} trade - Trade with entryPrice, exitPrice, type and pipSize
+ * @returns {number|null}
+ */
+const calculatePips = (trade) => {
+  if (!trade.pipSize || trade.exitPrice == null) return null;
+
+  const move = Number(trade.exitPrice) - Number(trade.entryPrice);
+  const pips = (trade.type === "SHORT" ? -move : move) / trade.pipSize;
+  return Number(pips.toFixed(1));
+};
+
+module.exports = {
+  ASSET_CLASSES,
+  STANDARD_LOT,
+  parseCurrencyPair,
+  defaultPipSize,
+  getAssetClassFields,
+  calculatePips,
+};
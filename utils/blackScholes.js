@@ -0,0 +1,225 @@
+// Black-Scholes pricing, greeks and implied volatility for European options.
+// Volatility and rates are decimals (0.25 = 25%) inside this module; greeks
+// follow broker conventions: theta per calendar day, vega and rho per 1 point.
+
+const MS_PER_YEAR = 1000 * 60 * 60 * 24 * 365;
+
+// Used when a trade doesn't say which rate to price with
+const DEFAULT_RISK_FREE_RATE = Number(process.env.RISK_FREE_RATE) || 0.045;
+
+const normPdf = (x) => Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+
+// Abramowitz & Stegun 26.2.17 approximation (error < 7.5e-8)
+const normCdf = (x) => {
+  const t = 1 / (1 + 0.2316419 * Math.abs(x));
+  const poly =
+    t *
+    (0.31938153 +
+      t *
+        (-0.356563782 +
+          t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  const cdf = 1 - normPdf(Math.abs(x)) * poly;
+  return x >= 0 ? cdf : 1 - cdf;
+};
+
+/**
+ * Years between a valuation date and expiration
+ * @param {Date|string} expiration - Expiration date
+ * @param {Date|string} valuationDate - Date the option is priced on
+ * @returns {number} - Time to expiry in years (0 if expired)
+ */
+const yearsToExpiration = (expiration, valuationDate = new Date()) =>
+  Math.max((new Date(expiration) - new Date(valuationDate)) / MS_PER_YEAR, 0);
+
+const d1d2 = ({
+  underlyingPrice: S,
+  strike: K,
+  years: T,
+  volatility: v,
+  rate: r,
+  dividendYield: q = 0,
+}) => {
+  const d1 = (Math.log(S / K) + (r - q + (v * v) / 2) * T) / (v * Math.sqrt(T));
+  return { d1, d2: d1 - v * Math.sqrt(T) };
+};
+
+/**
+ * Theoretical option price
+ * @param {Object} params - { contractType, underlyingPrice, strike, years, volatility, rate, dividendYield }
+ * @returns {number} - Price per share
+ */
+const price = (params) => {
+  const {
+    contractType,
+    underlyingPrice: S,
+    strike: K,
+    years: T,
+    rate: r,
+    dividendYield: q = 0,
+  } = params;
+
+  if (T <= 0 || params.volatility <= 0) {
+    return contractType === "PUT" ? Math.max(K - S, 0) : Math.max(S - K, 0);
+  }
+
+  const { d1, d2 } = d1d2(params);
+  const discountedSpot = S * Math.exp(-q * T);
+  const discountedStrike = K * Math.exp(-r * T);
+
+  return contractType === "PUT"
+    ? discountedStrike * normCdf(-d2) - discountedSpot * normCdf(-d1)
+    : discountedSpot * normCdf(d1) - discountedStrike * normCdf(d2);
+};
+
+/**
+ * Delta, gamma, theta, vega and rho
+ * @param {Object} params - Same as price()
+ * @returns {Object|null} - Greeks, or null once the option has expired
+ */
+const greeks = (params) => {
+  const {
+    contractType,
+    underlyingPrice: S,
+    strike: K,
+    years: T,
+    volatility: v,
+    rate: r,
+    dividendYield: q = 0,
+  } = params;
+  if (T <= 0 || v <= 0) return null;
+
+  const { d1, d2 } = d1d2(params);
+  const isPut = contractType === "PUT";
+  const sqrtT = Math.sqrt(T);
+  const spotDiscount = Math.exp(-q * T);
+  const strikeDiscount = Math.exp(-r * T);
+
+  const delta = isPut
+    ? spotDiscount * (normCdf(d1) - 1)
+    : spotDiscount * normCdf(d1);
+  const gamma = (spotDiscount * normPdf(d1)) / (S * v * sqrtT);
+  const decay = -(S * spotDiscount * normPdf(d1) * v) / (2 * sqrtT);
+  const thetaYear = isPut
+    ? decay +
+      r * K * strikeDiscount * normCdf(-d2) -
+      q * S * spotDiscount * normCdf(-d1)
+    : decay -
+      r * K * strikeDiscount * normCdf(d2) +
+      q * S * spotDiscount * normCdf(d1);
+  const vega = S * spotDiscount * normPdf(d1) * sqrtT;
+  const rho = isPut
+    ? -K * T * strikeDiscount * normCdf(-d2)
+    : K * T * strikeDiscount * normCdf(d2);
+
+  return {
+    delta,
+    gamma,
+    theta: thetaYear / 365,
+    vega: vega / 100,
+    rho: rho / 100,
+  };
+};
+
+/**
+ * Volatility that reproduces a market price (Newton-Raphson with bisection fallback)
+ * @param {Object} params - Same as price() without volatility, plus optionPrice
+ * @returns {number|null} - Implied volatility as a decimal, or null if no solution
+ */
+const impliedVolatility = ({ optionPrice, ...params }) => {
+  if (!(params.years > 0) || !(optionPrice > 0)) return null;
+
+  const intrinsic = price({ ...params, volatility: 0 });
+  if (optionPrice < intrinsic * Math.exp(-params.rate * params.years) - 1e-6) {
+    return null;
+  }
+
+  let volatility = 0.3;
+  for (let i = 0; i < 50; i++) {
+    const diff = price({ ...params, volatility }) - optionPrice;
+    if (Math.abs(diff) < 1e-6) return volatility;
+
+    const { vega } = greeks({ ...params, volatility });
+    const vegaPerUnit = vega * 100;
+    if (vegaPerUnit < 1e-8) break;
+
+    volatility -= diff / vegaPerUnit;
+    if (volatility <= 0 || volatility > 10) break;
+  }
+
+  // Newton can overshoot on deep ITM/OTM contracts
+  let low = 1e-4;
+  let high = 10;
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const diff = price({ ...params, volatility: mid }) - optionPrice;
+    if (Math.abs(diff) < 1e-6) return mid;
+    if (diff > 0) high = mid;
+    else low = mid;
+  }
+
+  return null;
+};
+
+/**
+ * Greeks plus implied volatility from an observed premium, rounded for storage.
+ * Implied volatility is returned as a percentage (25.3 = 25.3%).
+ * @param {Object} inputs - { contractType, underlyingPrice, strike, expiration, optionPrice, valuationDate, rate, dividendYield }
+ * @returns {Object|null} - { delta, gamma, theta, vega, rho, impliedVolatility } or null
+ */
+const calculateGreeks = ({
+  contractType,
+  underlyingPrice,
+  strike,
+  expiration,
+  optionPrice,
+  volatility,
+  valuationDate = new Date(),
+  rate = DEFAULT_RISK_FREE_RATE,
+  dividendYield = 0,
+}) => {
+  const params = {
+    contractType,
+    underlyingPrice: Number(underlyingPrice),
+    strike: Number(strike),
+    years: yearsToExpiration(expiration, valuationDate),
+    rate: Number(rate),
+    dividendYield: Number(dividendYield),
+  };
+
+  if (
+    !(params.underlyingPrice > 0) ||
+    !(params.strike > 0) ||
+    params.years <= 0
+  ) {
+    return null;
+  }
+
+  const sigma =
+    volatility !== undefined && volatility !== null
+      ? Number(volatility)
+      : impliedVolatility({ ...params, optionPrice: Number(optionPrice) });
+  if (!sigma) return null;
+
+  const result = greeks({ ...params, volatility: sigma });
+  const round = (value, decimals = 4) => Number(value.toFixed(decimals));
+
+  return {
+    delta: round(result.delta),
+    gamma: round(result.gamma),
+    theta: round(result.theta),
+    vega: round(result.vega),
+    rho: round(result.rho),
+    impliedVolatility: round(sigma * 100, 2),
+    theoreticalPrice: round(price({ ...params, volatility: sigma })),
+  };
+};
+
+module.exports = {
+  DEFAULT_RISK_FREE_RATE,
+  normCdf,
+  yearsToExpiration,
+  price,
+  greeks,
+  impliedVolatility,
+  calculateGreeks,
+};
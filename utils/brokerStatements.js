@@ -0,0 +1,660 @@
+// Parsers for broker trade exports (CSV). Each one turns the rows of a
+// statement into executions in one shape, ready to be grouped into round
+// trips:
+//   { line, executionId, assetClass (EQUITY, FUTURE, FOREX, CRYPTO or
+//     OPTION), symbol (the underlying for options), side (BUY/SELL),
+//     quantity, price, fees, date, positionEffect (OPEN, CLOSE or null),
+//     multiplier, currency, and contractType/strike/expiration for options }
+// Headers are matched loosely: case, spaces and punctuation are ignored, so
+// "Buy/Sell" and "buysell" are the same column.
+
+const moment = require("moment-timezone");
+const { getSourceLine, parseCsvRows } = require("./csv");
+
+const normalizeHeader = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+/**
+ * Number from a statement cell: "$1,234.50", "(12.00)" and "+100" included
+ * @param {string} value
+ * @returns {number|null}
+ */
+const parseNumber = (value) => {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  if (text === "" || text === "--") return null;
+
+  const negative = /^\(.*\)$/.test(text);
+  const number = Number(text.replace(/[()$,+\s]/g, ""));
+  if (!Number.isFinite(number)) return null;
+  return negative ? -number : number;
+};
+
+/**
+ * Time from a statement cell in the broker's time zone
+ * @param {string} value - Cell content
+ * @param {Array<string>} formats - moment formats to try, in order
+ * @param {string} timeZone - Zone the broker wrote times in
+ * @returns {Date|null}
+ */
+const parseDateTime = (value, formats, timeZone) => {
+  const text = String(value || "").trim();
+  if (!text) return null;
+  const parsed = moment.tz(text, formats, true, timeZone);
+  return parsed.isValid() ? parsed.toDate() : null;
+};
+
+/**
+ * Side and position effect from an action column ("Buy", "SLD",
+ * "Sell to Open", "Buy to Cover"); a signed quantity decides when there is
+ * no action
+ * @param {string} action
+ * @param {number} quantity - Signed quantity, if the statement has one
+ * @returns {Object|null} - { side, positionEffect }
+ */
+const parseSide = (action, quantity = null) => {
+  const text = String(action || "")
+    .trim()
+    .toUpperCase();
+
+  let side = null;
+  if (/^(BUY|BOT|BOUGHT|B$|COVER)/.test(text)) side = "BUY";
+  else if (/^(SELL|SLD|SOLD|S$|SHORT)/.test(text)) side = "SELL";
+  else if (!text && quantity) side = quantity > 0 ? "BUY" : "SELL";
+  if (!side) return null;
+
+  let positionEffect = null;
+  if (/TO OPEN|SHORT/.test(text)) positionEffect = "OPEN";
+  else if (/TO CLOSE|COVER/.test(text)) positionEffect = "CLOSE";
+
+  return { side, positionEffect };
+};
+
+// "O", "C" or "TO OPEN"/"TO CLOSE"; both at once (a flip) is left open
+const parsePositionEffect = (value) => {
+  const text = String(value || "")
+    .trim()
+    .toUpperCase();
+  const opens = /(^|[^A-Z])O|OPEN/.test(text);
+  const closes = /(^|[^A-Z])C|CLOSE/.test(text);
+  if (opens === closes) return null;
+  return opens ? "OPEN" : "CLOSE";
+};
+
+// "C"/"CALL" or "P"/"PUT"
+const parseContractType = (value) => {
+  const text = String(value || "")
+    .trim()
+    .toUpperCase();
+  if (text === "C" || text === "CALL") return "CALL";
+  if (text === "P" || text === "PUT") return "PUT";
+  return null;
+};
+
+const EXPIRATION_FORMATS = [
+  "YYYYMMDD",
+  "YYYY-MM-DD",
+  "MM/DD/YYYY",
+  "M/D/YYYY",
+  "M/D/YY",
+  "D MMM YY",
+  "DD MMM YY",
+];
+
+// Expirations are calendar days, kept at midnight UTC
+const parseExpiration = (value) =>
+  parseDateTime(value, EXPIRATION_FORMATS, "UTC");
+
+/**
+ * OCC option symbol ("AAPL  240119C00190000", spaces optional)
+ * @param {string} value
+ * @returns {Object|null} - { symbol, expiration, contractType, strike }
+ */
+const parseOccSymbol = (value) => {
+  const match = String(value || "")
+    .toUpperCase()
+    .replace(/\s+/g, "")
+    .match(/^([A-Z.]{1,6})(\d{6})([CP])(\d{8})$/);
+  if (!match) return null;
+
+  return {
+    symbol: match[1],
+    expiration: parseExpiration(`20${match[2]}`),
+    contractType: match[3] === "C" ? "CALL" : "PUT",
+    strike: Number(match[4]) / 1000,
+  };
+};
+
+/**
+ * Option written out as "AAPL 01/19/2024 190.00 C"
+ * @param {string} value
+ * @returns {Object|null} - { symbol, expiration, contractType, strike }
+ */
+const parseSpelledOption = (value) => {
+  const match = String(value || "")
+    .toUpperCase()
+    .trim()
+    .match(
+      /^([A-Z./]+)\s+(\d{1,2}\/\d{1,2}\/\d{2,4})\s+([\d.]+)\s+(C|P|CALL|PUT)$/
+    );
+  if (!match) return null;
+
+  return {
+    symbol: match[1],
+    expiration: parseExpiration(match[2]),
+    contractType: parseContractType(match[4]),
+    strike: Number(match[3]),
+  };
+};
+
+/**
+ * Locate the table with the given columns in a statement, which may hold
+ * several sections each with its own header row. Rows are read until one
+ * has fewer cells than the header (the end of the section).
+ * @param {Array<Array<string>>} rows - From parseCsvRows
+ * @param {Array<Array<string>>} required - Normalized header names; each
+ *   entry lists alternatives, one of which must be present
+ * @returns {Array<Object>|null} - Records keyed by normalized header with
+ *   the 1-based `line` of the file they came from, or null if no header row
+ *   matches
+ */
+const findTable = (rows, required) => {
+  const headerIndex = rows.findIndex((cells) => {
+    const names = cells.map(normalizeHeader);
+    return required.every((options) =>
+      options.some((name) => names.includes(name))
+    );
+  });
+  if (headerIndex === -1) return null;
+
+  const keys = rows[headerIndex].map(normalizeHeader);
+  const records = [];
+  for (let i = headerIndex + 1; i < rows.length; i++) {
+    const cells = rows[i];
+    if (cells.length < keys.filter(Boolean).length) break;
+    // Repeated header rows (one per account in some exports)
+    if (cells.map(normalizeHeader).join() === keys.join()) continue;
+
+    const record = { line: getSourceLine(cells) };
+    keys.forEach((key, index) => {
+      if (key && record[key] === undefined) {
+        record[key] = (cells[index] ?? "").trim();
+      }
+    });
+    records.push(record);
+  }
+  return records;
+};
+
+// First non-empty value among the alternative columns
+const pick = (record, ...keys) => {
+  const key = keys.find(
+    (name) => record[name] !== undefined && record[name] !== ""
+  );
+  return key === undefined ? undefined : record[key];
+};
+
+const IBKR_ASSET_CLASSES = {
+  STK: "EQUITY",
+  OPT: "OPTION",
+  FUT: "FUTURE",
+  CASH: "FOREX",
+  CRYPTO: "CRYPTO",
+};
+
+// Interactive Brokers Flex Query, Trades section
+const ibkrFlex = {
+  id: "ibkr",
+  name: "Interactive Brokers (Flex Query)",
+  // Flex reports default to US/Eastern
+  timeZone: "America/New_York",
+  tables: [
+    {
+      headers: [
+        ["symbol"],
+        ["buysell"],
+        ["quantity"],
+        ["tradeprice"],
+        ["datetime", "tradedate"],
+      ],
+      parseRow: (record, { timeZone }) => {
+        // Orders and closed lots repeat the executions they are made of
+        const detail = String(
+          record.levelofdetail || "EXECUTION"
+        ).toUpperCase();
+        if (detail !== "EXECUTION") return null;
+
+        const assetClass =
+          IBKR_ASSET_CLASSES[String(record.assetclass || "STK").toUpperCase()];
+        if (!assetClass) {
+          throw new Error(`Unsupported asset class: ${record.assetclass}`);
+        }
+
+        const quantity = parseNumber(record.quantity);
+        const sides = parseSide(record.buysell, quantity);
+        const time =
+          record.datetime ||
+          `${record.tradedate};${record.tradetime || "000000"}`;
+
+        return {
+          executionId: pick(record, "tradeid", "ibexecid", "transactionid"),
+          assetClass,
+          symbol:
+            assetClass === "OPTION"
+              ? record.underlyingsymbol || String(record.symbol).split(" ")[0]
+              : record.symbol,
+          side: sides?.side,
+          quantity: Math.abs(quantity),
+          price: parseNumber(record.tradeprice),
+          fees: Math.abs(
+            parseNumber(pick(record, "ibcommission", "commission")) || 0
+          ),
+          date: parseDateTime(
+            time,
+            [
+              "YYYYMMDD;HHmmss",
+              "YYYY-MM-DD;HH:mm:ss",
+              "YYYYMMDD HHmmss",
+              "YYYY-MM-DD HH:mm:ss",
+              "YYYY-MM-DD, HH:mm:ss",
+            ],
+            timeZone
+          ),
+          positionEffect: parsePositionEffect(record.opencloseindicator),
+          multiplier: parseNumber(record.multiplier),
+          currency: record.currencyprimary || record.currency,
+          ...(assetClass === "OPTION" && {
+            contractType: parseContractType(record.putcall),
+            strike: parseNumber(record.strike),
+            expiration: parseExpiration(record.expiry),
+          }),
+        };
+      },
+    },
+  ],
+};
+
+// Instrument of a thinkorswim row: stock, future (/ESH24) or option leg
+const tosInstrument = (record) => {
+  const type = String(record.type || "").toUpperCase();
+  const contractType = parseContractType(type);
+  if (contractType) {
+    return {
+      assetClass: "OPTION",
+      contractType,
+      strike: parseNumber(record.strike),
+      expiration: parseExpiration(record.exp),
+    };
+  }
+  return {
+    assetClass: String(record.symbol).startsWith("/") ? "FUTURE" : "EQUITY",
+  };
+};
+
+// Schwab: thinkorswim "Account Trade History" or the schwab.com
+// transaction history
+const schwab = {
+  id: "schwab",
+  name: "Charles Schwab / thinkorswim",
+  timeZone: "America/New_York",
+  newestFirst: true,
+  tables: [
+    {
+      headers: [["exectime"], ["side"], ["qty"], ["symbol"], ["price"]],
+      parseRow: (record, { timeZone, previous }) => {
+        // Later legs of a spread leave the time blank
+        const time = record.exectime || previous?.exectime;
+        const quantity = parseNumber(record.qty);
+        const sides = parseSide(record.side, quantity);
+
+        return {
+          exectime: time,
+          assetClass: "EQUITY",
+          ...tosInstrument(record),
+          symbol: String(record.symbol).replace(/^\//, ""),
+          side: sides?.side,
+          quantity: Math.abs(quantity),
+          price: parseNumber(record.price),
+          fees: 0,
+          date: parseDateTime(
+            time,
+            ["M/D/YY HH:mm:ss", "M/D/YYYY HH:mm:ss", "YYYY-MM-DD HH:mm:ss"],
+            timeZone
+          ),
+          positionEffect: parsePositionEffect(record.poseffect),
+        };
+      },
+    },
+    {
+      headers: [["date"], ["action"], ["symbol"], ["quantity"], ["price"]],
+      parseRow: (record, { timeZone }) => {
+        const sides = parseSide(record.action);
+        // Dividends, transfers, interest and the like
+        if (!sides) return null;
+
+        const option = parseSpelledOption(record.symbol);
+        // "01/15/2024 as of 01/12/2024": the trade date is the second one
+        const date = String(record.date).split(" as of ").pop();
+
+        return {
+          assetClass: option ? "OPTION" : "EQUITY",
+          ...option,
+          symbol: option ? option.symbol : record.symbol,
+          side: sides.side,
+          quantity: Math.abs(parseNumber(record.quantity)),
+          price: parseNumber(record.price),
+          fees: Math.abs(parseNumber(pick(record, "feescomm", "fees")) || 0),
+          date: parseDateTime(date, ["MM/DD/YYYY", "M/D/YYYY"], timeZone),
+          positionEffect: sides.positionEffect,
+        };
+      },
+    },
+  ],
+};
+
+// Webull order history (stocks and options); only filled orders are trades
+const webull = {
+  id: "webull",
+  name: "Webull",
+  timeZone: "America/New_York",
+  newestFirst: true,
+  tables: [
+    {
+      headers: [["symbol"], ["side"], ["status"], ["filled"], ["avgprice"]],
+      parseRow: (record, { timeZone }) => {
+        const filled = parseNumber(record.filled);
+        if (!/^filled/i.test(record.status) || !(filled > 0)) return null;
+
+        const option = parseOccSymbol(record.symbol);
+        // "01/15/2024 09:35:12 EST": the suffix is always US Eastern
+        const time = String(pick(record, "filledtime", "placedtime") || "")
+          .replace(/\s+[A-Z]{2,4}$/, "")
+          .trim();
+
+        return {
+          assetClass: option ? "OPTION" : "EQUITY",
+          ...option,
+          symbol: option ? option.symbol : record.symbol,
+          side: parseSide(record.side)?.side,
+          quantity: filled,
+          price: parseNumber(record.avgprice),
+          fees: 0,
+          date: parseDateTime(
+            time,
+            ["MM/DD/YYYY HH:mm:ss", "M/D/YYYY HH:mm:ss", "MM/DD/YYYY HH:mm"],
+            timeZone
+          ),
+          positionEffect: null,
+        };
+      },
+    },
+  ],
+};
+
+// Tradovate orders or fills export (futures)
+const tradovate = {
+  id: "tradovate",
+  name: "Tradovate",
+  tables: [
+    {
+      headers: [
+        ["bs"],
+        ["contract"],
+        ["filledqty", "quantity", "qty"],
+        ["avgprice", "avgfillprice", "price"],
+        ["filltime", "timestamp"],
+      ],
+      parseRow: (record, { timeZone }) => {
+        if (record.status && !/^filled$/i.test(record.status.trim())) {
+          return null;
+        }
+        const quantity = parseNumber(
+          pick(record, "filledqty", "quantity", "qty")
+        );
+        if (!quantity) return null;
+
+        return {
+          executionId: pick(record, "fillid", "orderid"),
+          assetClass: "FUTURE",
+          symbol: record.contract,
+          side: parseSide(record.bs)?.side,
+          quantity: Math.abs(quantity),
+          price: parseNumber(pick(record, "avgfillprice", "avgprice", "price")),
+          fees: Math.abs(parseNumber(pick(record, "commission", "fees")) || 0),
+          date: parseDateTime(
+            pick(record, "filltime", "timestamp"),
+            [
+              "MM/DD/YYYY HH:mm:ss",
+              "M/D/YYYY HH:mm:ss",
+              "YYYY-MM-DD HH:mm:ss",
+              "YYYY-MM-DD HH:mm:ss.SSS",
+              moment.ISO_8601,
+            ],
+            timeZone
+          ),
+          positionEffect: null,
+          currency: record.currency,
+        };
+      },
+    },
+  ],
+};
+
+const GENERIC_FIELDS = [
+  "symbol",
+  "side",
+  "quantity",
+  "price",
+  "date",
+  "time",
+  "fees",
+  "assetClass",
+  "contractType",
+  "strike",
+  "expiration",
+  "multiplier",
+  "positionEffect",
+  "currency",
+  "executionId",
+];
+
+/**
+ * Parser for any CSV given which column holds each field, e.g.
+ * { symbol: "Ticker", side: "Action", quantity: "Qty", price: "Fill Price",
+ *   date: "Time", fees: "Commission" }. Side may be left out when the
+ * quantity is signed; options are read from contractType, strike and
+ * expiration columns or an OCC symbol. `dateFormat` is a moment format for
+ * the date (and time) columns.
+ * @param {Object} mapping - Field -> column header
+ * @returns {Object} - Parser
+ */
+const createMappedParser = (mapping = {}) => {
+  const columns = {};
+  Object.entries(mapping).forEach(([field, header]) => {
+    if (GENERIC_FIELDS.includes(field) && header) {
+      columns[field] = normalizeHeader(header);
+    }
+  });
+  const missing = ["symbol", "quantity", "price", "date"].filter(
+    (field) => !columns[field]
+  );
+  if (missing.length > 0) {
+    throw new Error(`Column mapping is missing: ${missing.join(", ")}`);
+  }
+
+  const formats = [
+    ...(mapping.dateFormat ? [mapping.dateFormat] : []),
+    "YYYY-MM-DD HH:mm:ss",
+    "YYYY-MM-DD HH:mm",
+    "MM/DD/YYYY HH:mm:ss",
+    "M/D/YYYY H:mm:ss",
+    "M/D/YYYY H:mm",
+    "YYYY-MM-DD",
+    "MM/DD/YYYY",
+    "M/D/YYYY",
+    moment.ISO_8601,
+  ];
+
+  return {
+    id: "generic",
+    name: "Generic CSV (column mapping)",
+    tables: [
+      {
+        headers: Object.values(columns).map((column) => [column]),
+        parseRow: (record, { timeZone }) => {
+          const value = (field) =>
+            columns[field] ? record[columns[field]] : undefined;
+          const quantity = parseNumber(value("quantity"));
+          const sides = parseSide(value("side"), quantity);
+          const occ = parseOccSymbol(value("symbol"));
+          const contractType = parseContractType(value("contractType"));
+          const option =
+            occ ||
+            (contractType && {
+              contractType,
+              strike: parseNumber(value("strike")),
+              expiration: parseExpiration(value("expiration")),
+            });
+
+          return {
+            executionId: value("executionId"),
+            assetClass: option
+              ? "OPTION"
+              : String(value("assetClass") || "EQUITY").toUpperCase(),
+            ...option,
+            symbol: occ ? occ.symbol : value("symbol"),
+            side: sides?.side,
+            quantity: Math.abs(quantity),
+            price: parseNumber(value("price")),
+            fees: Math.abs(parseNumber(value("fees")) || 0),
+            date: parseDateTime(
+              [value("date"), value("time")].filter(Boolean).join(" "),
+              formats,
+              timeZone
+            ),
+            positionEffect:
+              parsePositionEffect(value("positionEffect")) ||
+              sides?.positionEffect ||
+              null,
+            multiplier: parseNumber(value("multiplier")),
+            currency: value("currency"),
+          };
+        },
+      },
+    ],
+  };
+};
+
+const PARSERS = { ibkr: ibkrFlex, schwab, webull, tradovate };
+
+// Formats the import accepts, for listing in the UI
+const STATEMENT_FORMATS = [
+  ...Object.values(PARSERS).map(({ id, name }) => ({ id, name })),
+  {
+    id: "generic",
+    name: "Generic CSV (column mapping)",
+    requiresMapping: true,
+  },
+];
+
+// Reject executions that can't be priced or placed in time
+const validateExecution = (execution) => {
+  if (!execution.symbol) return "Missing symbol";
+  if (!execution.side) return "Unrecognized buy/sell side";
+  if (!(execution.quantity > 0)) return "Quantity must be positive";
+  if (!Number.isFinite(execution.price) || execution.price < 0) {
+    return "Missing or invalid price";
+  }
+  if (!execution.date) return "Missing or unrecognized date";
+  if (
+    execution.assetClass === "OPTION" &&
+    (!execution.contractType ||
+      !(execution.strike > 0) ||
+      !execution.expiration)
+  ) {
+    return "Options need a call/put type, strike and expiration";
+  }
+  return null;
+};
+
+/**
+ * Executions in a broker statement
+ * @param {string} csv - Statement content
+ * @param {Object} options - format (see STATEMENT_FORMATS), mapping for the
+ *   generic format and the time zone times are written in; brokers with a
+ *   fixed zone default to it, others to `defaultTimeZone`
+ * @returns {Object} - { executions (oldest first), errors: [{ line, error }],
+ *   timeZone }
+ */
+const parseStatement = (
+  csv,
+  { format, mapping, timeZone, defaultTimeZone = "UTC" } = {}
+) => {
+  const parser =
+    format === "generic" ? createMappedParser(mapping) : PARSERS[format];
+  if (!parser) throw new Error(`Unknown statement format: ${format}`);
+
+  const zone = timeZone || parser.timeZone || defaultTimeZone;
+  const rows = parseCsvRows(csv);
+  const table = parser.tables
+    .map((definition) => ({
+      definition,
+      records: findTable(rows, definition.headers),
+    }))
+    .find(({ records }) => records);
+  if (!table) {
+    throw new Error(`No ${parser.name} trade table found in the file`);
+  }
+
+  const executions = [];
+  const errors = [];
+  let previous = null;
+  table.records.forEach((record) => {
+    try {
+      const parsed = table.definition.parseRow(record, {
+        timeZone: zone,
+        previous,
+      });
+      previous = parsed ? { ...record, ...parsed } : previous;
+      if (!parsed) return;
+
+      const { exectime, ...execution } = parsed;
+      const error = validateExecution(execution);
+      if (error) {
+        errors.push({ line: record.line, error });
+        return;
+      }
+      executions.push({
+        ...execution,
+        line: record.line,
+        symbol: String(execution.symbol).toUpperCase().trim(),
+        executionId: execution.executionId || null,
+        multiplier: execution.multiplier || null,
+        currency: execution.currency ? execution.currency.toUpperCase() : null,
+      });
+    } catch (error) {
+      errors.push({ line: record.line, error: error.message });
+    }
+  });
+
+  // Statements listing the latest trade first are flipped so same-time
+  // fills keep their order
+  if (parser.newestFirst) executions.reverse();
+
+  return { executions, errors, timeZone: zone };
+};
+
+module.exports = {
+  STATEMENT_FORMATS,
+  normalizeHeader,
+  parseNumber,
+  parseDateTime,
+  parseSide,
+  parseOccSymbol,
+  findTable,
+  createMappedParser,
+  validateExecution,
+  parseStatement,
+};
@@ -0,0 +1,124 @@
+// Minimal RFC 4180 CSV reader and writer: quoted fields, escaped quotes ("")
+// and newlines inside quotes. Header names are trimmed and lowercased.
+
+// Line of the source text each parsed row or record starts on
+const sourceLines = new WeakMap();
+
+/**
+ * 1-based line of the CSV text a row (from parseCsvRows) or record (from
+ * parseCsv) starts on. Blank lines and line breaks inside quoted cells are
+ * counted, so it matches what an editor shows.
+ * @param {Array<string>|Object} row
+ * @returns {number|undefined}
+ */
+const getSourceLine = (row) => sourceLines.get(row);
+
+/**
+ * Split CSV text into rows of raw cell values. Blank lines are dropped; use
+ * getSourceLine for the line each row came from.
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>}
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+  const input = String(text || "").replace(/^\uFEFF/, "");
+
+  const endRow = () => {
+    row.push(cell);
+    // Drop blank lines
+    if (row.some((value) => value.trim() !== "")) {
+      sourceLines.set(row, rowLine);
+      rows.push(row);
+    }
+    row = [];
+    cell = "";
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === "\n" || (char === "\r" && input[i + 1] !== "\n")) {
+          line++;
+        }
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== "" || row.length > 0) endRow();
+
+  return rows;
+};
+
+/**
+ * Parse CSV text with a header row into objects keyed by header name
+ * @param {string} text - CSV content
+ * @returns {Array<Object>}
+ */
+const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) return [];
+
+  const keys = header.map((name) => name.trim().toLowerCase());
+  return rows.map((cells) => {
+    const record = keys.reduce((values, key, index) => {
+      values[key] = (cells[index] ?? "").trim();
+      return values;
+    }, {});
+    sourceLines.set(record, getSourceLine(cells));
+    return record;
+  });
+};
+
+// Quote a value when it contains a delimiter, quote or line break
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows as CSV text
+ * @param {Array<Object>} columns - { key, header } in output order
+ * @param {Array<Object>} rows - Records keyed by column key
+ * @returns {string}
+ */
+const toCsv = (columns, rows) =>
+  [
+    columns.map((column) => escapeCsvValue(column.header)).join(","),
+    ...rows.map((row) =>
+      columns.map((column) => escapeCsvValue(row[column.key])).join(",")
+    ),
+  ].join("\r\n") + "\r\n";
+
+module.exports = {
+  getSourceLine,
+  parseCsvRows,
+  parseCsv,
+  escapeCsvValue,
+  toCsv,
+};
@@ -0,0 +1,175 @@
+// Carrying costs of positions held overnight: stock borrow fees on shorts
+// and margin interest on longs. Rates are daily percentages (0.05 is 0.05%
+// a day), charged for every night the position is held.
+
+const { openingSide, sortExecutions } = require("./tradeExecutions");
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const round = (value, decimals = 2) => Number(Number(value).toFixed(decimals));
+
+const toRate = (value) =>
+  value === null || value === undefined || value === "" ? null : Number(value);
+
+// Nights held between two times (calendar days crossed, UTC)
+const nightsBetween = (from, to) =>
+  Math.max(
+    Math.floor(new Date(to).getTime() / MS_PER_DAY) -
+      Math.floor(new Date(from).getTime() / MS_PER_DAY),
+    0
+  );
+
+/**
+ * Stretches of time a trade held a constant position
+ * @param {Object} trade - Trade (executions or entry/exit fields)
+ * @param {Date} asOf - End of the last stretch for open positions
+ * @returns {Array<Object>} - { from, to, quantity, value } with value at cost
+ */
+const getHoldingPeriods = (trade, asOf = new Date()) => {
+  const multiplier = Number(trade.multiplier) || 1;
+
+  if (!trade.executions || trade.executions.length === 0) {
+    if (!trade.entryDate) return [];
+    const quantity = Number(trade.entryQuantity) || 0;
+    return [
+      {
+        from: trade.entryDate,
+        to: trade.exitDate || asOf,
+        quantity,
+        value: (Number(trade.entryPrice) || 0) * quantity * multiplier,
+      },
+    ];
+  }
+
+  const entrySide = openingSide(trade.type);
+  const periods = [];
+  let openQuantity = 0;
+  let averageCost = 0;
+  let openedAt = null;
+
+  sortExecutions(trade.executions).forEach((execution) => {
+    const quantity = Number(execution.quantity);
+    const price = Number(execution.price);
+
+    if (openQuantity > 0) {
+      periods.push({
+        from: openedAt,
+        to: execution.date,
+        quantity: openQuantity,
+        value: openQuantity * averageCost * multiplier,
+      });
+    }
+
+    if (execution.side === entrySide) {
+      averageCost =
+        (averageCost * openQuantity + price * quantity) /
+        (openQuantity + quantity);
+      openQuantity += quantity;
+    } else {
+      openQuantity = Math.max(openQuantity - quantity, 0);
+    }
+    openedAt = execution.date;
+  });
+
+  if (openQuantity > 0) {
+    periods.push({
+      from: openedAt,
+      to: asOf,
+      quantity: openQuantity,
+      value: openQuantity * averageCost * multiplier,
+    });
+  }
+
+  return periods;
+};
+
+/**
+ * Rates a trade is financed at: its own, else the first default that sets one
+ * @param {Object} requested - Rates sent with the trade
+ * @param {Object} existing - Rates already stored on the trade
+ * @param {...Object} defaults - Account financing, then preferences.financing
+ * @returns {Object} - { borrowRate, marginRate, marginBalance }
+ */
+const resolveFinancingRates = (requested = {}, existing = {}, ...defaults) => {
+  const pick = (field) =>
+    [requested, existing, ...defaults]
+      .map((source) => source?.[field])
+      .map(toRate)
+      .find((rate) => rate !== null) ?? null;
+
+  return {
+    borrowRate: pick("borrowRate"),
+    marginRate: pick("marginRate"),
+    marginBalance:
+      Number(requested?.marginBalance ?? existing?.marginBalance) || 0,
+  };
+};
+
+/**
+ * Accrue borrow fees (shorts, on the position's value at cost) and margin
+ * interest (longs, on the borrowed balance, reduced as the position is
+ * scaled out) over the holding period
+ * @param {Object} trade - Trade (executions or entry/exit fields)
+ * @param {Object} rates - { borrowRate, marginRate, marginBalance }
+ * @param {Date} asOf - Accrual date for open positions
+ * @returns {Object} - Rates plus { days, borrowCost, marginInterest, accruedThrough }
+ */
+const accrueFinancing = (trade, rates = {}, asOf = new Date()) => {
+  const borrowRate = toRate(rates.borrowRate);
+  const marginRate = toRate(rates.marginRate);
+  const marginBalance = Number(rates.marginBalance) || 0;
+
+  const periods = getHoldingPeriods(trade, asOf);
+  const peakQuantity = Math.max(0, ...periods.map((period) => period.quantity));
+
+  let days = 0;
+  let borrowCost = 0;
+  let marginInterest = 0;
+
+  periods.forEach((period) => {
+    const nights = nightsBetween(period.from, period.to);
+    days += nights;
+
+    if (trade.type === "SHORT" && borrowRate) {
+      borrowCost += (period.value * borrowRate * nights) / 100;
+    }
+    if (trade.type === "LONG" && marginRate && marginBalance && peakQuantity) {
+      marginInterest +=
+        (marginBalance *
+          (period.quantity / peakQuantity) *
+          marginRate *
+          nights) /
+        100;
+    }
+  });
+
+  return {
+    borrowRate,
+    marginRate,
+    marginBalance,
+    days,
+    borrowCost: round(borrowCost),
+    marginInterest: round(marginInterest),
+    accruedThrough: periods.length > 0 ? periods[periods.length - 1].to : null,
+  };
+};
+
+/**
+ * Fee fields set by an accrual. Fees typed in by hand are kept unless a rate
+ * is set for them.
+ * @param {Object} financing - Result of accrueFinancing
+ * @returns {Object} - Partial fees ({ borrow, marginInterest })
+ */
+const financingFees = (financing) => ({
+  ...(financing.borrowRate !== null && { borrow: financing.borrowCost }),
+  ...(financing.marginRate !== null && {
+    marginInterest: financing.marginInterest,
+  }),
+});
+
+module.exports = {
+  getHoldingPeriods,
+  resolveFinancingRates,
+  accrueFinancing,
+  financingFees,
+};
@@ -0,0 +1,95 @@
+// Spotting trades that are already in the journal when a file is imported
+// again: two trades are the same when they share the symbol, direction,
+// entry time, entry price and size. Exits are left out so a position that
+// was open in the first file and closed in the next still matches.
+
+const { summarizeLeg } = require("./optionPositions");
+
+const toTime = (date) => (date ? new Date(date).getTime() : "");
+
+const toPrice = (value) =>
+  value === null || value === undefined ? "" : Number(Number(value).toFixed(6));
+
+/**
+ * @param {Object} trade - Trade (document, lean object or payload with the
+ *   entry fields already derived from its executions)
+ * @returns {string}
+ */
+const tradeFingerprint = (trade) =>
+  [
+    String(trade.symbol || "").toUpperCase(),
+    trade.type,
+    toTime(trade.entryDate),
+    toPrice(trade.entryPrice),
+    Number(trade.entryQuantity) || 0,
+  ].join("|");
+
+// Contract, first fill, average open price and size of each leg
+const legFingerprints = (legs) =>
+  legs
+    .map((leg) => {
+      const summary = summarizeLeg(leg);
+      return [
+        leg.side,
+        leg.contractType,
+        Number(leg.strike),
+        toTime(leg.expiration),
+        toTime(summary.firstFillDate),
+        toPrice(summary.averageOpenPrice),
+        summary.openedQuantity,
+      ].join(",");
+    })
+    .sort()
+    .join(";");
+
+/**
+ * Same idea for option trades; a single-contract trade entered by hand
+ * matches the one-leg trade an import creates for the same fills
+ * @param {Object} trade - OptionTrade (document, lean object or payload)
+ * @returns {string}
+ */
+const optionTradeFingerprint = (trade) => {
+  const legs =
+    trade.legs && trade.legs.length > 0
+      ? trade.legs
+      : [
+          {
+            side: trade.type,
+            contractType: trade.contractType,
+            strike: trade.strike,
+            expiration: trade.expiration,
+            fills: [
+              {
+                action: "OPEN",
+                price: trade.entryPrice,
+                quantity: trade.contracts,
+                date: trade.entryDate,
+              },
+            ],
+          },
+        ];
+
+  return [String(trade.symbol || "").toUpperCase(), legFingerprints(legs)].join(
+    "|"
+  );
+};
+
+/**
+ * Cash entries are the same when type, amount, currency and date match
+ * @param {Object} transaction - CashTransaction (document, lean object or
+ *   payload)
+ * @returns {string}
+ */
+const cashTransactionFingerprint = (transaction) =>
+  [
+    transaction.type,
+    Number(Number(transaction.amount).toFixed(2)),
+    String(transaction.currency || "").toUpperCase(),
+    toTime(transaction.date),
+  ].join("|");
+
+module.exports = {
+  tradeFingerprint,
+  optionTradeFingerprint,
+  cashTransactionFingerprint,
+};
@@ -0,0 +1,161 @@
+// Marking open positions to market: what an open stock or option position is
+// worth at a quoted price, and the P/L it would realize if closed there.
+// Market values are signed: positive for long exposure, negative for short.
+
+const { summarizeExecutions } = require("./tradeExecutions");
+const {
+  CONTRACT_MULTIPLIER,
+  legDirection,
+  summarizeLeg,
+} = require("./optionPositions");
+
+const round = (value, decimals = 2) => Number(Number(value).toFixed(decimals));
+
+const toDateKey = (date) =>
+  date ? new Date(date).toISOString().slice(0, 10) : "";
+
+/**
+ * Key a quote is stored under: the symbol for stocks, plus expiration,
+ * strike and type for an option contract
+ * @param {Object} instrument - { symbol, expiration, strike, contractType }
+ * @returns {string} - e.g. "AAPL" or "AAPL 2024-01-19 150 CALL"
+ */
+const quoteKey = ({ symbol, expiration, strike, contractType }) => {
+  const base = String(symbol || "")
+    .toUpperCase()
+    .trim();
+  if (!expiration || !contractType) return base;
+
+  return [
+    base,
+    toDateKey(expiration),
+    Number(strike),
+    String(contractType).toUpperCase(),
+  ].join(" ");
+};
+
+/**
+ * Shares or contracts still open on a stock trade and their average cost
+ * @param {Object} trade - Trade (executions or entry/exit fields)
+ * @returns {Object} - { quantity, averageCost }
+ */
+const getOpenStockPosition = (trade) => {
+  if (trade.executions && trade.executions.length > 0) {
+    const summary = summarizeExecutions(
+      trade.type,
+      trade.executions,
+      trade.multiplier || 1
+    );
+    return {
+      quantity: summary.openQuantity,
+      averageCost: summary.averageCost,
+    };
+  }
+
+  if (trade.status === "CLOSED") return { quantity: 0, averageCost: 0 };
+  return {
+    quantity: Number(trade.entryQuantity) || 0,
+    averageCost: Number(trade.entryPrice) || 0,
+  };
+};
+
+/**
+ * Mark a stock trade at a price
+ * @param {Object} trade - Trade
+ * @param {number} price - Quoted price of the symbol
+ * @returns {Object|null} - { price, quantity, marketValue, costBasis,
+ *   unrealized }, or null when nothing is open
+ */
+const markStockTrade = (trade, price) => {
+  const { quantity, averageCost } = getOpenStockPosition(trade);
+  if (!(quantity > 0)) return null;
+
+  const direction = trade.type === "SHORT" ? -1 : 1;
+  const units = quantity * (Number(trade.multiplier) || 1);
+
+  return {
+    price,
+    quantity,
+    marketValue: round(direction * price * units),
+    costBasis: round(direction * averageCost * units),
+    unrealized: round(direction * (price - averageCost) * units),
+  };
+};
+
+/**
+ * Contracts an option trade holds open, one entry per contract quoted
+ * @param {Object} trade - OptionTrade (single contract or legs)
+ * @returns {Array<Object>} - { key, direction, quantity, averageCost }
+ */
+const getOpenOptionContracts = (trade) => {
+  if (trade.legs && trade.legs.length > 0) {
+    return trade.legs
+      .map((leg) => ({ leg, summary: summarizeLeg(leg) }))
+      .filter(({ summary }) => summary.openQuantity > 0)
+      .map(({ leg, summary }) => ({
+        key: quoteKey({
+          symbol: trade.symbol,
+          expiration: leg.expiration,
+          strike: leg.strike,
+          contractType: leg.contractType,
+        }),
+        direction: legDirection(leg),
+        quantity: summary.openQuantity,
+        averageCost: summary.averageOpenPrice,
+      }));
+  }
+
+  if (trade.status === "CLOSED") return [];
+  return [
+    {
+      key: quoteKey(trade),
+      direction: trade.type === "SHORT" ? -1 : 1,
+      quantity: Number(trade.contracts) || 0,
+      averageCost: Number(trade.entryPrice) || 0,
+    },
+  ];
+};
+
+/**
+ * Mark an option trade from per-contract quotes
+ * @param {Object} trade - OptionTrade
+ * @param {Function} getPrice - key => quoted premium, or undefined
+ * @returns {Object|null} - Same shape as markStockTrade (price is the net
+ *   premium per contract), or null when a contract has no quote or nothing
+ *   is open
+ */
+const markOptionTrade = (trade, getPrice) => {
+  const contracts = getOpenOptionContracts(trade);
+  if (contracts.length === 0) return null;
+
+  const prices = contracts.map((contract) => getPrice(contract.key));
+  if (prices.some((price) => price === undefined || price === null)) {
+    return null;
+  }
+
+  let marketValue = 0;
+  let costBasis = 0;
+  let netPremium = 0;
+  contracts.forEach((contract, index) => {
+    const units = contract.quantity * CONTRACT_MULTIPLIER;
+    marketValue += contract.direction * prices[index] * units;
+    costBasis += contract.direction * contract.averageCost * units;
+    netPremium += contract.direction * prices[index];
+  });
+
+  return {
+    price: round(netPremium, 4),
+    quantity: Math.max(...contracts.map((contract) => contract.quantity)),
+    marketValue: round(marketValue),
+    costBasis: round(costBasis),
+    unrealized: round(marketValue - costBasis),
+  };
+};
+
+module.exports = {
+  quoteKey,
+  getOpenStockPosition,
+  getOpenOptionContracts,
+  markStockTrade,
+  markOptionTrade,
+};
@@ -0,0 +1,222 @@
+// US equity market hours (NYSE/Nasdaq) in America/New_York, with the
+// exchange holiday calendar and its early closes. Trading sessions:
+//   Pre-Market   04:00 - 09:30
+//   Regular      09:30 - 16:00 (13:00 on early-close days)
+//   After-Hours  16:00 - 20:00 (13:00 - 17:00 on early-close days)
+// Anything else, including weekends and holidays, is "Closed".
+
+const moment = require("moment-timezone");
+
+const MARKET_TIME_ZONE = "America/New_York";
+
+const SESSIONS = ["Pre-Market", "Regular", "After-Hours", "Closed"];
+
+const DATE_ONLY = /^\s*\d{4}-\d{2}-\d{2}\s*$/;
+
+const HOURS = {
+  preMarketOpen: "04:00",
+  open: "09:30",
+  close: "16:00",
+  earlyClose: "13:00",
+  afterHoursClose: "20:00",
+  earlyAfterHoursClose: "17:00",
+};
+
+// One-off closures announced outside the regular calendar
+const SPECIAL_CLOSURES = {
+  "2018-12-05": "National Day of Mourning (George H.W. Bush)",
+  "2025-01-09": "National Day of Mourning (Jimmy Carter)",
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+const dateKey = (year, month, day) =>
+  moment.utc([year, month, day]).format("YYYY-MM-DD");
+
+// nth weekday (0 = Sunday) of a month; n = -1 for the last one
+const nthWeekday = (year, month, weekday, n) => {
+  if (n > 0) {
+    const first = moment.utc([year, month, 1]);
+    const offset = (weekday - first.day() + 7) % 7;
+    return first.date(1 + offset + (n - 1) * 7);
+  }
+  const last = moment.utc([year, month, 1]).endOf("month").startOf("day");
+  return last.subtract((last.day() - weekday + 7) % 7, "days");
+};
+
+// Holidays on a weekend close the Friday before (Saturday) or the Monday
+// after (Sunday)
+const observed = (year, month, day) => {
+  const date = moment.utc([year, month, day]);
+  if (date.day() === 6) return date.subtract(1, "day");
+  if (date.day() === 0) return date.add(1, "day");
+  return date;
+};
+
+// Gregorian Easter Sunday (anonymous algorithm)
+const easterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31) - 1;
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return moment.utc([year, month, day]);
+};
+
+const calendars = {};
+
+/**
+ * Exchange holidays and early closes for a year
+ * @param {number} year - Calendar year
+ * @returns {Object} - { holidays: { "YYYY-MM-DD": name },
+ *   earlyCloses: { "YYYY-MM-DD": name } }
+ */
+const getMarketCalendar = (year) => {
+  if (calendars[year]) return calendars[year];
+
+  const holidays = {};
+  const add = (date, name) => {
+    holidays[date.format("YYYY-MM-DD")] = name;
+  };
+
+  // New Year's Day on a Saturday is not made up on the Friday before
+  const newYear = moment.utc([year, 0, 1]);
+  if (newYear.day() !== 6) add(observed(year, 0, 1), "New Year's Day");
+  add(nthWeekday(year, 0, 1, 3), "Martin Luther King Jr. Day");
+  add(nthWeekday(year, 1, 1, 3), "Washington's Birthday");
+  add(easterSunday(year).subtract(2, "days"), "Good Friday");
+  add(nthWeekday(year, 4, 1, -1), "Memorial Day");
+  if (year >= 2022) add(observed(year, 5, 19), "Juneteenth");
+  add(observed(year, 6, 4), "Independence Day");
+  add(nthWeekday(year, 8, 1, 1), "Labor Day");
+  const thanksgiving = nthWeekday(year, 10, 4, 4);
+  add(thanksgiving.clone(), "Thanksgiving Day");
+  add(observed(year, 11, 25), "Christmas Day");
+
+  Object.entries(SPECIAL_CLOSURES)
+    .filter(([date]) => date.startsWith(`${year}-`))
+    .forEach(([date, name]) => {
+      holidays[date] = name;
+    });
+
+  // Early closes on the eves of Independence Day and Christmas when they
+  // fall Monday to Thursday, and the day after Thanksgiving
+  const earlyCloses = {};
+  const addEarly = (date, name) => {
+    const key = date.format("YYYY-MM-DD");
+    if (date.day() >= 1 && date.day() <= 4 && !holidays[key]) {
+      earlyCloses[key] = name;
+    }
+  };
+  addEarly(moment.utc([year, 6, 3]), "Independence Day eve");
+  addEarly(moment.utc([year, 11, 24]), "Christmas Eve");
+  earlyCloses[thanksgiving.clone().add(1, "day").format("YYYY-MM-DD")] =
+    "Day after Thanksgiving";
+
+  calendars[year] = { holidays, earlyCloses };
+  return calendars[year];
+};
+
+/**
+ * Trading hours of the day a time falls on, in New York
+ * @param {Date} date - Any time during the day
+ * @returns {Object} - { date, isOpen, isEarlyClose, holiday, sessions } with
+ *   sessions as [name, startMinute, endMinute] in New York local minutes
+ */
+const getMarketDay = (date) => {
+  const local = moment(date).tz(MARKET_TIME_ZONE);
+  const key = local.format("YYYY-MM-DD");
+  const { holidays, earlyCloses } = getMarketCalendar(local.year());
+  const holiday = holidays[key] || null;
+  const isWeekend = local.day() === 0 || local.day() === 6;
+  const isEarlyClose = Boolean(earlyCloses[key]);
+
+  if (isWeekend || holiday) {
+    return { date: key, isOpen: false, isEarlyClose, holiday, sessions: [] };
+  }
+
+  const close = toMinutes(isEarlyClose ? HOURS.earlyClose : HOURS.close);
+  const afterHoursClose = toMinutes(
+    isEarlyClose ? HOURS.earlyAfterHoursClose : HOURS.afterHoursClose
+  );
+
+  return {
+    date: key,
+    isOpen: true,
+    isEarlyClose,
+    holiday,
+    sessions: [
+      ["Pre-Market", toMinutes(HOURS.preMarketOpen), toMinutes(HOURS.open)],
+      ["Regular", toMinutes(HOURS.open), close],
+      ["After-Hours", close, afterHoursClose],
+    ],
+  };
+};
+
+/**
+ * Session a time falls in
+ * @param {Date} date - Time to classify (e.g. a trade's entryDate)
+ * @returns {string} - Pre-Market, Regular, After-Hours or Closed
+ */
+const classifySession = (date) => {
+  const local = moment(date).tz(MARKET_TIME_ZONE);
+  const minutes = local.hours() * 60 + local.minutes();
+  const match = getMarketDay(date).sessions.find(
+    ([, start, end]) => minutes >= start && minutes < end
+  );
+  return match ? match[0] : "Closed";
+};
+
+/**
+ * Whether an entry time, as it was sent or imported, carries a time of day.
+ * Date-only strings ("2024-03-15") don't; timestamps and Date objects do.
+ * This has to be read from the input: the midnight UTC a date-only value is
+ * stored at is also a real evening time in New York.
+ * @param {Date|string|number} value
+ * @returns {boolean}
+ */
+const hasTimeOfDay = (value) => {
+  if (value == null || value === "") return false;
+  if (typeof value === "string") return !DATE_ONLY.test(value);
+  return Number.isFinite(new Date(value).getTime());
+};
+
+/**
+ * Session fields for a trade. Only equities whose entry was recorded with a
+ * time of day (`entryTimeRecorded`) follow exchange hours; other trades
+ * keep the session they were given.
+ * @param {Object} trade - Trade ({ assetClass, entryDate, entryTimeRecorded })
+ * @returns {Object} - { session } or {}
+ */
+const getSessionFields = (trade) => {
+  if (
+    (trade.assetClass || "EQUITY") !== "EQUITY" ||
+    !trade.entryDate ||
+    !trade.entryTimeRecorded
+  ) {
+    return {};
+  }
+  return { session: classifySession(trade.entryDate) };
+};
+
+module.exports = {
+  MARKET_TIME_ZONE,
+  SESSIONS,
+  getMarketCalendar,
+  getMarketDay,
+  classifySession,
+  hasTimeOfDay,
+  getSessionFields,
+};
@@ -0,0 +1,368 @@
+// Parser for OFX/QFX investment statements (what Quicken downloads from a
+// broker). Both flavours are read: OFX 1.x is SGML, where simple elements
+// have no closing tag (<UNITS>100), and OFX 2.x is XML. Trades come out as
+// executions in the shape the CSV statement parsers use, income and
+// account-level cash movements as cash ledger entries.
+
+const moment = require("moment-timezone");
+const {
+  parseNumber,
+  parseOccSymbol,
+  validateExecution,
+} = require("./brokerStatements");
+
+const TAG = /<(\/?)([A-Za-z0-9_.]+)[^>]*>([^<]*)/g;
+
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+const decode = (text) =>
+  text.replace(
+    /&(amp|lt|gt|quot|apos|nbsp);/g,
+    (match, name) => ENTITIES[name]
+  );
+
+// Element tree of the <OFX> body. An element followed by text is a leaf
+// (its closing tag, if any, is skipped); any other opens an aggregate that
+// runs to its closing tag, which also closes whatever was left open inside.
+const parseTree = (text) => {
+  const start = text.search(/<OFX>/i);
+  if (start === -1) throw new Error("Not an OFX/QFX file (no <OFX> element)");
+
+  const root = { name: "ROOT", line: 1, children: [] };
+  const stack = [root];
+  let line = text.slice(0, start).split("\n").length;
+  let position = start;
+
+  TAG.lastIndex = start;
+  let match;
+  while ((match = TAG.exec(text))) {
+    line += (text.slice(position, match.index).match(/\n/g) || []).length;
+    position = match.index;
+
+    const [, closing, tag, content] = match;
+    const name = tag.toUpperCase();
+    const parent = stack[stack.length - 1];
+
+    if (closing) {
+      const index = stack.map((node) => node.name).lastIndexOf(name);
+      if (index > 0) stack.length = index;
+    } else if (content.trim() !== "") {
+      parent.children.push({ name, line, value: decode(content.trim()) });
+    } else {
+      const node = { name, line, children: [] };
+      parent.children.push(node);
+      stack.push(node);
+    }
+  }
+
+  return root;
+};
+
+const child = (node, name) =>
+  node?.children?.find((element) => element.name === name);
+
+// Text of a leaf along a dotted path ("INVTRAN.FITID")
+const value = (node, path) =>
+  path.split(".").reduce((current, name) => child(current, name), node)?.value;
+
+// Every element with the given name, at any depth
+const findAll = (node, name) =>
+  (node.children || []).flatMap((element) =>
+    element.name === name
+      ? [element, ...findAll(element, name)]
+      : findAll(element, name)
+  );
+
+/**
+ * OFX date: YYYYMMDD[HHMMSS[.XXX]][[offset:TZ]], e.g. 20240115143512.000[-5:EST].
+ * Times without an offset are read in `timeZone`: the spec says GMT, but
+ * brokers that leave the offset out mostly write dates in local time.
+ * @param {string} text
+ * @param {string} timeZone
+ * @returns {Date|null}
+ */
+const parseOfxDate = (text, timeZone = "UTC") => {
+  const match = String(text || "")
+    .trim()
+    .match(
+      /^(\d{8})(\d{6})?(?:\.\d+)?(?:\[([+-]?\d+)(?:\.(\d+))?(?::[^\]]*)?\])?/
+    );
+  if (!match) return null;
+
+  const [, day, time = "000000", hours, minutes = "0"] = match;
+  const local = `${day}${time}`;
+  const sign = hours?.startsWith("-") ? -1 : 1;
+  const parsed =
+    hours === undefined
+      ? moment.tz(local, "YYYYMMDDHHmmss", true, timeZone)
+      : moment
+          .utc(local, "YYYYMMDDHHmmss", true)
+          .subtract(Number(hours) * 60 + sign * Number(minutes), "minutes");
+  return parsed.isValid() ? parsed.toDate() : null;
+};
+
+// Expirations are calendar days, kept at midnight UTC
+const parseOfxDay = (text) => {
+  const parsed = moment.utc(String(text || "").slice(0, 8), "YYYYMMDD", true);
+  return parsed.isValid() ? parsed.toDate() : null;
+};
+
+const securityKey = (secId) =>
+  secId ? `${value(secId, "UNIQUEIDTYPE")}:${value(secId, "UNIQUEID")}` : null;
+
+const SECURITY_TYPES = [
+  "STOCKINFO",
+  "OPTINFO",
+  "MFINFO",
+  "DEBTINFO",
+  "OTHERINFO",
+];
+
+// Securities in the statement's SECLIST, by CUSIP (or other id)
+const readSecurities = (root) => {
+  const securities = new Map();
+  SECURITY_TYPES.forEach((type) =>
+    findAll(root, type).forEach((info) => {
+      const secInfo = child(info, "SECINFO");
+      securities.set(securityKey(child(secInfo, "SECID")), {
+        type,
+        ticker: value(secInfo, "TICKER") || value(secInfo, "SECNAME"),
+        ...(type === "OPTINFO" && {
+          contractType: String(value(info, "OPTTYPE") || "").toUpperCase(),
+          strike: parseNumber(value(info, "STRIKEPRICE")),
+          expiration: parseOfxDay(value(info, "DTEXPIRE")),
+          multiplier: parseNumber(value(info, "SHPERCTRCT")),
+          underlying: securityKey(child(info, "SECID")),
+        }),
+      });
+    })
+  );
+  return securities;
+};
+
+// Underlying, call/put, strike and expiration of an option security, from
+// its OPTINFO or, failing that, an OCC ticker
+const optionContract = (security, securities) => {
+  const occ = parseOccSymbol(security.ticker);
+  const underlying = securities.get(security.underlying);
+  return {
+    symbol:
+      underlying?.ticker ||
+      occ?.symbol ||
+      String(security.ticker || "").split(/\s+/)[0],
+    contractType: ["CALL", "PUT"].includes(security.contractType)
+      ? security.contractType
+      : occ?.contractType,
+    strike: security.strike || occ?.strike,
+    expiration: security.expiration || occ?.expiration,
+  };
+};
+
+// Position effect of each buy/sell type
+const POSITION_EFFECTS = {
+  BUY: "OPEN",
+  BUYTOCOVER: "CLOSE",
+  SELL: "CLOSE",
+  SELLSHORT: "OPEN",
+  BUYTOOPEN: "OPEN",
+  BUYTOCLOSE: "CLOSE",
+  SELLTOOPEN: "OPEN",
+  SELLTOCLOSE: "CLOSE",
+};
+
+const TRADE_TRANSACTIONS = {
+  BUYSTOCK: { side: "BUY", detail: "INVBUY", type: "BUYTYPE" },
+  SELLSTOCK: { side: "SELL", detail: "INVSELL", type: "SELLTYPE" },
+  BUYOPT: { side: "BUY", detail: "INVBUY", type: "OPTBUYTYPE" },
+  SELLOPT: { side: "SELL", detail: "INVSELL", type: "OPTSELLTYPE" },
+};
+
+const FEE_FIELDS = ["COMMISSION", "FEES", "TAXES", "LOAD"];
+
+// Currency of a transaction: its own, else the statement's default
+const currencyOf = (node, statement) =>
+  value(node, "CURRENCY.CURSYM") ||
+  value(node, "ORIGCURRENCY.CURSYM") ||
+  value(statement, "CURDEF") ||
+  null;
+
+const toExecution = (transaction, statement, securities, timeZone) => {
+  const definition = TRADE_TRANSACTIONS[transaction.name];
+  const detail = child(transaction, definition.detail);
+  const security = securities.get(securityKey(child(detail, "SECID")));
+  if (!security) {
+    throw new Error(
+      `Security ${value(
+        detail,
+        "SECID.UNIQUEID"
+      )} is missing from the statement's security list`
+    );
+  }
+
+  const isOption = transaction.name.endsWith("OPT");
+  return {
+    executionId: value(detail, "INVTRAN.FITID"),
+    assetClass: isOption ? "OPTION" : "EQUITY",
+    symbol: security.ticker,
+    side: definition.side,
+    quantity: Math.abs(parseNumber(value(detail, "UNITS")) || 0),
+    price: parseNumber(value(detail, "UNITPRICE")),
+    fees: FEE_FIELDS.reduce(
+      (sum, field) => sum + Math.abs(parseNumber(value(detail, field)) || 0),
+      0
+    ),
+    date: parseOfxDate(value(detail, "INVTRAN.DTTRADE"), timeZone),
+    positionEffect:
+      POSITION_EFFECTS[
+        String(value(transaction, definition.type) || "").toUpperCase()
+      ] || null,
+    multiplier: isOption
+      ? parseNumber(value(transaction, "SHPERCTRCT")) || security.multiplier
+      : null,
+    currency: currencyOf(detail, statement),
+    ...(isOption && optionContract(security, securities)),
+  };
+};
+
+// Cash ledger type of each INCOME type; capital gain distributions are
+// paid out like dividends
+const INCOME_TYPES = {
+  DIV: "DIVIDEND",
+  CGLONG: "DIVIDEND",
+  CGSHORT: "DIVIDEND",
+  INTEREST: "INTEREST",
+};
+
+const BANK_TYPES = {
+  INT: "INTEREST",
+  DIV: "DIVIDEND",
+  FEE: "FEE",
+  SRVCHG: "FEE",
+};
+
+const toIncome = (transaction, statement, securities, timeZone) => {
+  const incomeType = String(
+    value(transaction, "INCOMETYPE") || ""
+  ).toUpperCase();
+  const type = INCOME_TYPES[incomeType];
+  if (!type) throw new Error(`Unsupported income type: ${incomeType}`);
+
+  const amount = parseNumber(value(transaction, "TOTAL"));
+  if (!(amount > 0)) throw new Error("Income amount must be positive");
+
+  const security = securities.get(securityKey(child(transaction, "SECID")));
+  return {
+    fitId: value(transaction, "INVTRAN.FITID"),
+    type,
+    amount,
+    currency: currencyOf(transaction, statement),
+    date: parseOfxDate(value(transaction, "INVTRAN.DTTRADE"), timeZone),
+    description:
+      value(transaction, "INVTRAN.MEMO") ||
+      [security?.ticker, incomeType].filter(Boolean).join(" "),
+  };
+};
+
+// Deposits, withdrawals, interest and fees on the account's cash
+const toBankTransaction = (transaction, statement, timeZone) => {
+  const entry = child(transaction, "STMTTRN");
+  const amount = parseNumber(value(entry, "TRNAMT"));
+  if (!amount) throw new Error("Missing or zero amount");
+
+  return {
+    fitId: value(entry, "FITID"),
+    type:
+      BANK_TYPES[String(value(entry, "TRNTYPE") || "").toUpperCase()] ||
+      (amount > 0 ? "DEPOSIT" : "WITHDRAWAL"),
+    amount: Math.abs(amount),
+    currency: currencyOf(entry, statement),
+    date: parseOfxDate(value(entry, "DTPOSTED"), timeZone),
+    description: value(entry, "MEMO") || value(entry, "NAME"),
+  };
+};
+
+/**
+ * Executions and cash entries in an OFX/QFX investment statement
+ * @param {string} text - File content
+ * @param {Object} options - timeZone for times written without an offset
+ * @returns {Object} - { executions (oldest first), cashTransactions,
+ *   errors: [{ line, error }], timeZone }. Lines are those the
+ *   transactions start on; cash entries are { line, fitId, type, amount,
+ *   currency, date, description }.
+ */
+const parseOfx = (text, { timeZone = "UTC" } = {}) => {
+  const root = parseTree(String(text || ""));
+  const statements = findAll(root, "INVSTMTRS");
+  if (statements.length === 0) {
+    throw new Error("No investment statement found in the OFX file");
+  }
+
+  const securities = readSecurities(root);
+  const executions = [];
+  const cashTransactions = [];
+  const errors = [];
+
+  statements.forEach((statement) => {
+    const transactions = (child(statement, "INVTRANLIST")?.children || [])
+      // DTSTART and DTEND
+      .filter((node) => node.children);
+
+    transactions.forEach((transaction) => {
+      try {
+        if (TRADE_TRANSACTIONS[transaction.name]) {
+          const execution = toExecution(
+            transaction,
+            statement,
+            securities,
+            timeZone
+          );
+          const error = validateExecution(execution);
+          if (error) throw new Error(error);
+          executions.push({
+            ...execution,
+            line: transaction.line,
+            symbol: String(execution.symbol).toUpperCase().trim(),
+            executionId: execution.executionId || null,
+            currency: execution.currency
+              ? execution.currency.toUpperCase()
+              : null,
+          });
+          return;
+        }
+
+        let entry;
+        if (transaction.name === "INCOME") {
+          entry = toIncome(transaction, statement, securities, timeZone);
+        } else if (transaction.name === "INVBANKTRAN") {
+          entry = toBankTransaction(transaction, statement, timeZone);
+        } else {
+          throw new Error(`Unsupported OFX transaction: ${transaction.name}`);
+        }
+        if (!entry.date) throw new Error("Missing or unrecognized date");
+        cashTransactions.push({ ...entry, line: transaction.line });
+      } catch (error) {
+        errors.push({ line: transaction.line, error: error.message });
+      }
+    });
+  });
+
+  const byDate = (a, b) => a.date - b.date || a.line - b.line;
+  return {
+    executions: executions.sort(byDate),
+    cashTransactions: cashTransactions.sort(byDate),
+    errors,
+    timeZone,
+  };
+};
+
+module.exports = {
+  parseOfxDate,
+  parseOfx,
+};
@@ -0,0 +1,234 @@
+// Risk graph data for option trades: P/L across a range of underlying prices
+// at expiration and at earlier valuation dates. Several trades on the same
+// underlying are combined into one position.
+
+const {
+  CONTRACT_MULTIPLIER,
+  intrinsicValue,
+  legDirection,
+  summarizeLeg,
+  analyzePayoff,
+} = require("./optionPositions");
+const blackScholes = require("./blackScholes");
+
+const DEFAULT_STEPS = 50;
+const MAX_STEPS = 500;
+const DEFAULT_RANGE = 0.3; // +/- 30% around the reference price
+
+const round = (value, decimals = 2) => Number(Number(value).toFixed(decimals));
+
+/**
+ * Turn option trades (single-leg or multi-leg) into payoff legs
+ * @param {Array<Object>} trades - OptionTrade documents
+ * @returns {Array<Object>} - Legs with `summary` and the data needed to value them
+ */
+const toPayoffLegs = (trades) =>
+  trades.flatMap((trade) => {
+    if (trade.legs && trade.legs.length > 0) {
+      return trade.legs.map((leg) => ({
+        tradeId: trade._id,
+        contractType: leg.contractType,
+        side: leg.side,
+        strike: Number(leg.strike),
+        expiration: leg.expiration,
+        summary: summarizeLeg(leg),
+        entryDate: trade.entryDate,
+        underlyingPrice: trade.underlyingPrice,
+        impliedVolatility: null,
+      }));
+    }
+
+    return [
+      {
+        tradeId: trade._id,
+        contractType: trade.contractType,
+        side: trade.type,
+        strike: Number(trade.strike),
+        expiration: trade.expiration,
+        summary: {
+          openedQuantity: trade.contracts,
+          averageOpenPrice: trade.entryPrice,
+        },
+        entryDate: trade.entryDate,
+        underlyingPrice: trade.underlyingPrice,
+        impliedVolatility: trade.greeksAtEntry?.impliedVolatility || null,
+      },
+    ];
+  });
+
+// Volatility (decimal) used to value a leg before expiration: the override,
+// the IV stored on the trade, or the IV implied by the entry premium
+const legVolatility = (leg, { volatility, rate }) => {
+  if (volatility) return volatility;
+  if (leg.impliedVolatility) return leg.impliedVolatility / 100;
+
+  const solved = blackScholes.impliedVolatility({
+    contractType: leg.contractType,
+    underlyingPrice: Number(leg.underlyingPrice),
+    strike: leg.strike,
+    years: blackScholes.yearsToExpiration(leg.expiration, leg.entryDate),
+    rate,
+    dividendYield: 0,
+    optionPrice: leg.summary.averageOpenPrice,
+  });
+  if (!solved) {
+    throw new Error(
+      `Could not determine volatility for the ${leg.strike} ${leg.contractType} leg; pass a volatility`
+    );
+  }
+  return solved;
+};
+
+// P/L of the position valued on `date` with the underlying at `price`.
+// Legs that have expired by then are worth their intrinsic value.
+const valueAt = (legs, price, date, rate) =>
+  legs.reduce((total, leg) => {
+    const years = blackScholes.yearsToExpiration(leg.expiration, date);
+    const value =
+      years > 0
+        ? blackScholes.price({
+            contractType: leg.contractType,
+            underlyingPrice: price,
+            strike: leg.strike,
+            years,
+            volatility: leg.volatility,
+            rate,
+            dividendYield: 0,
+          })
+        : intrinsicValue(leg.contractType, leg.strike, price);
+
+    return (
+      total +
+      legDirection(leg) *
+        (value - leg.summary.averageOpenPrice) *
+        leg.summary.openedQuantity *
+        CONTRACT_MULTIPLIER
+    );
+  }, 0);
+
+// Breakevens, max profit and max loss read off a sampled curve. Used when the
+// legs expire on different dates and the payoff is no longer piecewise linear.
+const analyzeCurve = (points) => {
+  const values = points.map((point) => point.profitLoss);
+  const breakevens = [];
+
+  for (let i = 1; i < points.length; i++) {
+    const [p0, p1] = [points[i - 1], points[i]];
+    if (p0.profitLoss === 0 && i === 1) breakevens.push(p0.price);
+    if (p1.profitLoss === 0) {
+      breakevens.push(p1.price);
+    } else if (p0.profitLoss * p1.profitLoss < 0) {
+      breakevens.push(
+        p0.price +
+          ((0 - p0.profitLoss) * (p1.price - p0.price)) /
+            (p1.profitLoss - p0.profitLoss)
+      );
+    }
+  }
+
+  return {
+    maxProfit: round(Math.max(...values)),
+    maxLoss: round(Math.abs(Math.min(Math.min(...values), 0))),
+    breakevens: breakevens.map((price) => round(price)),
+  };
+};
+
+/**
+ * Payoff curves for one or more option trades on the same underlying
+ * @param {Array<Object>} trades - OptionTrade documents
+ * @param {Object} options - { low, high, steps, dates, volatility (decimal), rate (decimal) }
+ * @returns {Object} - Price grid, curves per valuation date and risk metrics
+ */
+const buildPayoffCurves = (trades, options = {}) => {
+  if (!trades || trades.length === 0) {
+    throw new Error("No option trades to chart");
+  }
+
+  const symbols = new Set(trades.map((trade) => trade.symbol));
+  if (symbols.size > 1) {
+    throw new Error("All option trades must be on the same underlying");
+  }
+
+  const rate = options.rate ?? blackScholes.DEFAULT_RISK_FREE_RATE;
+  const legs = toPayoffLegs(trades);
+  const strikes = legs.map((leg) => leg.strike);
+  const expiration = new Date(
+    Math.min(...legs.map((leg) => new Date(leg.expiration)))
+  );
+
+  // Price grid: around the reference price, always wide enough for every strike
+  const reference =
+    Number(trades[0].underlyingPrice) ||
+    strikes.reduce((sum, strike) => sum + strike, 0) / strikes.length;
+  const low = Math.max(
+    options.low ??
+      Math.min(reference * (1 - DEFAULT_RANGE), Math.min(...strikes) * 0.9),
+    0
+  );
+  const high =
+    options.high ??
+    Math.max(reference * (1 + DEFAULT_RANGE), Math.max(...strikes) * 1.1);
+  if (!(high > low)) {
+    throw new Error("The price range high must be greater than low");
+  }
+
+  const steps = Math.min(
+    Math.max(Math.floor(options.steps || DEFAULT_STEPS), 2),
+    MAX_STEPS
+  );
+  const prices = Array.from(
+    { length: steps + 1 },
+    (_, i) => low + ((high - low) * i) / steps
+  );
+
+  const dates = (options.dates || []).map((date) => new Date(date));
+  if (dates.some((date) => isNaN(date))) {
+    throw new Error("Invalid valuation date");
+  }
+  if (dates.some((date) => date >= expiration)) {
+    throw new Error("Valuation dates must be before the first expiration");
+  }
+
+  // Volatility is only needed to value legs that haven't expired yet
+  const sameExpiration = legs.every(
+    (leg) => new Date(leg.expiration).getTime() === expiration.getTime()
+  );
+  const needsModel = dates.length > 0 || !sameExpiration;
+  if (needsModel) {
+    legs.forEach((leg) => {
+      leg.volatility = legVolatility(leg, { ...options, rate });
+    });
+  }
+
+  const curve = (date) =>
+    prices.map((price) => ({
+      price: round(price),
+      profitLoss: round(valueAt(legs, price, date, rate)),
+    }));
+
+  const expirationPoints = curve(expiration);
+  const risk = sameExpiration
+    ? analyzePayoff(legs)
+    : analyzeCurve(expirationPoints);
+
+  return {
+    symbol: trades[0].symbol,
+    trades: trades.map((trade) => trade._id),
+    expiration,
+    range: { low: round(low), high: round(high), steps },
+    maxProfit: risk.maxProfit,
+    maxLoss: risk.maxLoss,
+    breakevens: risk.breakevens,
+    curves: [
+      ...dates
+        .sort((a, b) => a - b)
+        .map((date) => ({ date, atExpiration: false, points: curve(date) })),
+      { date: expiration, atExpiration: true, points: expirationPoints },
+    ],
+  };
+};
+
+module.exports = {
+  toPayoffLegs,
+  buildPayoffCurves,
+};
@@ -0,0 +1,240 @@
+// Helpers for option positions made of several legs (spreads, condors, straddles).
+// Each leg has its own contract, side and fills; OPEN fills build the leg and
+// CLOSE fills reduce it.
+
+const CONTRACT_MULTIPLIER = 100; // Standard for equity options
+
+const round = (value, decimals = 2) => Number(Number(value).toFixed(decimals));
+
+const toPlain = (value) => (value && value.toObject ? value.toObject() : value);
+
+const intrinsicValue = (contractType, strike, underlyingPrice) =>
+  contractType === "PUT"
+    ? Math.max(strike - underlyingPrice, 0)
+    : Math.max(underlyingPrice - strike, 0);
+
+// +1 for long legs (premium paid), -1 for short legs (premium received)
+const legDirection = (leg) => (leg.side === "SHORT" ? -1 : 1);
+
+/**
+ * Walk a leg's fills using the average price method
+ * @param {Object} leg - Leg ({ side, contractType, strike, expiration, quantity, fills })
+ * @returns {Object} - Quantities, average prices and realized P/L for the leg
+ */
+const summarizeLeg = (leg) => {
+  const direction = legDirection(leg);
+  const fills = (leg.fills || [])
+    .map(toPlain)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  let openQuantity = 0;
+  let averageOpenPrice = 0;
+  let openedQuantity = 0;
+  let openedValue = 0;
+  let closedQuantity = 0;
+  let closedValue = 0;
+  let realized = 0;
+  let firstFillDate = null;
+  let lastCloseDate = null;
+
+  fills.forEach((fill) => {
+    const price = Number(fill.price);
+    const quantity = Number(fill.quantity);
+
+    if (!(quantity > 0) || !(price >= 0) || !fill.date) {
+      throw new Error(
+        "Leg fills require a price, a positive quantity and a date"
+      );
+    }
+    if (!firstFillDate) firstFillDate = fill.date;
+
+    if (fill.action === "CLOSE") {
+      if (quantity > openQuantity) {
+        throw new Error("Leg closing fills exceed the open quantity");
+      }
+      realized +=
+        direction * (price - averageOpenPrice) * quantity * CONTRACT_MULTIPLIER;
+      openQuantity -= quantity;
+      closedQuantity += quantity;
+      closedValue += price * quantity;
+      lastCloseDate = fill.date;
+      if (openQuantity === 0) averageOpenPrice = 0;
+      return;
+    }
+
+    averageOpenPrice =
+      (averageOpenPrice * openQuantity + price * quantity) /
+      (openQuantity + quantity);
+    openQuantity += quantity;
+    openedQuantity += quantity;
+    openedValue += price * quantity;
+  });
+
+  if (openedQuantity === 0) {
+    throw new Error("Each leg requires at least one OPEN fill");
+  }
+
+  return {
+    openQuantity,
+    openedQuantity,
+    closedQuantity,
+    averageOpenPrice: openedQuantity ? openedValue / openedQuantity : 0,
+    averageClosePrice: closedQuantity ? closedValue / closedQuantity : null,
+    realized: round(realized),
+    firstFillDate,
+    lastCloseDate,
+  };
+};
+
+/**
+ * Payoff of the whole position at expiration for one underlying price
+ * @param {Array<Object>} legs - Legs with `summary` from summarizeLeg
+ * @param {number} underlyingPrice - Price of the underlying at expiration
+ * @returns {number} - P/L in dollars
+ */
+const payoffAtExpiration = (legs, underlyingPrice) =>
+  legs.reduce((total, leg) => {
+    const quantity = leg.summary.openedQuantity;
+    const value = intrinsicValue(leg.contractType, leg.strike, underlyingPrice);
+    return (
+      total +
+      legDirection(leg) *
+        (value - leg.summary.averageOpenPrice) *
+        quantity *
+        CONTRACT_MULTIPLIER
+    );
+  }, 0);
+
+/**
+ * Max profit, max loss and breakevens of the expiration payoff. The payoff is
+ * piecewise linear between strikes, so checking the kinks and the slope past
+ * the highest strike is enough. Max loss is a positive amount; unlimited
+ * values are reported as null.
+ * @param {Array<Object>} legs - Legs with `summary` from summarizeLeg
+ * @returns {Object} - { maxProfit, maxLoss, breakevens }
+ */
+const analyzePayoff = (legs) => {
+  const strikes = [...new Set(legs.map((leg) => Number(leg.strike)))].sort(
+    (a, b) => a - b
+  );
+  const points = [0, ...strikes];
+  const values = points.map((price) => payoffAtExpiration(legs, price));
+
+  const last = points[points.length - 1];
+  const slopeBeyond =
+    payoffAtExpiration(legs, last + 1) - payoffAtExpiration(legs, last);
+
+  const maxValue = Math.max(...values);
+  const minValue = Math.min(...values);
+
+  const breakevens = [];
+  for (let i = 1; i < points.length; i++) {
+    const [x0, x1, y0, y1] = [
+      points[i - 1],
+      points[i],
+      values[i - 1],
+      values[i],
+    ];
+    if (y0 === 0 && i === 1) breakevens.push(x0);
+    if (y1 === 0) {
+      breakevens.push(x1);
+    } else if (y0 * y1 < 0) {
+      breakevens.push(x0 + ((0 - y0) * (x1 - x0)) / (y1 - y0));
+    }
+  }
+  const lastValue = values[values.length - 1];
+  if (slopeBeyond !== 0 && lastValue * slopeBeyond < 0) {
+    breakevens.push(last - lastValue / slopeBeyond);
+  }
+
+  return {
+    maxProfit: slopeBeyond > 0 ? null : round(maxValue),
+    maxLoss: slopeBeyond < 0 ? null : round(Math.abs(Math.min(minValue, 0))),
+    breakevens: [...new Set(breakevens.map((price) => round(price)))],
+  };
+};
+
+/**
+ * Combine a position's legs into the numbers stored on the OptionTrade
+ * @param {Array<Object>} rawLegs - Legs from the document or request body
+ * @returns {Object} - Annotated legs plus position-level metrics
+ */
+const summarizePosition = (rawLegs = []) => {
+  const legs = rawLegs.map((raw) => {
+    const leg = toPlain(raw);
+    if (!["CALL", "PUT"].includes(leg.contractType)) {
+      throw new Error(`Invalid leg contract type: ${leg.contractType}`);
+    }
+    if (!["LONG", "SHORT"].includes(leg.side)) {
+      throw new Error(`Invalid leg side: ${leg.side}`);
+    }
+    if (leg.strike === undefined || !leg.expiration) {
+      throw new Error("Each leg requires a strike and an expiration");
+    }
+    return { ...leg, strike: Number(leg.strike), summary: summarizeLeg(leg) };
+  });
+
+  // Positive = credit received, negative = debit paid
+  const netPremium = legs.reduce(
+    (total, leg) =>
+      total -
+      legDirection(leg) *
+        leg.summary.averageOpenPrice *
+        leg.summary.openedQuantity *
+        CONTRACT_MULTIPLIER,
+    0
+  );
+
+  const realized = legs.reduce((total, leg) => total + leg.summary.realized, 0);
+  const isClosed =
+    legs.length > 0 &&
+    legs.every(
+      (leg) => leg.summary.openQuantity === 0 && leg.summary.closedQuantity > 0
+    );
+
+  // Calendars and diagonals have no single expiration payoff
+  const sameExpiration =
+    new Set(legs.map((leg) => new Date(leg.expiration).getTime())).size === 1;
+  const payoff = sameExpiration
+    ? analyzePayoff(legs)
+    : { maxProfit: null, maxLoss: null, breakevens: [] };
+
+  const dates = legs
+    .map((leg) => leg.summary.firstFillDate)
+    .filter(Boolean)
+    .map((date) => new Date(date));
+  const closeDates = legs
+    .map((leg) => leg.summary.lastCloseDate)
+    .filter(Boolean)
+    .map((date) => new Date(date));
+  const expirations = legs.map((leg) => new Date(leg.expiration));
+
+  return {
+    legs: legs.map(({ summary, ...leg }) => ({
+      ...leg,
+      openQuantity: summary.openQuantity,
+      averageOpenPrice: round(summary.averageOpenPrice, 4),
+      realizedProfitLoss: summary.realized,
+    })),
+    netPremium: round(netPremium),
+    realized: round(realized),
+    maxProfit: payoff.maxProfit,
+    maxLoss: payoff.maxLoss,
+    breakevens: payoff.breakevens,
+    entryDate: dates.length ? new Date(Math.min(...dates)) : null,
+    exitDate: isClosed ? new Date(Math.max(...closeDates)) : null,
+    expiration: new Date(Math.min(...expirations)),
+    units: Math.min(...legs.map((leg) => leg.summary.openedQuantity)),
+    status: isClosed ? "CLOSED" : "OPEN",
+  };
+};
+
+module.exports = {
+  CONTRACT_MULTIPLIER,
+  intrinsicValue,
+  legDirection,
+  summarizeLeg,
+  payoffAtExpiration,
+  analyzePayoff,
+  summarizePosition,
+};
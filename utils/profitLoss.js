@@ -0,0 +1,209 @@
+// Shared helpers for gross vs net P/L across stock and option trades
+
+const round = (value, decimals = 2) => Number(Number(value).toFixed(decimals));
+
+/**
+ * Read the requested P/L basis from the query string
+ * @param {Object} req - Express request (`?basis=gross|net`)
+ * @returns {string} - "net" or "gross" (default)
+ */
+const getPLBasis = (req) =>
+  String(req.query?.basis || "").toLowerCase() === "net" ? "net" : "gross";
+
+// Executions of a stock trade, or every leg fill of a multi-leg option trade
+const getFills = (trade) => [
+  ...(trade.executions || []),
+  ...(trade.legs || []).flatMap((leg) => leg.fills || []),
+];
+
+/**
+ * Total fees recorded on a trade, including per-execution and leg fill fees
+ * @param {Object} trade - Trade or OptionTrade (document or plain object)
+ * @returns {number} - Sum of all fee components
+ */
+const sumFees = (trade) => {
+  const fees = trade.fees || {};
+  const executionFees = getFills(trade).reduce(
+    (sum, execution) => sum + (Number(execution.fees) || 0),
+    0
+  );
+
+  return round(
+    (Number(fees.commission) || 0) +
+      (Number(fees.regulatory) || 0) +
+      (Number(fees.borrow) || 0) +
+      (Number(fees.marginInterest) || 0) +
+      executionFees
+  );
+};
+
+/**
+ * Dividends credited (or, on shorts, charged) to a trade by corporate actions
+ * @param {Object} trade - Trade (document or plain object)
+ * @returns {number} - Net dividend cash
+ */
+const sumDividends = (trade) =>
+  round(
+    (trade.corporateActions || []).reduce(
+      (sum, entry) => sum + (Number(entry.cash) || 0),
+      0
+    )
+  );
+
+/**
+ * Realized P/L of a trade on the chosen basis
+ * @param {Object} trade - Trade or OptionTrade
+ * @param {string} basis - "gross" or "net"
+ * @returns {number} - Realized P/L
+ */
+const getRealizedPL = (trade, basis = "gross") => {
+  const realized = trade.profitLoss?.realized || 0;
+  if (basis !== "net") return realized;
+
+  return trade.profitLoss?.net ?? round(realized - sumFees(trade));
+};
+
+/**
+ * Realized P/L expressed in units of initial risk. Risk is the planned
+ * riskManagement.riskAmount, or the stop distance times size and multiplier.
+ * @param {Object} trade - Trade (document or plain object)
+ * @param {number} realized - Realized P/L to measure
+ * @returns {number|null} - R-multiple, or null when the risk is unknown
+ */
+const calculateRMultiple = (trade, realized) => {
+  const plannedRisk = Number(trade.riskManagement?.riskAmount);
+  const stopRisk =
+    trade.stopLoss != null && trade.entryPrice != null
+      ? Math.abs(Number(trade.entryPrice) - Number(trade.stopLoss)) *
+        (Number(trade.entryQuantity) || 0) *
+        (Number(trade.multiplier) || 1)
+      : 0;
+  const risk = plannedRisk > 0 ? plannedRisk : stopRisk;
+
+  return risk > 0 ? round(realized / risk) : null;
+};
+
+/**
+ * Aggregation expression for realized P/L on the chosen basis.
+ * Trades saved before net P/L existed carried no fees, so fall back to gross.
+ * @param {string} basis - "gross" or "net"
+ * @param {string} prefix - Optional path prefix (e.g. "tradeData.")
+ * @returns {string|Object} - Expression usable in $sum/$gt etc.
+ */
+const plField = (basis = "gross", prefix = "") =>
+  basis === "net"
+    ? {
+        $ifNull: [`$${prefix}profitLoss.net`, `$${prefix}profitLoss.realized`],
+      }
+    : `$${prefix}profitLoss.realized`;
+
+/**
+ * Commission implied by a user's default fee schedule
+ * @param {Object} schedule - preferences.feeSchedule ({ perShare, perContract, perOrder })
+ * @param {Object} usage - { shares, contracts, orders } traded
+ * @returns {number} - Commission amount
+ */
+const calculateScheduledCommission = (schedule = {}, usage = {}) =>
+  round(
+    (Number(schedule.perShare) || 0) * (usage.shares || 0) +
+      (Number(schedule.perContract) || 0) * (usage.contracts || 0) +
+      (Number(schedule.perOrder) || 0) * (usage.orders || 0)
+  );
+
+/**
+ * Shares/contracts and order count a trade has executed so far
+ * @param {Object} trade - Trade or OptionTrade data
+ * @param {boolean} isOption - Whether quantities are option contracts
+ * @returns {Object} - { shares, contracts, orders }
+ */
+const getTradeUsage = (trade, isOption = false) => {
+  const fills = getFills(trade);
+  // Futures are charged per contract like options
+  const perContract = isOption || Boolean(trade.instrument);
+
+  if (fills.length > 0) {
+    const quantity = fills.reduce(
+      (sum, execution) => sum + (Number(execution.quantity) || 0),
+      0
+    );
+    // Legs filled at the same moment went in as one combo order
+    const orders = new Set(
+      fills.map((execution) => new Date(execution.date).getTime())
+    ).size;
+
+    return perContract
+      ? { contracts: quantity, orders }
+      : { shares: quantity, orders };
+  }
+
+  const isClosed = Boolean(trade.exitPrice != null && trade.exitDate);
+
+  if (isOption) {
+    const contracts = Number(trade.contracts) || 0;
+    return {
+      contracts: isClosed ? contracts * 2 : contracts,
+      orders: isClosed ? 2 : 1,
+    };
+  }
+
+  const quantity =
+    (Number(trade.entryQuantity) || 0) +
+    (isClosed ? Number(trade.exitQuantity) || 0 : 0);
+
+  return perContract
+    ? { contracts: quantity, orders: isClosed ? 2 : 1 }
+    : { shares: quantity, orders: isClosed ? 2 : 1 };
+};
+
+/**
+ * Fill in commission from the user's fee schedule when the client sent no fees.
+ * Fees sent without `autoCalculated: true` count as typed in by hand and are
+ * left untouched, as are manual fees already stored on the trade.
+ * @param {Object} tradeData - Incoming trade payload
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} options - { isOption, existingFees }
+ * @returns {Object} - Trade payload with `fees` populated
+ */
+const applyDefaultFees = (tradeData, user, options = {}) => {
+  const { isOption = false, existingFees = null } = options;
+
+  if (tradeData.fees && !tradeData.fees.autoCalculated) {
+    return {
+      ...tradeData,
+      fees: { ...tradeData.fees, autoCalculated: false },
+    };
+  }
+
+  // Keep manually entered fees on updates that don't resend them
+  if (!tradeData.fees && existingFees && !existingFees.autoCalculated) {
+    return tradeData;
+  }
+
+  const schedule = user?.preferences?.feeSchedule;
+  if (!schedule) return tradeData;
+
+  return {
+    ...tradeData,
+    fees: {
+      ...(existingFees?.toObject ? existingFees.toObject() : existingFees),
+      ...tradeData.fees,
+      commission: calculateScheduledCommission(
+        schedule,
+        getTradeUsage(tradeData, isOption)
+      ),
+      autoCalculated: true,
+    },
+  };
+};
+
+module.exports = {
+  getPLBasis,
+  sumFees,
+  sumDividends,
+  getRealizedPL,
+  calculateRMultiple,
+  plField,
+  calculateScheduledCommission,
+  getTradeUsage,
+  applyDefaultFees,
+};
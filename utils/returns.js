@@ -0,0 +1,262 @@
+// Account equity over time and the returns earned on it. Deposits and
+// withdrawals change equity without being performance, so returns are
+// measured around them: time-weighted (the strategy's return, whatever the
+// size of the account) and money-weighted (the owner's internal rate of
+// return, which rewards adding money before good stretches).
+
+const {
+  DEFAULT_TIME_ZONE,
+  toLocalDayKey,
+  localDayRange,
+} = require("./timeZones");
+
+const CASH_TRANSACTION_TYPES = [
+  "DEPOSIT",
+  "WITHDRAWAL",
+  "FEE",
+  "INTEREST",
+  "DIVIDEND",
+];
+
+// Types that take cash out of the account
+const DEBIT_TYPES = ["WITHDRAWAL", "FEE"];
+
+// Money the owner moved in or out, as opposed to money the account earned
+// or paid
+const EXTERNAL_TYPES = ["DEPOSIT", "WITHDRAWAL"];
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+const DAYS_PER_YEAR = 365;
+
+const round = (value, decimals = 2) => Number(Number(value).toFixed(decimals));
+
+const toDayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const dayStart = (date) => new Date(`${toDayKey(date)}T00:00:00.000Z`);
+
+/**
+ * Amount of a cash transaction with its sign (negative for money out)
+ * @param {Object} transaction - CashTransaction
+ * @returns {number}
+ */
+const signedAmount = (transaction) =>
+  DEBIT_TYPES.includes(transaction.type)
+    ? -Math.abs(transaction.amount)
+    : Math.abs(transaction.amount);
+
+/**
+ * @param {Object} transaction - CashTransaction
+ * @returns {boolean} - Whether it is a deposit or withdrawal
+ */
+const isExternalFlow = (transaction) =>
+  EXTERNAL_TYPES.includes(transaction.type);
+
+/**
+ * Daily equity: the opening balance plus deposits, withdrawals, account
+ * income and realized P/L, one row per calendar day in `timeZone`
+ * @param {Array<Object>} events - { date, flow, income, realizedPL } amounts
+ *   already in the reporting currency
+ * @param {Object} options - opening balance, the { from, to } window and
+ *   the time zone days are bucketed in; events before `from` are folded
+ *   into the first day's opening equity
+ * @returns {Array<Object>} - { date, flows, income, realizedPL, equity,
+ *   dailyReturn } with dailyReturn null when nothing was invested
+ */
+const buildEquitySeries = (
+  events,
+  { opening = 0, from, to, timeZone = DEFAULT_TIME_ZONE } = {}
+) => {
+  const sorted = [...events].sort(
+    (a, b) => new Date(a.date) - new Date(b.date)
+  );
+  if (sorted.length === 0 && !from) return [];
+
+  const days = localDayRange(
+    from || sorted[0].date,
+    to || new Date(),
+    timeZone
+  );
+  const byDay = {};
+  let equity = Number(opening) || 0;
+
+  sorted.forEach((event) => {
+    const total =
+      (event.flow || 0) + (event.income || 0) + (event.realizedPL || 0);
+    const key = toLocalDayKey(event.date, timeZone);
+    if (key < days[0]) {
+      equity += total;
+      return;
+    }
+    byDay[key] = byDay[key] || { flows: 0, income: 0, realizedPL: 0 };
+    const day = byDay[key];
+    day.flows += event.flow || 0;
+    day.income += event.income || 0;
+    day.realizedPL += event.realizedPL || 0;
+  });
+
+  const series = [];
+  days.forEach((date) => {
+    const day = byDay[date] || { flows: 0, income: 0, realizedPL: 0 };
+    const previous = equity;
+    equity += day.flows + day.income + day.realizedPL;
+
+    // Flows land at the start of the day, so they are invested for it
+    const invested = previous + day.flows;
+    series.push({
+      date,
+      flows: round(day.flows),
+      income: round(day.income),
+      realizedPL: round(day.realizedPL),
+      equity: round(equity),
+      dailyReturn:
+        invested > 0 ? (day.income + day.realizedPL) / invested : null,
+    });
+  });
+
+  return series;
+};
+
+// Annualize a return earned over `days`; periods under a year are not
+// annualized since that overstates short runs
+const annualize = (periodReturn, days) =>
+  periodReturn === null || days < DAYS_PER_YEAR
+    ? null
+    : Math.pow(1 + periodReturn, DAYS_PER_YEAR / days) - 1;
+
+/**
+ * Time-weighted return: daily returns chained together, so deposits and
+ * withdrawals don't move it. Drawdown is measured on the same index.
+ * @param {Array<Object>} series - Result of buildEquitySeries
+ * @returns {Object} - { periodReturn, annualizedReturn, maxDrawdownPercent,
+ *   days } with returns as percentages
+ */
+const timeWeightedReturn = (series) => {
+  let index = 1;
+  let peak = 1;
+  let maxDrawdown = 0;
+  let measured = false;
+
+  series.forEach((day) => {
+    if (day.dailyReturn === null) return;
+    measured = true;
+    index *= 1 + day.dailyReturn;
+    peak = Math.max(peak, index);
+    maxDrawdown = Math.max(maxDrawdown, 1 - index / peak);
+  });
+
+  const periodReturn = measured ? index - 1 : null;
+  const annualized = annualize(periodReturn, series.length);
+
+  return {
+    periodReturn: periodReturn === null ? null : round(periodReturn * 100),
+    annualizedReturn: annualized === null ? null : round(annualized * 100),
+    maxDrawdownPercent: round(maxDrawdown * 100),
+    days: series.length,
+  };
+};
+
+// Net present value of dated cash flows at an annual rate
+const presentValue = (flows, rate) => {
+  const start = new Date(flows[0].date).getTime();
+  return flows.reduce(
+    (sum, flow) =>
+      sum +
+      flow.amount /
+        Math.pow(
+          1 + rate,
+          (new Date(flow.date).getTime() - start) / MS_PER_DAY / DAYS_PER_YEAR
+        ),
+    0
+  );
+};
+
+/**
+ * Annual internal rate of return of dated cash flows (XIRR), found by
+ * bisection since it always converges once the rate is bracketed
+ * @param {Array<Object>} flows - { date, amount } from the owner's side:
+ *   money put in is negative, money taken out (and ending equity) positive
+ * @returns {number|null} - Rate as a fraction, or null without a solution
+ */
+const internalRateOfReturn = (flows) => {
+  if (flows.length < 2) return null;
+  const sorted = [...flows].sort((a, b) => new Date(a.date) - new Date(b.date));
+  if (
+    !sorted.some((flow) => flow.amount < 0) ||
+    !sorted.some((flow) => flow.amount > 0)
+  ) {
+    return null;
+  }
+
+  let low = -0.9999;
+  let high = 10;
+  let lowValue = presentValue(sorted, low);
+  while (lowValue * presentValue(sorted, high) > 0) {
+    high *= 10;
+    if (high > 1e9) return null;
+  }
+
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const value = presentValue(sorted, mid);
+    if (Math.abs(value) < 1e-9) return mid;
+    if (value * lowValue > 0) {
+      low = mid;
+      lowValue = value;
+    } else {
+      high = mid;
+    }
+  }
+  return (low + high) / 2;
+};
+
+/**
+ * Money-weighted return: the internal rate of return of the equity held
+ * before the first day, deposits, withdrawals and ending equity
+ * @param {Array<Object>} series - Result of buildEquitySeries
+ * @returns {Object} - { periodReturn, annualizedReturn, days } as percentages
+ */
+const moneyWeightedReturn = (series) => {
+  if (series.length === 0) {
+    return { periodReturn: null, annualizedReturn: null, days: 0 };
+  }
+
+  const first = series[0];
+  const last = series[series.length - 1];
+  const opening = first.equity - first.flows - first.income - first.realizedPL;
+  const flows = [
+    { date: first.date, amount: -opening },
+    ...series
+      .filter((day) => day.flows !== 0)
+      .map((day) => ({ date: day.date, amount: -day.flows })),
+    // Ending equity is valued at the close of the last day
+    {
+      date: new Date(dayStart(last.date).getTime() + MS_PER_DAY),
+      amount: last.equity,
+    },
+  ].filter((flow) => flow.amount !== 0);
+
+  const rate = internalRateOfReturn(flows);
+  const periodReturn =
+    rate === null
+      ? null
+      : Math.pow(1 + rate, series.length / DAYS_PER_YEAR) - 1;
+
+  return {
+    periodReturn: periodReturn === null ? null : round(periodReturn * 100),
+    annualizedReturn:
+      rate === null || series.length < DAYS_PER_YEAR ? null : round(rate * 100),
+    days: series.length,
+  };
+};
+
+module.exports = {
+  CASH_TRANSACTION_TYPES,
+  EXTERNAL_TYPES,
+  toDayKey,
+  signedAmount,
+  isExternalFlow,
+  buildEquitySeries,
+  timeWeightedReturn,
+  internalRateOfReturn,
+  moneyWeightedReturn,
+};
@@ -0,0 +1,146 @@
+// Grouping imported executions into round trips: each position runs from
+// the fill that opens it to the fill that brings it back to flat. A fill
+// that goes through flat (long 100, sell 150) is split into the part that
+// closes the position and the part that opens the next one, unless the
+// broker marked it as closing only.
+
+const EPSILON = 1e-9;
+
+const round = (value, decimals = 8) => Number(Number(value).toFixed(decimals));
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Key of the instrument an execution trades: the symbol for stocks and
+ * futures, the full contract for options
+ * @param {Object} execution - From parseStatement
+ * @returns {string}
+ */
+const instrumentKey = (execution) =>
+  execution.assetClass === "OPTION"
+    ? [
+        execution.symbol,
+        dayKey(execution.expiration),
+        Number(execution.strike),
+        execution.contractType,
+      ].join(" ")
+    : `${execution.assetClass} ${execution.symbol}`;
+
+const instrumentFields = ({
+  assetClass,
+  symbol,
+  multiplier,
+  currency,
+  contractType,
+  strike,
+  expiration,
+}) => ({
+  assetClass,
+  symbol,
+  multiplier,
+  currency,
+  ...(assetClass === "OPTION" && { contractType, strike, expiration }),
+});
+
+// Part of a fill, with its fees pro rata
+const portion = (execution, quantity) => ({
+  ...execution,
+  quantity: round(quantity),
+  fees: round((execution.fees || 0) * (quantity / execution.quantity), 4),
+});
+
+/**
+ * Group executions into positions
+ * @param {Array<Object>} executions - From parseStatement, oldest first
+ * @returns {Object} - { positions, errors }. A position is the instrument
+ *   fields of its executions, direction (LONG/SHORT), `fills` (closing fills
+ *   are those on the other side) and `isOpen` when it never got back to flat.
+ */
+const groupRoundTrips = (executions) => {
+  const byInstrument = new Map();
+  executions.forEach((execution, index) => {
+    const key = instrumentKey(execution);
+    if (!byInstrument.has(key)) byInstrument.set(key, []);
+    byInstrument.get(key).push({ execution, index });
+  });
+
+  const positions = [];
+  const errors = [];
+
+  byInstrument.forEach((entries) => {
+    const ordered = entries
+      .sort(
+        (a, b) =>
+          new Date(a.execution.date) - new Date(b.execution.date) ||
+          a.index - b.index
+      )
+      .map(({ execution }) => execution);
+
+    let current = null;
+    let openQuantity = 0;
+
+    const open = (execution, quantity) => {
+      current = {
+        ...instrumentFields(execution),
+        direction: execution.side === "BUY" ? "LONG" : "SHORT",
+        fills: [portion(execution, quantity)],
+        isOpen: true,
+      };
+      openQuantity = quantity;
+      positions.push(current);
+    };
+
+    ordered.forEach((execution) => {
+      if (!current) {
+        // Nothing to close: the position was opened before the statement
+        if (execution.positionEffect === "CLOSE") {
+          errors.push({
+            line: execution.line,
+            error: `Closes a ${execution.symbol} position opened before this statement`,
+          });
+          return;
+        }
+        open(execution, execution.quantity);
+        return;
+      }
+
+      const opening = current.direction === "LONG" ? "BUY" : "SELL";
+      if (execution.side === opening) {
+        current.fills.push(portion(execution, execution.quantity));
+        openQuantity += execution.quantity;
+        return;
+      }
+
+      const closing = Math.min(execution.quantity, openQuantity);
+      current.fills.push(portion(execution, closing));
+      openQuantity = round(openQuantity - closing);
+      if (openQuantity > EPSILON) return;
+
+      current.isOpen = false;
+      current = null;
+      const remainder = round(execution.quantity - closing);
+      if (remainder <= EPSILON) return;
+
+      // A closing fill larger than the position also closes shares held
+      // from before the statement; only an unmarked fill opens the next one
+      if (execution.positionEffect === "CLOSE") {
+        errors.push({
+          line: execution.line,
+          error: `Closes ${remainder} ${execution.symbol} opened before this statement`,
+        });
+        return;
+      }
+      open(execution, remainder);
+    });
+  });
+
+  positions.sort(
+    (a, b) => new Date(a.fills[0].date) - new Date(b.fills[0].date)
+  );
+  return { positions, errors };
+};
+
+module.exports = {
+  instrumentKey,
+  groupRoundTrips,
+};
@@ -0,0 +1,344 @@
+// Tax-lot engine. Every opening fill becomes a lot; closing fills are matched
+// against the open lots of the same symbol using the chosen method, producing
+// one disposal per lot portion. Losses followed (or preceded) within 30 days
+// by a purchase of the same symbol are wash sales: the loss is disallowed and
+// added to the replacement lot's basis, along with the sold lot's holding time.
+
+const LOT_METHODS = ["FIFO", "LIFO", "HIGHEST_COST", "SPECIFIC_ID"];
+
+const WASH_SALE_DAYS = 30;
+const LONG_TERM_DAYS = 365;
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+const EPSILON = 1e-9;
+
+const round = (value, decimals = 2) => Number(Number(value).toFixed(decimals));
+
+const daysBetween = (from, to) => (new Date(to) - new Date(from)) / MS_PER_DAY;
+
+// Price per unit in dollars; fees raise the cost of buys and lower the
+// proceeds of sells
+const unitAmount = (fill) => {
+  const feePerUnit = (Number(fill.fees) || 0) / fill.quantity;
+  const value = fill.price * (fill.multiplier || 1);
+  return fill.side === "BUY" ? value + feePerUnit : value - feePerUnit;
+};
+
+// Order open lots are consumed in
+const orderLots = (lots, fill, method) => {
+  const byDate = (a, b) => new Date(a.acquiredDate) - new Date(b.acquiredDate);
+
+  if (method === "LIFO") return [...lots].sort((a, b) => byDate(b, a));
+
+  if (method === "HIGHEST_COST") {
+    // Long lots: highest cost first. Short lots: lowest sale proceeds first.
+    return [...lots].sort((a, b) =>
+      a.direction === "SHORT"
+        ? a.unitAmount - b.unitAmount || byDate(a, b)
+        : b.unitAmount +
+            b.adjustmentPerUnit -
+            (a.unitAmount + a.adjustmentPerUnit) || byDate(a, b)
+    );
+  }
+
+  if (method === "SPECIFIC_ID") {
+    // Lots named on the fill, then lots opened by the same trade, then FIFO
+    const requested = (fill.lotIds || []).map(String);
+    const rank = (lot) => {
+      const index = requested.indexOf(String(lot.sourceId));
+      if (index !== -1) return index;
+      if (String(lot.tradeId) === String(fill.tradeId)) return requested.length;
+      return requested.length + 1;
+    };
+    return [...lots].sort((a, b) => rank(a) - rank(b) || byDate(a, b));
+  }
+
+  return [...lots].sort(byDate);
+};
+
+/**
+ * Match fills into tax lots and disposals
+ * @param {Array<Object>} fills - { id, tradeId, symbol, description,
+ *   assetClass, side, quantity, price, date, fees, multiplier,
+ *   washSaleEligible, lotIds }
+ * @param {Object} options - { method: FIFO|LIFO|HIGHEST_COST|SPECIFIC_ID }
+ * @returns {Object} - { lots, disposals, washSales }
+ */
+const matchTaxLots = (fills, { method = "FIFO" } = {}) => {
+  if (!LOT_METHODS.includes(method)) {
+    throw new Error(`Invalid lot matching method: ${method}`);
+  }
+
+  const ordered = fills
+    .filter((fill) => fill.quantity > 0)
+    .map((fill, index) => ({ fill, index }))
+    .sort(
+      (a, b) =>
+        new Date(a.fill.date) - new Date(b.fill.date) || a.index - b.index
+    )
+    .map(({ fill }) => fill);
+
+  const lots = [];
+  const disposals = [];
+  const washSales = [];
+  // Losses still looking for a replacement purchase
+  const pendingWashes = [];
+
+  const openLotsFor = (symbol, direction) =>
+    lots.filter(
+      (lot) =>
+        lot.symbol === symbol &&
+        lot.direction === direction &&
+        lot.remaining > EPSILON
+    );
+
+  // Move part of a disallowed loss into a replacement lot
+  const applyWashSale = (disposal, lot, quantity, lossPerUnit, soldLot) => {
+    const disallowed = lossPerUnit * quantity;
+
+    lot.basisAdjustment += disallowed;
+    lot.adjustmentPerUnit = lot.basisAdjustment / lot.quantity;
+    lot.replacementCapacity -= quantity;
+    // The replacement inherits the sold shares' holding period
+    const heldDays = Math.max(
+      daysBetween(soldLot.holdingStart, disposal.dateSold),
+      0
+    );
+    const inherited = new Date(
+      new Date(lot.acquiredDate).getTime() - heldDays * MS_PER_DAY
+    );
+    if (inherited < new Date(lot.holdingStart)) lot.holdingStart = inherited;
+
+    disposal.adjustment += disallowed;
+    disposal.washSale = true;
+    disposal.replacementLots.push(lot.id);
+
+    washSales.push({
+      symbol: disposal.symbol,
+      disposalId: disposal.id,
+      lossDate: disposal.dateSold,
+      replacementLotId: lot.id,
+      replacementDate: lot.acquiredDate,
+      quantity: round(quantity, 8),
+      disallowedLoss: round(disallowed),
+    });
+  };
+
+  const openLot = (fill, direction) => {
+    const { quantity } = fill;
+    const lot = {
+      id: String(fill.id),
+      sourceId: String(fill.id),
+      tradeId: fill.tradeId,
+      symbol: fill.symbol,
+      description: fill.description || fill.symbol,
+      assetClass: fill.assetClass,
+      direction,
+      quantity,
+      remaining: quantity,
+      unitAmount: unitAmount(fill),
+      multiplier: fill.multiplier || 1,
+      acquiredDate: fill.date,
+      holdingStart: fill.date,
+      basisAdjustment: 0,
+      adjustmentPerUnit: 0,
+      replacementCapacity: quantity,
+      washSaleEligible: fill.washSaleEligible !== false,
+    };
+    lots.push(lot);
+
+    // A purchase within 30 days after a loss is its replacement
+    pendingWashes
+      .filter(
+        (pending) =>
+          pending.symbol === lot.symbol &&
+          pending.direction === direction &&
+          pending.quantity > EPSILON &&
+          daysBetween(pending.disposal.dateSold, lot.acquiredDate) <=
+            WASH_SALE_DAYS
+      )
+      .forEach((pending) => {
+        const quantityUsed = Math.min(
+          pending.quantity,
+          lot.replacementCapacity
+        );
+        if (quantityUsed <= EPSILON) return;
+        applyWashSale(
+          pending.disposal,
+          lot,
+          quantityUsed,
+          pending.lossPerUnit,
+          pending.soldLot
+        );
+        pending.quantity -= quantityUsed;
+      });
+
+    return lot;
+  };
+
+  const closeLots = (fill, direction) => {
+    let toClose = fill.quantity;
+    const closingAmount = unitAmount(fill);
+
+    // What this fill takes from each lot, worked out up front: shares the
+    // same sale disposes of can't be replacement shares for its losses
+    const plan = [];
+    const stillToClose = new Map();
+    for (const lot of orderLots(
+      openLotsFor(fill.symbol, direction),
+      fill,
+      method
+    )) {
+      if (toClose <= EPSILON) break;
+      const quantity = Math.min(lot.remaining, toClose);
+      plan.push({ lot, quantity });
+      stillToClose.set(lot, quantity);
+      toClose -= quantity;
+    }
+    const replacementQuantity = (candidate) =>
+      Math.min(
+        candidate.replacementCapacity,
+        candidate.remaining - (stillToClose.get(candidate) || 0)
+      );
+
+    for (const { lot, quantity } of plan) {
+      const lotAmount = lot.unitAmount + lot.adjustmentPerUnit;
+
+      // Short lots were opened with a sale, so their proceeds came first
+      const proceeds =
+        direction === "SHORT"
+          ? lot.unitAmount * quantity
+          : closingAmount * quantity;
+      const costBasis =
+        direction === "SHORT"
+          ? (closingAmount + lot.adjustmentPerUnit) * quantity
+          : lotAmount * quantity;
+
+      const disposal = {
+        id: `${lot.id}>${fill.id}`,
+        lotId: lot.id,
+        tradeId: lot.tradeId,
+        closingTradeId: fill.tradeId,
+        symbol: lot.symbol,
+        description: lot.description,
+        assetClass: lot.assetClass,
+        direction,
+        quantity,
+        dateAcquired: lot.acquiredDate,
+        dateSold: fill.date,
+        proceeds,
+        costBasis,
+        adjustment: 0,
+        washSale: false,
+        replacementLots: [],
+        term:
+          direction === "LONG" &&
+          daysBetween(lot.holdingStart, fill.date) > LONG_TERM_DAYS
+            ? "LONG"
+            : "SHORT",
+      };
+      disposals.push(disposal);
+
+      lot.remaining -= quantity;
+      lot.replacementCapacity = Math.min(
+        lot.replacementCapacity,
+        lot.remaining
+      );
+      stillToClose.delete(lot);
+
+      const loss = costBasis - proceeds;
+      if (loss > EPSILON && lot.washSaleEligible) {
+        const lossPerUnit = loss / quantity;
+        let unmatched = quantity;
+
+        // Replacement bought within the 30 days before the sale
+        openLotsFor(lot.symbol, direction)
+          .filter(
+            (candidate) =>
+              candidate !== lot &&
+              replacementQuantity(candidate) > EPSILON &&
+              daysBetween(candidate.acquiredDate, fill.date) <=
+                WASH_SALE_DAYS &&
+              daysBetween(candidate.acquiredDate, fill.date) >= 0
+          )
+          .sort((a, b) => new Date(a.acquiredDate) - new Date(b.acquiredDate))
+          .forEach((candidate) => {
+            const quantityUsed = Math.min(
+              unmatched,
+              replacementQuantity(candidate)
+            );
+            if (quantityUsed <= EPSILON) return;
+            applyWashSale(disposal, candidate, quantityUsed, lossPerUnit, lot);
+            unmatched -= quantityUsed;
+          });
+
+        if (unmatched > EPSILON) {
+          pendingWashes.push({
+            symbol: lot.symbol,
+            direction,
+            quantity: unmatched,
+            lossPerUnit,
+            disposal,
+            soldLot: lot,
+          });
+        }
+      }
+    }
+
+    return toClose;
+  };
+
+  ordered.forEach((fill) => {
+    const openingDirection = fill.side === "BUY" ? "LONG" : "SHORT";
+    const closingDirection = openingDirection === "LONG" ? "SHORT" : "LONG";
+
+    const leftover = closeLots(fill, closingDirection);
+    if (leftover > EPSILON) {
+      // A fill that flips the position opens a lot with what's left over
+      openLot(
+        {
+          ...fill,
+          quantity: leftover,
+          fees: ((Number(fill.fees) || 0) * leftover) / fill.quantity,
+        },
+        openingDirection
+      );
+    }
+  });
+
+  return {
+    lots: lots.map((lot) => ({
+      id: lot.id,
+      tradeId: lot.tradeId,
+      symbol: lot.symbol,
+      description: lot.description,
+      assetClass: lot.assetClass,
+      direction: lot.direction,
+      quantity: round(lot.quantity, 8),
+      remaining: round(lot.remaining, 8),
+      acquiredDate: lot.acquiredDate,
+      holdingStart: lot.holdingStart,
+      costPerUnit: round(lot.unitAmount + lot.adjustmentPerUnit, 4),
+      costBasis: round(
+        (lot.unitAmount + lot.adjustmentPerUnit) * lot.remaining
+      ),
+      washSaleAdjustment: round(lot.basisAdjustment),
+    })),
+    disposals: disposals.map((disposal) => ({
+      ...disposal,
+      quantity: round(disposal.quantity, 8),
+      proceeds: round(disposal.proceeds),
+      costBasis: round(disposal.costBasis),
+      adjustment: round(disposal.adjustment),
+      gainLoss: round(
+        disposal.proceeds - disposal.costBasis + disposal.adjustment
+      ),
+    })),
+    washSales,
+  };
+};
+
+module.exports = {
+  LOT_METHODS,
+  WASH_SALE_DAYS,
+  matchTaxLots,
+};
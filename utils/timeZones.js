@@ -0,0 +1,129 @@
+// Calendar days, hours and weeks in the user's time zone, so analytics
+// bucket trades by the day they happened for the trader rather than in UTC
+// or the server's zone.
+
+const moment = require("moment-timezone");
+
+const DEFAULT_TIME_ZONE = "UTC";
+
+/**
+ * @param {string} timeZone - IANA zone name (e.g. "America/Chicago")
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) =>
+  typeof timeZone === "string" && Boolean(moment.tz.zone(timeZone));
+
+/**
+ * Zone to bucket a user's analytics in: an explicit `tz` parameter, else
+ * preferences.timeZone, else UTC
+ * @param {Object} user - User document
+ * @param {string} requested - Zone from the request, if any
+ * @returns {string} - IANA zone name
+ */
+const resolveTimeZone = (user, requested) => {
+  if (requested) {
+    if (!isValidTimeZone(requested)) {
+      throw new Error(`Unknown time zone: ${requested}`);
+    }
+    return requested;
+  }
+  const preferred = user?.preferences?.timeZone;
+  return isValidTimeZone(preferred) ? preferred : DEFAULT_TIME_ZONE;
+};
+
+// A bare "YYYY-MM-DD" (e.g. a from/to query parameter) is already a local
+// day; anything else is an instant
+const toLocal = (date, timeZone) =>
+  typeof date === "string" && /^\d{4}-\d{2}-\d{2}$/.test(date)
+    ? moment.tz(date, timeZone)
+    : moment(date).tz(timeZone);
+
+/**
+ * @param {Date|string|number} date
+ * @param {string} timeZone
+ * @returns {string} - Local calendar day as YYYY-MM-DD
+ */
+const toLocalDayKey = (date, timeZone = DEFAULT_TIME_ZONE) =>
+  toLocal(date, timeZone).format("YYYY-MM-DD");
+
+/**
+ * @param {Date|string|number} date
+ * @param {string} timeZone
+ * @returns {Date} - Local midnight of the day `date` falls on
+ */
+const startOfLocalDay = (date, timeZone = DEFAULT_TIME_ZONE) =>
+  toLocal(date, timeZone).startOf("day").toDate();
+
+/**
+ * Wall-clock parts of a time in a zone
+ * @param {Date|string|number} date
+ * @param {string} timeZone
+ * @returns {Object} - { day: "YYYY-MM-DD", weekday (0 = Sunday), hour,
+ *   minute }
+ */
+const getLocalTime = (date, timeZone = DEFAULT_TIME_ZONE) => {
+  const local = toLocal(date, timeZone);
+  return {
+    day: local.format("YYYY-MM-DD"),
+    weekday: local.day(),
+    hour: local.hours(),
+    minute: local.minutes(),
+  };
+};
+
+/**
+ * Local calendar days from the day of `from` through the day of `to`,
+ * stepping by calendar day so DST changes don't skip or repeat one
+ * @param {Date|string|number} from
+ * @param {Date|string|number} to
+ * @param {string} timeZone
+ * @returns {Array<string>} - YYYY-MM-DD keys
+ */
+const localDayRange = (from, to, timeZone = DEFAULT_TIME_ZONE) => {
+  const days = [];
+  const end = toLocalDayKey(to, timeZone);
+  const day = toLocal(from, timeZone).startOf("day");
+  while (day.format("YYYY-MM-DD") <= end) {
+    days.push(day.format("YYYY-MM-DD"));
+    day.add(1, "day");
+  }
+  return days;
+};
+
+/**
+ * Bounds of an ISO week in a time zone
+ * @param {string} week - "YYYY-W##"
+ * @param {string} timeZone
+ * @returns {Object} - { start, end }: Monday 00:00 and the next Monday 00:00
+ *   local time (end exclusive)
+ */
+const getISOWeekRange = (week, timeZone = DEFAULT_TIME_ZONE) => {
+  const match = /^(\d{4})-W(\d{1,2})$/.exec(String(week));
+  if (!match) throw new Error("Week must be in the format YYYY-W##");
+
+  const start = moment
+    .tz(
+      `${match[1]}-W${match[2].padStart(2, "0")}-1`,
+      "GGGG-[W]WW-E",
+      true,
+      timeZone
+    )
+    .startOf("day");
+  if (!start.isValid()) throw new Error(`Invalid week: ${week}`);
+
+  return {
+    start: start.toDate(),
+    end: start.clone().add(1, "week").toDate(),
+  };
+};
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  resolveTimeZone,
+  toLocalDayKey,
+  startOfLocalDay,
+  getLocalTime,
+  localDayRange,
+  getISOWeekRange,
+};
@@ -0,0 +1,119 @@
+// Helpers for trades built from a list of executions (scale-in / scale-out).
+// Opening executions are BUYs for LONG trades and SELLs for SHORT trades;
+// anything on the other side reduces the open position.
+
+const openingSide = (type) => (type === "SHORT" ? "SELL" : "BUY");
+
+const round = (value, decimals = 2) => Number(Number(value).toFixed(decimals));
+
+/**
+ * Sort executions chronologically without reordering same-timestamp fills
+ * @param {Array<Object>} executions - Raw executions
+ * @returns {Array<Object>} - Executions ordered by date
+ */
+const sortExecutions = (executions = []) =>
+  executions
+    .map((execution, index) => ({ execution, index }))
+    .sort(
+      (a, b) =>
+        new Date(a.execution.date) - new Date(b.execution.date) ||
+        a.index - b.index
+    )
+    .map(({ execution }) => execution);
+
+/**
+ * Walk a trade's executions using the average cost method
+ * @param {string} type - Trade direction ("LONG" or "SHORT")
+ * @param {Array<Object>} executions - Executions ({ side, price, quantity, date, fees })
+ * @param {number} multiplier - Dollars per 1.0 price move per unit (futures point value)
+ * @returns {Object} - Derived position summary and the annotated executions
+ */
+const summarizeExecutions = (type, executions = [], multiplier = 1) => {
+  const entrySide = openingSide(type);
+  const ordered = sortExecutions(executions);
+
+  let openQuantity = 0;
+  let averageCost = 0;
+  let totalEntryQuantity = 0;
+  let totalEntryValue = 0;
+  let totalExitQuantity = 0;
+  let totalExitValue = 0;
+  let closedCostBasis = 0;
+  let realized = 0;
+  let entryDate = null;
+  let lastExitDate = null;
+
+  const annotated = ordered.map((raw) => {
+    const execution = raw.toObject ? raw.toObject() : { ...raw };
+    const price = Number(execution.price);
+    const quantity = Number(execution.quantity);
+
+    if (!["BUY", "SELL"].includes(execution.side)) {
+      throw new Error(`Invalid execution side: ${execution.side}`);
+    }
+    if (!(quantity > 0) || !(price >= 0) || !execution.date) {
+      throw new Error(
+        "Executions require a price, a positive quantity and a date"
+      );
+    }
+
+    if (execution.side === entrySide) {
+      // Adding to the position moves the average cost
+      averageCost =
+        (averageCost * openQuantity + price * quantity) /
+        (openQuantity + quantity);
+      openQuantity += quantity;
+      totalEntryQuantity += quantity;
+      totalEntryValue += price * quantity;
+      if (!entryDate) entryDate = execution.date;
+
+      return { ...execution, price, quantity, realizedProfitLoss: 0 };
+    }
+
+    if (quantity > openQuantity + 1e-9) {
+      throw new Error("Closing executions exceed the open quantity");
+    }
+
+    const pl =
+      (type === "SHORT"
+        ? (averageCost - price) * quantity
+        : (price - averageCost) * quantity) * multiplier;
+
+    openQuantity -= quantity;
+    totalExitQuantity += quantity;
+    totalExitValue += price * quantity;
+    closedCostBasis += averageCost * quantity * multiplier;
+    realized += pl;
+    lastExitDate = execution.date;
+
+    if (openQuantity < 1e-9) {
+      openQuantity = 0;
+      averageCost = 0;
+    }
+
+    return { ...execution, price, quantity, realizedProfitLoss: round(pl) };
+  });
+
+  const isClosed = totalExitQuantity > 0 && openQuantity === 0;
+
+  return {
+    executions: annotated,
+    entryPrice: totalEntryQuantity ? totalEntryValue / totalEntryQuantity : 0,
+    entryQuantity: totalEntryQuantity,
+    entryDate,
+    exitPrice: totalExitQuantity ? totalExitValue / totalExitQuantity : null,
+    exitQuantity: totalExitQuantity || null,
+    exitDate: isClosed ? lastExitDate : null,
+    averageCost,
+    openQuantity,
+    realized: round(realized),
+    percentage: closedCostBasis ? round((realized / closedCostBasis) * 100) : 0,
+    status: isClosed ? "CLOSED" : "OPEN",
+  };
+};
+
+module.exports = {
+  openingSide,
+  sortExecutions,
+  summarizeExecutions,
+};
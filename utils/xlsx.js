@@ -0,0 +1,177 @@
+// Minimal streaming XLSX (Office Open XML spreadsheet) writer on top of the
+// ZIP writer. Strings are written inline rather than in a shared string
+// table so each sheet streams row by row; dates become real Excel dates.
+
+const { createZipWriter } = require("./zip");
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+const REL_NS =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const PACKAGE_REL_NS =
+  "http://schemas.openxmlformats.org/package/2006/relationships";
+
+// Days between Excel's epoch (1899-12-30) and the Unix epoch
+const EXCEL_EPOCH_DAYS = 25569;
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Style 1 in styles.xml: date and time
+const DATE_STYLE = 1;
+
+// Characters XML 1.0 doesn't allow, even escaped
+const INVALID_XML = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(INVALID_XML, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// A, B, ..., Z, AA, ...
+const columnName = (index) => {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const cell = (value, reference) => {
+  if (value === null || value === undefined || value === "") return "";
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return "";
+    const serial = value.getTime() / MS_PER_DAY + EXCEL_EPOCH_DAYS;
+    return `<c r="${reference}" s="${DATE_STYLE}"><v>${serial}</v></c>`;
+  }
+  if (typeof value === "number") {
+    return Number.isFinite(value)
+      ? `<c r="${reference}"><v>${value}</v></c>`
+      : "";
+  }
+  if (typeof value === "boolean") {
+    return `<c r="${reference}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(
+    value
+  )}</t></is></c>`;
+};
+
+const rowXml = (values, rowNumber) =>
+  `<row r="${rowNumber}">${values
+    .map((value, index) => cell(value, `${columnName(index)}${rowNumber}`))
+    .join("")}</row>`;
+
+// Sheet names: at most 31 characters, none of []:*?/\
+const sheetName = (name) =>
+  String(name)
+    .replace(/[[\]:*?/\\]/g, " ")
+    .slice(0, 31);
+
+async function* sheetXml(columns, rows) {
+  yield `${XML_HEADER}<worksheet xmlns="${MAIN_NS}"><sheetData>`;
+  yield rowXml(
+    columns.map((column) => column.header),
+    1
+  );
+  let rowNumber = 1;
+  for await (const row of rows) {
+    rowNumber++;
+    yield rowXml(
+      columns.map((column) => row[column.key]),
+      rowNumber
+    );
+  }
+  yield "</sheetData></worksheet>";
+}
+
+const contentTypes = (count) =>
+  `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+  '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+  '<Default Extension="xml" ContentType="application/xml"/>' +
+  '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+  '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+  Array.from(
+    { length: count },
+    (value, index) =>
+      `<Override PartName="/xl/worksheets/sheet${
+        index + 1
+      }.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+  ).join("") +
+  "</Types>";
+
+const ROOT_RELS =
+  `${XML_HEADER}<Relationships xmlns="${PACKAGE_REL_NS}">` +
+  `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+  "</Relationships>";
+
+const workbook = (names) =>
+  `${XML_HEADER}<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}"><sheets>` +
+  names
+    .map(
+      (name, index) =>
+        `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${
+          index + 1
+        }"/>`
+    )
+    .join("") +
+  "</sheets></workbook>";
+
+const workbookRels = (count) =>
+  `${XML_HEADER}<Relationships xmlns="${PACKAGE_REL_NS}">` +
+  Array.from(
+    { length: count },
+    (value, index) =>
+      `<Relationship Id="rId${
+        index + 1
+      }" Type="${REL_NS}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+  ).join("") +
+  `<Relationship Id="rId${
+    count + 1
+  }" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+  "</Relationships>";
+
+// Default style, then DATE_STYLE (yyyy-mm-dd hh:mm:ss)
+const STYLES =
+  `${XML_HEADER}<styleSheet xmlns="${MAIN_NS}">` +
+  '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>' +
+  '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>' +
+  "</styleSheet>";
+
+/**
+ * Stream a workbook with one sheet per entry to a writable stream
+ * @param {stream.Writable} output
+ * @param {Array<Object>} sheets - { name, columns: [{ key, header }], rows }
+ *   with rows an (async) iterable of records keyed by column key, read one
+ *   sheet at a time
+ * @returns {Promise<void>} - Resolves once the output has ended
+ */
+const writeWorkbook = async (output, sheets) => {
+  const zip = createZipWriter(output);
+  const names = sheets.map((sheet) => sheetName(sheet.name));
+
+  await zip.addFile("[Content_Types].xml", contentTypes(sheets.length));
+  await zip.addFile("_rels/.rels", ROOT_RELS);
+  await zip.addFile("xl/workbook.xml", workbook(names));
+  await zip.addFile("xl/_rels/workbook.xml.rels", workbookRels(sheets.length));
+  await zip.addFile("xl/styles.xml", STYLES);
+
+  for (const [index, sheet] of sheets.entries()) {
+    await zip.addFile(
+      `xl/worksheets/sheet${index + 1}.xml`,
+      sheetXml(sheet.columns, sheet.rows)
+    );
+  }
+
+  await zip.finish();
+};
+
+module.exports = {
+  writeWorkbook,
+};
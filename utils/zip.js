@@ -0,0 +1,169 @@
+// Minimal streaming ZIP writer: each file is deflated straight into the
+// output as its content is produced, with sizes and CRC written after the
+// data (in a data descriptor), so nothing is held in memory. No ZIP64, so
+// the archive and each file stay under 4 GB.
+
+const { Readable } = require("stream");
+const zlib = require("zlib");
+
+const FLAGS = 0x0808; // Data descriptor follows the data; UTF-8 names
+const DEFLATE = 8;
+const VERSION = 20;
+
+// CRC-32 (the ZIP polynomial), kept incremental across chunks
+const CRC_TABLE = Array.from({ length: 256 }, (value, index) => {
+  let crc = index;
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+  return crc >>> 0;
+});
+
+const crc32 = (buffer, previous = 0) => {
+  let crc = ~previous;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+};
+
+// MS-DOS time and date fields
+const dosDateTime = (date) => ({
+  time:
+    (date.getHours() << 11) |
+    (date.getMinutes() << 5) |
+    Math.floor(date.getSeconds() / 2),
+  date:
+    ((date.getFullYear() - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate(),
+});
+
+// Write honouring backpressure; fails if the client went away
+const write = (output, chunk) =>
+  new Promise((resolve, reject) => {
+    if (output.destroyed) {
+      reject(new Error("Output closed before the archive was complete"));
+      return;
+    }
+    if (output.write(chunk)) {
+      resolve();
+      return;
+    }
+    const done = () => {
+      output.off("drain", done);
+      output.off("close", done);
+      if (output.destroyed && !output.writableFinished) {
+        reject(new Error("Output closed before the archive was complete"));
+      } else {
+        resolve();
+      }
+    };
+    output.on("drain", done);
+    output.on("close", done);
+  });
+
+/**
+ * Start a ZIP archive on a writable stream (an HTTP response, a file)
+ * @param {stream.Writable} output
+ * @returns {Object} - { addFile(name, content), finish() }; content is a
+ *   string, Buffer or (async) iterable of them. Files are written one at a
+ *   time: await each addFile before the next.
+ */
+const createZipWriter = (output) => {
+  const entries = [];
+  let offset = 0;
+
+  const emit = async (chunk) => {
+    offset += chunk.length;
+    await write(output, chunk);
+  };
+
+  return {
+    addFile: async (name, content) => {
+      const fileName = Buffer.from(name, "utf8");
+      const { time, date } = dosDateTime(new Date());
+      const entry = { fileName, time, date, offset, crc: 0, size: 0 };
+
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(0x04034b50, 0);
+      header.writeUInt16LE(VERSION, 4);
+      header.writeUInt16LE(FLAGS, 6);
+      header.writeUInt16LE(DEFLATE, 8);
+      header.writeUInt16LE(time, 10);
+      header.writeUInt16LE(date, 12);
+      // CRC and sizes (14-25) are left at 0 until the data descriptor
+      header.writeUInt16LE(fileName.length, 26);
+      await emit(Buffer.concat([header, fileName]));
+
+      const chunks =
+        typeof content === "string" || Buffer.isBuffer(content)
+          ? [content]
+          : content;
+      const measured = (async function* () {
+        for await (const chunk of chunks) {
+          const buffer = Buffer.isBuffer(chunk)
+            ? chunk
+            : Buffer.from(String(chunk), "utf8");
+          entry.crc = crc32(buffer, entry.crc);
+          entry.size += buffer.length;
+          yield buffer;
+        }
+      })();
+
+      const deflate = zlib.createDeflateRaw();
+      const source = Readable.from(measured);
+      source.on("error", (error) => deflate.destroy(error));
+      source.pipe(deflate);
+
+      const start = offset;
+      for await (const compressed of deflate) await emit(compressed);
+      entry.compressedSize = offset - start;
+
+      const descriptor = Buffer.alloc(16);
+      descriptor.writeUInt32LE(0x08074b50, 0);
+      descriptor.writeUInt32LE(entry.crc, 4);
+      descriptor.writeUInt32LE(entry.compressedSize, 8);
+      descriptor.writeUInt32LE(entry.size, 12);
+      await emit(descriptor);
+
+      entries.push(entry);
+    },
+
+    // Central directory and end record; ends the output
+    finish: async () => {
+      const directoryOffset = offset;
+
+      for (const entry of entries) {
+        const record = Buffer.alloc(46);
+        record.writeUInt32LE(0x02014b50, 0);
+        record.writeUInt16LE(VERSION, 4);
+        record.writeUInt16LE(VERSION, 6);
+        record.writeUInt16LE(FLAGS, 8);
+        record.writeUInt16LE(DEFLATE, 10);
+        record.writeUInt16LE(entry.time, 12);
+        record.writeUInt16LE(entry.date, 14);
+        record.writeUInt32LE(entry.crc, 16);
+        record.writeUInt32LE(entry.compressedSize, 20);
+        record.writeUInt32LE(entry.size, 24);
+        record.writeUInt16LE(entry.fileName.length, 28);
+        record.writeUInt32LE(entry.offset, 42);
+        await emit(Buffer.concat([record, entry.fileName]));
+      }
+
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(entries.length, 8);
+      end.writeUInt16LE(entries.length, 10);
+      end.writeUInt32LE(offset - directoryOffset, 12);
+      end.writeUInt32LE(directoryOffset, 16);
+      await write(output, end);
+
+      await new Promise((resolve) => output.end(resolve));
+    },
+  };
+};
+
+module.exports = {
+  createZipWriter,
+};